@@ -25,6 +25,8 @@ function connect() {
 
   ws.onmessage = (event) => {
     const data = JSON.parse(event.data);
+    // Landing page shows BTC only
+    if (data.asset && data.asset !== 'BTC') return;
     const price = parseFloat(data.p);
 
     if (isNaN(price)) return;
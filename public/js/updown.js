@@ -23,11 +23,12 @@ const outcomes = []; // { priceToBeat, outcome, isUp }
 // Bet state
 let betSide = 'buy'; // 'buy' or 'sell'
 let betOutcome = 'yes'; // 'yes' or 'no'
-let orderType = 'market'; // 'market', 'limit', or 'stop_limit'
+let orderType = 'market'; // 'market', 'limit', 'limit_post_only', 'limit_ioc', or 'stop_limit'
 let limitPrice = 50; // cents
 let stopPrice = 50; // cents (trigger price for stop-limit)
 let shares = 0;
 let expiryEnabled = false;
+let expirySeconds = 10; // seconds before the round closes
 
 // Order book state
 let obPerspective = 'up'; // 'up' or 'down'
@@ -39,7 +40,9 @@ let obRefreshInterval = null;
 // Market state
 let currentMarketSlug = null;   // slug of market being viewed
 let currentMarketPhase = null;  // 'provision' | 'active' | 'closed'
-let marketsList = [];            // [{ slug, minuteStart, phase, priceToBeat }]
+let currentMarketAsset = 'BTC'; // asset of market being viewed
+let currentMarketSeries = null; // series of market being viewed ('1m', '5m', '1h', ...)
+let marketsList = [];            // [{ slug, asset, series, minuteStart, roundEnd, phase, priceToBeat }]
 
 function getSlugFromURL() {
   const match = location.pathname.match(/^\/market\/([a-z0-9-]+)$/);
@@ -110,6 +113,10 @@ const limitQuickBtns = document.getElementById('limitQuickBtns');
 const marketQuickBtns = document.getElementById('marketQuickBtns');
 const expirySection = document.getElementById('expirySection');
 const expiryToggle = document.getElementById('expiryToggle');
+const expiryOptions = document.getElementById('expiryOptions');
+const expiryMinus = document.getElementById('expiryMinus');
+const expiryPlus = document.getElementById('expiryPlus');
+const expiryValueEl = document.getElementById('expiryValue');
 const totalValue = document.getElementById('totalValue');
 const toWinValue = document.getElementById('toWinValue');
 const tradeBtn = document.getElementById('tradeBtn');
@@ -152,11 +159,13 @@ function updateBetUI() {
   btnNo.classList.toggle('selected', betOutcome === 'no');
 
   // Update order type display
-  const typeLabels = { market: 'Market', limit: 'Limit', stop_limit: 'Stop Limit' };
+  const typeLabels = {
+    market: 'Market', limit: 'Limit', limit_post_only: 'Post Only', limit_ioc: 'Limit IOC', stop_limit: 'Stop Limit'
+  };
   orderTypeLabel.textContent = typeLabels[orderType] || 'Market';
 
   // Show/hide sections based on order type
-  const showLimit = orderType === 'limit' || orderType === 'stop_limit';
+  const showLimit = orderType !== 'market';
   const showStop = orderType === 'stop_limit';
   document.querySelectorAll('.limit-section').forEach(el => {
     el.classList.toggle('show', showLimit);
@@ -172,8 +181,12 @@ function updateBetUI() {
   limitValueEl.textContent = limitPrice;
   stopValueEl.textContent = stopPrice;
 
-  // Update expiry toggle
+  // Update expiry toggle (good-till-time is for orders that rest in the book)
+  const canExpire = orderType === 'limit' || orderType === 'limit_post_only';
+  expirySection.classList.toggle('show', canExpire);
   expiryToggle.classList.toggle('active', expiryEnabled);
+  expiryOptions.classList.toggle('show', canExpire && expiryEnabled);
+  expiryValueEl.textContent = expirySeconds;
 
   // Calculate prices from orderbook best bid/ask
   const bestBid = orderbookData.bids.length > 0
@@ -188,7 +201,7 @@ function updateBetUI() {
   noPrice.textContent = noP + '\u00A2';
 
   // Calculate total and potential win
-  const pricePerShare = (orderType === 'limit' || orderType === 'stop_limit') ? limitPrice : (betOutcome === 'yes' ? yesP : noP);
+  const pricePerShare = orderType !== 'market' ? limitPrice : (betOutcome === 'yes' ? yesP : noP);
   const total = (shares * pricePerShare / 100).toFixed(2);
   const potentialWin = (shares * (100 - pricePerShare) / 100).toFixed(2);
 
@@ -283,6 +296,17 @@ expiryToggle.addEventListener('click', () => {
   updateBetUI();
 });
 
+// Expiry controls (5s steps)
+expiryMinus.addEventListener('click', () => {
+  expirySeconds = Math.max(5, expirySeconds - 5);
+  updateBetUI();
+});
+
+expiryPlus.addEventListener('click', () => {
+  expirySeconds = Math.min(3600, expirySeconds + 5);
+  updateBetUI();
+});
+
 // Trade button
 tradeBtn.addEventListener('click', () => {
   if (!currentUser) {
@@ -312,8 +336,8 @@ tradeBtn.addEventListener('click', () => {
     shares: shares
   };
 
-  // Add price for limit and stop-limit orders
-  if (orderType === 'limit' || orderType === 'stop_limit') {
+  // Add price for limit, post-only, IOC and stop-limit orders
+  if (orderType !== 'market') {
     msg.price = limitPrice;
   }
 
@@ -322,6 +346,11 @@ tradeBtn.addEventListener('click', () => {
     msg.stopPrice = stopPrice;
   }
 
+  // Good-till-time: expire N seconds before the round closes
+  if ((orderType === 'limit' || orderType === 'limit_post_only') && expiryEnabled) {
+    msg.expiresBeforeClose = expirySeconds;
+  }
+
   // Include current market slug
   if (currentMarketSlug) msg.slug = currentMarketSlug;
 
@@ -485,6 +514,14 @@ function cancelOpenOrder(orderId) {
   wsConnection.send(JSON.stringify({ type: 'cancel_order', orderId }));
 }
 
+// Cancel every open order in the market being viewed
+document.getElementById('cancelAllBtn').addEventListener('click', () => {
+  if (!wsConnection || wsConnection.readyState !== WebSocket.OPEN) return;
+  const msg = { type: 'cancel_all' };
+  if (currentMarketSlug) msg.slug = currentMarketSlug;
+  wsConnection.send(JSON.stringify(msg));
+});
+
 // Order book tab handlers
 obTabUp.addEventListener('click', () => {
   obPerspective = 'up';
@@ -529,6 +566,8 @@ function selectMarket(slug) {
   currentMarketSlug = slug;
   const m = marketsList.find(x => x.slug === slug);
   currentMarketPhase = m ? m.phase : null;
+  if (m && m.asset) currentMarketAsset = m.asset;
+  if (m && m.series) currentMarketSeries = m.series;
 
   // Update URL without full page reload
   if (location.pathname !== '/market/' + slug) {
@@ -614,8 +653,9 @@ function updateClosedPanel() {
   }
 
   if (m && m.outcome) {
-    badgeEl.textContent = m.outcome === 'up' ? 'Up' : 'Down';
-    badgeEl.className = 'closed-val closed-outcome-badge ' + (m.outcome === 'up' ? 'up' : 'down');
+    const labels = { up: 'Up', down: 'Down', void: 'Void', refund: 'Tie · Refund', split: 'Tie · Split' };
+    badgeEl.textContent = labels[m.outcome] || m.outcome;
+    badgeEl.className = 'closed-val closed-outcome-badge ' + m.outcome;
   } else {
     badgeEl.textContent = '--';
     badgeEl.className = 'closed-val closed-outcome-badge';
@@ -625,7 +665,8 @@ function updateClosedPanel() {
 function updateGoCurrentOverlay() {
   const overlay = document.getElementById('goCurrentOverlay');
   const btn = document.getElementById('overlayGoCurrentBtn');
-  const active = marketsList.find(m => m.phase === 'active');
+  const active = marketsList.find(m => m.phase === 'active' &&
+    (!currentMarketSeries || m.series === currentMarketSeries));
   if (active && active.slug !== currentMarketSlug) {
     overlay.style.display = '';
     btn.href = '/market/' + active.slug;
@@ -638,16 +679,29 @@ function updateGoCurrentOverlay() {
   }
 }
 
+const TIE_POLICY_LABELS = {
+  up: 'Up wins',
+  down: 'Down wins',
+  refund: 'everyone is refunded at cost',
+  split: 'every share pays 50¢'
+};
+
+// Round end for a market; older payloads without roundEnd are 1-minute rounds
+function getRoundEnd(m) {
+  return m.roundEnd || m.minuteStart + 60000;
+}
+
 function updateEventTimeForMarket(m) {
   if (!m) return;
   const d = new Date(m.minuteStart);
+  const e = new Date(getRoundEnd(m));
   const month = d.toLocaleString('en-US', { month: 'long', timeZone: 'UTC' });
   const day = d.getUTCDate();
   const h = d.getUTCHours();
   const min = String(d.getUTCMinutes()).padStart(2, '0');
-  const endMin = (d.getUTCMinutes() + 1) % 60;
-  const endH = d.getUTCMinutes() === 59 ? h + 1 : h;
-  eventTimeEl.textContent = `${month} ${day}, ${h}:${min}-${endH}:${String(endMin).padStart(2, '0')} UTC`;
+  const endH = e.getUTCHours();
+  const endMin = String(e.getUTCMinutes()).padStart(2, '0');
+  eventTimeEl.textContent = `${month} ${day}, ${h}:${min}-${endH}:${endMin} UTC`;
 }
 
 function renderMarketsList() {
@@ -657,9 +711,13 @@ function renderMarketsList() {
   // Show only active + provision markets, skip closed entirely
   const visible = marketsList.filter(m => m.phase === 'active' || m.phase === 'provision');
 
-  // If multiple active markets exist, only keep the latest one as active
-  const activeMarkets = visible.filter(m => m.phase === 'active');
-  if (activeMarkets.length > 1) {
+  // If a series has multiple active markets, only keep its latest one as active
+  const activeBySeries = {};
+  for (const m of visible.filter(x => x.phase === 'active')) {
+    const key = (m.asset || '') + '/' + (m.series || '');
+    (activeBySeries[key] = activeBySeries[key] || []).push(m);
+  }
+  for (const activeMarkets of Object.values(activeBySeries)) {
     activeMarkets.sort((a, b) => b.minuteStart - a.minuteStart);
     // Only the latest is truly active; demote older ones
     for (let i = 1; i < activeMarkets.length; i++) {
@@ -678,8 +736,10 @@ function renderMarketsList() {
       hour: '2-digit', minute: '2-digit', hour12: false, timeZone: 'UTC'
     });
     const selected = m.slug === currentMarketSlug ? 'selected' : '';
-    return `<a class="market-card ${m.phase} ${selected}" href="/market/${m.slug}">
-      <span class="mc-time">${time} UTC</span>
+    const series = m.series ? `<span class="mc-series">${m.series}</span>` : '';
+    const tieRule = m.tiePolicy ? ` title="On a tie: ${TIE_POLICY_LABELS[m.tiePolicy] || m.tiePolicy}"` : '';
+    return `<a class="market-card ${m.phase} ${selected}" href="/market/${m.slug}"${tieRule}>
+      <span class="mc-time">${time} UTC</span>${series}
       <span class="mc-phase ${m.phase}">${m.phase.toUpperCase()}</span>
     </a>`;
   }).join('');
@@ -783,10 +843,10 @@ function updateCountdown() {
     phaseEl.className = 'countdown-phase active';
     block.classList.remove('provision');
 
-    const closeTime = m.minuteStart + 60000;
+    const closeTime = getRoundEnd(m);
     const diff = Math.max(0, Math.floor((closeTime - now) / 1000));
-    countdownMinsEl.textContent = '00';
-    countdownSecsEl.textContent = String(diff).padStart(2, '0');
+    countdownMinsEl.textContent = String(Math.floor(diff / 60)).padStart(2, '0');
+    countdownSecsEl.textContent = String(diff % 60).padStart(2, '0');
   } else if (m && currentMarketPhase === 'closed') {
     // Show CLOSED instead of countdown
     minsUnit.style.display = 'none';
@@ -1391,11 +1451,30 @@ function connect() {
       requestMyOrders();
       return;
     }
+    if (data.type === 'cancel_all_result') {
+      console.log('Cancelled', data.cancelled.length, 'orders, refund:', data.refund);
+      requestMyOrders();
+      return;
+    }
+    if (data.type === 'place_orders_result') {
+      console.log('place_orders:', data.results);
+      requestMyOrders();
+      return;
+    }
+    if (data.type === 'order_replaced') {
+      console.log('Order replaced:', data.order);
+      requestMyOrders();
+      return;
+    }
     if (data.type === 'order_update') {
       console.log('order_update:', data);
       requestMyOrders();
       return;
     }
+    if (data.type === 'stablecoin_alert') {
+      console.warn(`${data.currency}/USD ${data.state}: ${data.rate}`);
+      return;
+    }
     if (data.type === 'trade') {
       console.log('trade:', data);
       return;
@@ -1414,8 +1493,9 @@ function connect() {
       if (urlSlug && marketsList.find(m => m.slug === urlSlug)) {
         selectMarket(urlSlug);
       } else {
-        // Prefer active market, fall back to nearest provision market
-        const active = marketsList.find(m => m.phase === 'active');
+        // Prefer active market (of the series being viewed), fall back to nearest provision market
+        const active = marketsList.find(m => m.phase === 'active' &&
+          (!currentMarketSeries || m.series === currentMarketSeries));
         if (active) {
           selectMarket(active.slug);
         } else {
@@ -1444,8 +1524,9 @@ function connect() {
         currentMarketPhase = data.phase;
         updateRightPanel();
       }
-      // Auto-select new active market if user was on the one that just closed
-      if (data.phase === 'active' && (!currentMarketSlug || currentMarketPhase === 'closed')) {
+      // Auto-select new active market if user was on the one of the same series that just closed
+      if (data.phase === 'active' && (!currentMarketSlug || currentMarketPhase === 'closed') &&
+          (!m || !currentMarketSeries || m.series === currentMarketSeries)) {
         selectMarket(data.slug);
       }
       return;
@@ -1472,6 +1553,8 @@ function connect() {
     }
 
     if (data.type === 'price_to_beat') {
+      if (data.asset && data.asset !== currentMarketAsset) return;
+      if (currentMarketSlug && data.slug !== currentMarketSlug) return;
       priceToBeat = parseFloat(data.priceToBeat);
       priceToBeatEl.textContent = '$' + formatPrice(priceToBeat);
       // Only reset orderbook if viewing the active market
@@ -1483,7 +1566,8 @@ function connect() {
       return;
     }
 
-    // Price data
+    // Price data (only for the asset of the market being viewed)
+    if (data.asset && data.asset !== currentMarketAsset) return;
     const price = parseFloat(data.p);
     if (!isNaN(price)) {
       const now = Date.now();
@@ -1,5 +1,9 @@
 const EventEmitter = require('events');
 const config = require('./config');
+const StablecoinRates = require('./stablecoin-rates');
+const FxRates = require('./fx-rates');
+const HealthMonitor = require('./health-monitor');
+const SourceQuality = require('./source-quality');
 
 // Format timestamp as HH:MM:SS.mmm
 function formatTime(timestamp) {
@@ -11,17 +15,131 @@ function formatTime(timestamp) {
   return `${h}:${m}:${s}.${ms}`;
 }
 
-// Extract pair type from exchange name (e.g., "bybit_usdt" -> "USDT")
-function getPairType(exchangeName) {
-  if (exchangeName.includes('_usdt')) return 'USDT';
-  if (exchangeName.includes('_usdc')) return 'USDC';
-  if (exchangeName.includes('_usd') || exchangeName === 'coinbase') return 'USD';
-  // Default pair types for single-pair exchanges
-  if (exchangeName === 'binance' || exchangeName === 'kucoin') return 'USDT';
-  if (exchangeName === 'gemini') return 'USD';
-  return '';
+// Median of a list of numbers
+function getMedian(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
 }
 
+// Average price paid filling `notional` (in the book's quote currency)
+// against one side of a book, best level first. A side too thin for the
+// full amount is priced on what it has; filled is the fraction covered.
+function getFillPrice(levels, notional) {
+  let remaining = notional;
+  let cost = 0;
+  let qty = 0;
+  for (const [price, size] of levels) {
+    const take = Math.min(size, remaining / price);
+    cost += take * price;
+    qty += take;
+    remaining -= take * price;
+    if (remaining <= 0) break;
+  }
+  return qty > 0 ? { price: cost / qty, filled: cost / notional } : null;
+}
+
+// Depth-weighted mid: halfway between the average prices to sell and to buy
+// config.depth.notional USD, in USD. impactBps is the gap between the two.
+function getDepthMid(book, rate = 1) {
+  const notional = config.depth.notional / rate;
+  const sell = getFillPrice(book.bids, notional);
+  const buy = getFillPrice(book.asks, notional);
+  if (!sell || !buy) return null;
+  const mid = (sell.price + buy.price) / 2;
+  return {
+    price: mid * rate,
+    impactBps: ((buy.price - sell.price) / mid) * 10000,
+    filled: Math.min(sell.filled, buy.filled)
+  };
+}
+
+// Price a source contributes: the depth-weighted mid when a fresh L2 book is
+// available, else the book-top mid when both sides are present, otherwise the
+// last trade, converted to USD at the given rate.
+// spreadBps is null when there is no usable book top.
+function getQuote(data, rate = 1, book = null) {
+  const depth = book ? getDepthMid(book, rate) : null;
+  const spreadBps = data.bid && data.ask && data.ask >= data.bid
+    ? ((data.ask - data.bid) / ((data.bid + data.ask) / 2)) * 10000
+    : null;
+  if (depth) {
+    return { price: depth.price, basis: 'depth', spreadBps, impactBps: depth.impactBps, filled: depth.filled };
+  }
+  if (data.bid && data.ask && data.ask >= data.bid) {
+    const mid = (data.bid + data.ask) / 2;
+    return { price: mid * rate, basis: 'mid', spreadBps: ((data.ask - data.bid) / mid) * 10000 };
+  }
+  return { price: data.price * rate, basis: 'last', spreadBps: null };
+}
+
+// Scale a source's weight down when its book is wider than config.spreadWeighting.maxSpreadBps
+function applySpreadWeighting(weight, spreadBps) {
+  const { enabled, maxSpreadBps } = config.spreadWeighting;
+  if (!enabled || spreadBps === null || spreadBps <= maxSpreadBps) return weight;
+  return weight * (maxSpreadBps / spreadBps);
+}
+
+// Aggregation methods: each takes [{price, weight, volume}] and returns a price (or null)
+const AGGREGATION_METHODS = {
+  // Plain weighted average using config.weights
+  weighted_mean(sources) {
+    let totalWeight = 0;
+    let weightedSum = 0;
+    for (const s of sources) {
+      weightedSum += s.price * s.weight;
+      totalWeight += s.weight;
+    }
+    return totalWeight > 0 ? weightedSum / totalWeight : null;
+  },
+
+  // Price at which cumulative weight crosses half of the total weight
+  weighted_median(sources) {
+    const sorted = [...sources].sort((a, b) => a.price - b.price);
+    const totalWeight = sorted.reduce((sum, s) => sum + s.weight, 0);
+    if (totalWeight === 0) return null;
+
+    let cumulative = 0;
+    for (let i = 0; i < sorted.length; i++) {
+      cumulative += sorted[i].weight;
+      if (cumulative === totalWeight / 2 && i + 1 < sorted.length) {
+        return (sorted[i].price + sorted[i + 1].price) / 2;
+      }
+      if (cumulative > totalWeight / 2) return sorted[i].price;
+    }
+    return sorted[sorted.length - 1].price;
+  },
+
+  // Weighted average after dropping the highest and lowest config.trimRatio of sources
+  trimmed_mean(sources) {
+    const sorted = [...sources].sort((a, b) => a.price - b.price);
+    const trim = Math.floor(sorted.length * config.trimRatio);
+    const kept = sorted.length - 2 * trim > 0 ? sorted.slice(trim, sorted.length - trim) : sorted;
+    return AGGREGATION_METHODS.weighted_mean(kept);
+  },
+
+  // Weighted average with each source's weight scaled by its traded volume.
+  // Sources that don't report volume (e.g. Binance bookTicker) are moved to
+  // `excluded` as 'no_volume' before this runs (see withoutVolume); if none
+  // reports volume, this is the plain weighted mean.
+  vwap(sources) {
+    if (!sources.some(s => s.volume > 0)) return AGGREGATION_METHODS.weighted_mean(sources);
+    return AGGREGATION_METHODS.weighted_mean(
+      sources.map(s => ({ ...s, weight: s.weight * s.volume }))
+    );
+  }
+};
+
+// Sources VWAP can't use: those without a reported volume, as long as at
+// least one source has one (otherwise it falls back to the weighted mean)
+function withoutVolume(sources) {
+  if (!sources.some(s => s.volume > 0)) return [];
+  return sources.filter(s => !(s.volume > 0));
+}
+
+// Weight for sources missing from config.weights
+const DEFAULT_WEIGHT = 0.05;
+
 // Get clean exchange name (e.g., "bybit_usdt" -> "Bybit")
 function getExchangeName(exchangeName) {
   const base = exchangeName.split('_')[0];
@@ -32,43 +150,48 @@ class PriceAggregator extends EventEmitter {
   constructor(exchanges) {
     super();
     this.exchanges = exchanges;
-    this.prices = new Map(); // exchange name -> price data
+    this.prices = new Map(); // asset -> (exchange name -> price data)
+    this.books = new Map();  // asset -> (exchange name -> top-N book)
+    for (const asset of config.assets) {
+      this.prices.set(asset, new Map());
+      this.books.set(asset, new Map());
+    }
     this.aggregateInterval = null;
+
+    // Runtime-adjustable copies of the source settings (see source-admin.js)
+    this.weights = { ...config.weights };
+    this.disabled = new Set(); // source names excluded from aggregation
+
+    // Rolling latency / frequency / deviation / uptime per source (config.dynamicWeighting)
+    this.quality = new SourceQuality();
+    this.effectiveWeights = new Map(); // asset -> (source -> weight used in the last aggregate)
+
+    this.rates = new StablecoinRates();
+    this.rates.on('depeg', (data) => this.emit('depeg', data));
+    this.rates.on('repeg', (data) => this.emit('repeg', data));
+    this.fx = new FxRates();
+
+    this.health = new HealthMonitor(exchanges);
+    this.health.on('state', (data) => this.emit('health', data));
+
+    this.method = config.aggregationMethod;
+    if (!AGGREGATION_METHODS[this.method]) {
+      throw new Error(`Unknown aggregation method: ${this.method}`);
+    }
   }
 
   start() {
     console.log('Starting price aggregator...');
     console.log('');
-    console.log('Price updates will display as: TIME | PRICE | EXCHANGE | PAIR');
+    console.log('Price updates will display as: TIME | PRICE | EXCHANGE | ASSET/PAIR');
     console.log('-'.repeat(60));
 
-    // Listen to all exchanges
-    for (const exchange of this.exchanges) {
-      exchange.on('price', (data) => {
-        this.prices.set(data.exchange, data);
-
-        // Log incoming price
-        const time = formatTime(data.timestamp);
-        const price = data.price.toFixed(2).padStart(10);
-        const exch = getExchangeName(data.exchange).padEnd(10);
-        const pair = getPairType(data.exchange);
-        console.log(`${time} | $${price} | ${exch} | ${pair}`);
-      });
-
-      exchange.on('connected', () => {
-        console.log(`[connected] ${exchange.name}`);
-      });
-
-      exchange.on('disconnected', () => {
-        console.log(`[disconnected] ${exchange.name}`);
-      });
+    // Supervisor registers its listeners before adapters connect
+    this.health.start();
+    this.fx.start();
 
-      exchange.on('error', (err) => {
-        console.error(`[error] ${exchange.name}: ${err.message}`);
-      });
-
-      // Start connection
-      exchange.connect();
+    for (const exchange of this.exchanges) {
+      this.attach(exchange);
     }
 
     // Calculate aggregate every second
@@ -80,60 +203,329 @@ class PriceAggregator extends EventEmitter {
     console.log('');
   }
 
+  // Listen to an adapter and start its connection
+  attach(exchange) {
+    exchange.on('price', (data) => {
+      const assetPrices = this.prices.get(data.asset);
+      if (!assetPrices) return;
+      assetPrices.set(data.exchange, data);
+      this.quality.recordUpdate(data.asset, data.exchange);
+
+      // Log incoming price
+      const time = formatTime(data.timestamp);
+      const price = data.price.toFixed(2).padStart(10);
+      const exch = getExchangeName(data.exchange).padEnd(10);
+      const pair = data.quote;
+      console.log(`${time} | $${price} | ${exch} | ${data.asset}/${pair}`);
+    });
+
+    // L2 books from adapters with depth enabled
+    exchange.on('book', (data) => {
+      const assetBooks = this.books.get(data.asset);
+      if (assetBooks) assetBooks.set(data.exchange, data);
+    });
+
+    // Stablecoin/USD rates (e.g. Kraken USDT/USD)
+    exchange.on('rate', (data) => {
+      this.rates.update(data);
+    });
+
+    exchange.on('connected', () => {
+      console.log(`[connected] ${exchange.label}`);
+    });
+
+    exchange.on('disconnected', () => {
+      console.log(`[disconnected] ${exchange.label}`);
+    });
+
+    exchange.on('error', (err) => {
+      console.error(`[error] ${exchange.label}: ${err.message}`);
+    });
+
+    // Start connection
+    exchange.connect();
+  }
+
+  // Add an adapter while running (a pair added through the admin API)
+  addExchange(exchange) {
+    this.exchanges.push(exchange);
+    this.health.add(exchange);
+    this.attach(exchange);
+    this.emit('exchange_added', exchange);
+  }
+
+  getWeight(source) {
+    return this.weights[source] ?? DEFAULT_WEIGHT;
+  }
+
+  setWeight(source, weight) {
+    this.weights[source] = weight;
+  }
+
+  isEnabled(source) {
+    return !this.disabled.has(source);
+  }
+
+  setEnabled(source, enabled) {
+    if (enabled) this.disabled.delete(source);
+    else this.disabled.add(source);
+  }
+
+  // Weight a source aggregates with before spread weighting: the configured
+  // weight, adjusted by measured quality when dynamic weighting is on
+  getEffectiveWeight(asset, source) {
+    const weight = this.getWeight(source);
+    if (!config.dynamicWeighting.enabled) return weight;
+    return this.quality.getEffectiveWeight(weight, this.quality.getQuality(asset, source));
+  }
+
+  // Every source seen or configured for an asset, with its current settings
+  getSources(asset) {
+    const names = new Set([...Object.keys(this.weights), ...this.prices.get(asset).keys()]);
+    return [...names].sort().map(source => ({
+      source,
+      weight: this.getWeight(source),
+      enabled: this.isEnabled(source),
+      live: this.prices.get(asset).has(source)
+    }));
+  }
+
   calculateAggregate() {
+    for (const asset of config.assets) {
+      this.calculateAssetAggregate(asset);
+    }
+  }
+
+  calculateAssetAggregate(asset) {
     const now = Date.now();
-    let totalWeight = 0;
-    let weightedSum = 0;
     const sources = [];
+    const excluded = [];
 
-    // Always include all sources with most recent value (no staleness filtering)
-    for (const [exchangeName, data] of this.prices) {
-      const weight = config.weights[exchangeName] || 0.05;
-      weightedSum += data.price * weight;
-      totalWeight += weight;
+    // Drop sources whose last update is older than the staleness threshold
+    const fresh = [];
+    for (const [exchangeName, data] of this.prices.get(asset)) {
+      const age = now - data.timestamp;
+      const pair = data.quote;
+      const rate = this.getRate(pair);
+      if (rate === null) {
+        excluded.push({ exchange: exchangeName, price: null, age, reason: 'no_rate', pair });
+        continue;
+      }
+      const quote = getQuote(data, rate, this.getBook(asset, exchangeName, now));
+      if (this.disabled.has(exchangeName)) {
+        excluded.push({ exchange: exchangeName, price: quote.price, age, reason: 'disabled' });
+      } else if (age > config.staleThreshold) {
+        excluded.push({ exchange: exchangeName, price: quote.price, age, reason: 'stale' });
+      } else {
+        fresh.push({ exchangeName, data, quote, pair, rate, age });
+      }
+    }
+
+    // Reject prices deviating too far from the cross-exchange median.
+    // Needs at least 3 sources, otherwise the median can't outvote a bad tick.
+    const median = fresh.length >= 3 ? getMedian(fresh.map(f => f.quote.price)) : null;
+
+    // Sample every source (including outliers and stale ones) for quality scoring
+    for (const exchangeName of this.prices.get(asset).keys()) {
+      const f = fresh.find(f => f.exchangeName === exchangeName);
+      const deviation = f && median !== null ? Math.abs(f.quote.price - median) / median : null;
+      this.quality.sample(asset, exchangeName, now, f ? f.age : null, deviation);
+    }
+
+    for (const { exchangeName, data, quote, pair, rate, age } of fresh) {
+      const deviation = median !== null ? Math.abs(quote.price - median) / median : 0;
+      if (deviation > config.outlierThreshold) {
+        excluded.push({ exchange: exchangeName, price: quote.price, age, reason: 'outlier', deviation });
+        continue;
+      }
 
       sources.push({
         exchange: exchangeName,
-        price: data.price,
-        weight: weight,
-        age: now - data.timestamp
+        price: quote.price,
+        basis: quote.basis,
+        last: data.price,
+        bid: data.bid,
+        ask: data.ask,
+        spreadBps: quote.spreadBps,
+        depth: quote.basis === 'depth' ? { impactBps: quote.impactBps, filled: quote.filled } : null,
+        pair: pair,
+        rate: rate,
+        baseWeight: this.getWeight(exchangeName),
+        weight: applySpreadWeighting(this.getEffectiveWeight(asset, exchangeName), quote.spreadBps),
+        quality: config.dynamicWeighting.enabled ? this.quality.getQuality(asset, exchangeName) : null,
+        volume: data.volume ?? null,
+        age: age
       });
     }
 
-    if (totalWeight === 0) {
+    if (this.method === 'vwap') {
+      for (const s of withoutVolume(sources)) {
+        sources.splice(sources.indexOf(s), 1);
+        excluded.push({ exchange: s.exchange, price: s.price, age: s.age, reason: 'no_volume' });
+      }
+    }
+
+    const aggregatePrice = sources.length > 0 ? AGGREGATION_METHODS[this.method](sources) : null;
+    this.effectiveWeights.set(asset, new Map(sources.map(s => [s.exchange, s.weight])));
+
+    if (aggregatePrice === null) {
       this.emit('aggregate', {
+        asset: asset,
         price: null,
         sources: [],
+        excluded: excluded,
         timestamp: now,
         error: 'No valid price sources'
       });
       return;
     }
 
-    // Normalize weighted average
-    const aggregatePrice = weightedSum / totalWeight;
-
     // Log average price with timestamp
     const time = formatTime(now);
-    console.log(`${time} | $${aggregatePrice.toFixed(2).padStart(10)} | >>> AVG <<< | ${sources.length} sources`);
+    const excludedNote = excluded.length > 0 ? ` (${excluded.length} excluded)` : '';
+    console.log(`${time} | $${aggregatePrice.toFixed(2).padStart(10)} | >>> ${asset} ${this.method.toUpperCase()} <<< | ${sources.length} sources${excludedNote}`);
 
     this.emit('aggregate', {
+      asset: asset,
       price: aggregatePrice,
       sources: sources,
+      excluded: excluded,
+      method: this.method,
+      dynamicWeighting: config.dynamicWeighting.enabled,
+      rates: this.getRatesSnapshot(),
       timestamp: now,
       sourceCount: sources.length
     });
   }
 
-  getStatus() {
+  // USD value of one unit of a quote currency: the FX rate for fiat
+  // currencies (null when there's no fresh one), else the stablecoin rate.
+  // Prices from an adapter that doesn't declare its quote can't be converted.
+  getRate(currency) {
+    if (!currency) return null;
+    if (config.fx.currencies.includes(currency)) return this.fx.getRate(currency);
+    return this.rates.getRate(currency);
+  }
+
+  // Stablecoin and FX rates in use, with each stablecoin's de-peg state
+  getRatesSnapshot() {
+    return { ...this.rates.getSnapshot(), ...this.fx.getSnapshot() };
+  }
+
+  // Latest book for a source, or null if it has none or it's stale
+  getBook(asset, exchangeName, now = Date.now()) {
+    const book = this.books.get(asset)?.get(exchangeName);
+    if (!book || now - book.timestamp > config.staleThreshold) return null;
+    return book;
+  }
+
+  /**
+   * Merged USD book across every fresh source of an asset, with the size
+   * each source contributes at every level.
+   * @returns {{asset: string, timestamp: number, tickSize: number,
+   *   bids: Array<{price: number, size: number, sources: Object<string, number>}>,
+   *   asks: Array<{price: number, size: number, sources: Object<string, number>}>,
+   *   sources: Array<{exchange: string, pair: string, rate: number, basis: string, age: number}>}}
+   */
+  getConsolidatedBook(asset) {
+    const now = Date.now();
+    const { levels, tickSize, defaultTickSize } = config.consolidatedBook;
+    const tick = tickSize[asset] || defaultTickSize;
+    const decimals = Math.max(0, -Math.floor(Math.log10(tick)));
+    const bids = new Map(); // bucket price -> level
+    const asks = new Map();
+    const sources = [];
+
+    const add = (side, price, size, exchange) => {
+      const bucket = side === bids
+        ? Math.floor(price / tick + 1e-9) * tick
+        : Math.ceil(price / tick - 1e-9) * tick;
+      const key = bucket.toFixed(decimals);
+      if (!side.has(key)) side.set(key, { price: Number(key), size: 0, sources: {} });
+      const level = side.get(key);
+      level.size += size;
+      level.sources[exchange] = (level.sources[exchange] || 0) + size;
+    };
+
+    for (const [exchangeName, data] of this.prices.get(asset) || []) {
+      const age = now - data.timestamp;
+      if (age > config.staleThreshold || this.disabled.has(exchangeName)) continue;
+      const pair = data.quote;
+      const rate = this.getRate(pair);
+      if (rate === null) continue;
+      const book = this.getBook(asset, exchangeName, now);
+
+      if (book) {
+        for (const [price, size] of book.bids) add(bids, price * rate, size, exchangeName);
+        for (const [price, size] of book.asks) add(asks, price * rate, size, exchangeName);
+        sources.push({ exchange: exchangeName, pair, rate, basis: 'depth', age: now - book.timestamp });
+      } else if ((data.bid && data.bidSize) || (data.ask && data.askSize)) {
+        if (data.bid && data.bidSize) add(bids, data.bid * rate, data.bidSize, exchangeName);
+        if (data.ask && data.askSize) add(asks, data.ask * rate, data.askSize, exchangeName);
+        sources.push({ exchange: exchangeName, pair, rate, basis: 'top', age });
+      }
+    }
+
+    const round = (level) => {
+      level.size = Number(level.size.toFixed(8));
+      for (const name in level.sources) level.sources[name] = Number(level.sources[name].toFixed(8));
+      return level;
+    };
+
+    return {
+      asset,
+      timestamp: now,
+      tickSize: tick,
+      bids: [...bids.values()].sort((a, b) => b.price - a.price).slice(0, levels).map(round),
+      asks: [...asks.values()].sort((a, b) => a.price - b.price).slice(0, levels).map(round),
+      sources
+    };
+  }
+
+  // Book size and age for getStatus (null until the first book arrives)
+  getDepthStatus(asset, exchangeName, now) {
+    const book = this.books.get(asset)?.get(exchangeName);
+    if (!book) return null;
+    return {
+      bids: book.bids.length,
+      asks: book.asks.length,
+      age: now - book.timestamp,
+      stale: now - book.timestamp > config.staleThreshold
+    };
+  }
+
+  // Weights of an adapter's sources (e.g. kraken -> kraken_usdt, kraken_usdc)
+  // for getStatus. effective is the weight used in the last aggregate, null
+  // if the source wasn't in it.
+  getWeightStatus(asset, exchangeName) {
+    const used = this.effectiveWeights.get(asset) || new Map();
+    const weights = {};
+    for (const source of (this.prices.get(asset) || new Map()).keys()) {
+      if (source !== exchangeName && !source.startsWith(`${exchangeName}_`)) continue;
+      weights[source] = {
+        base: this.getWeight(source),
+        effective: used.get(source) ?? null,
+        quality: config.dynamicWeighting.enabled ? this.quality.getQuality(asset, source) : null
+      };
+    }
+    return weights;
+  }
+
+  getStatus(asset = config.assets[0]) {
     const now = Date.now();
     const status = {};
+    const assetPrices = this.prices.get(asset) || new Map();
 
     for (const exchange of this.exchanges) {
-      const data = this.prices.get(exchange.name);
+      if (exchange.asset !== asset) continue;
+      const data = assetPrices.get(exchange.name);
       status[exchange.name] = {
         connected: exchange.connected,
+        health: this.health.getHealth(exchange),
         price: data?.price || null,
+        spreadBps: data ? getQuote(data).spreadBps : null,
+        depth: exchange.depthEnabled ? this.getDepthStatus(asset, exchange.name, now) : null,
+        weights: this.getWeightStatus(asset, exchange.name),
         lastUpdate: data?.timestamp || null,
         age: data ? now - data.timestamp : null,
         stale: data ? (now - data.timestamp > config.staleThreshold) : true
@@ -146,6 +538,9 @@ class PriceAggregator extends EventEmitter {
   stop() {
     console.log('Stopping price aggregator...');
 
+    this.health.stop();
+    this.fx.stop();
+
     if (this.aggregateInterval) {
       clearInterval(this.aggregateInterval);
       this.aggregateInterval = null;
@@ -1,3 +1,8 @@
+// MOCK_EXCHANGES=localhost:9500 points every adapter at the local mock
+// exchange server (npm run mock-exchanges) instead of the real endpoints.
+const MOCK_EXCHANGES = process.env.MOCK_EXCHANGES || '';
+const exchangeUrl = (name, scheme, url) => (MOCK_EXCHANGES ? `${scheme}://${MOCK_EXCHANGES}/${name}` : url);
+
 module.exports = {
   // WebSocket server port for frontend
   serverPort: 3002,
@@ -5,26 +10,160 @@ module.exports = {
   // Public price feed WebSocket port
   priceFeedPort: 8082,
 
+  // Public price feed: heartbeat and the slowest update rate v2 clients can
+  // subscribe to (the fastest is every aggregate)
+  priceFeed: {
+    pingInterval: 30000, // clients that haven't answered the previous ping are dropped (ms)
+    maxInterval: 60000
+  },
+
+  // Assets to aggregate and run up/down markets for (e.g. ['BTC', 'ETH', 'SOL']).
+  // The first entry is the primary asset served to legacy clients.
+  assets: ['BTC'],
+
+  // Market series run for every asset. Each series has its own round length,
+  // provision lead time (how far ahead rounds are opened for liquidity) and
+  // slug template ({asset}, {series}, {yyyy}, {mm}, {dd}, {hh}, {min}).
+  // tiePolicy decides a round whose final price equals the price to beat:
+  // 'up', 'down', 'refund' (everyone gets their cost back) or 'split' (every
+  // share pays 50¢).
+  // The first entry is the default series for clients that don't pick one.
+  // Every series adds markets, rows and settlement jobs per asset, so only
+  // the 1m series runs by default; uncomment others to opt in.
+  marketSeries: [
+    { id: '1m',  interval: 60000,   provisionLead: 300000,  slug: '{asset}-{yyyy}{mm}{dd}-{hh}{min}',     tiePolicy: 'up' },
+    // { id: '5m',  interval: 300000,  provisionLead: 900000,  slug: '{asset}-5m-{yyyy}{mm}{dd}-{hh}{min}',  tiePolicy: 'up' },
+    // { id: '15m', interval: 900000,  provisionLead: 1800000, slug: '{asset}-15m-{yyyy}{mm}{dd}-{hh}{min}', tiePolicy: 'up' },
+    // { id: '1h',  interval: 3600000, provisionLead: 7200000, slug: '{asset}-1h-{yyyy}{mm}{dd}-{hh}',       tiePolicy: 'up' }
+  ],
+
+  // Strike and settlement prices are a time-weighted average of the stored
+  // aggregates over [boundary - windowBefore, boundary + windowAfter]. With
+  // windowAfter > 0, activation and settlement wait until the window closes.
+  // A round is voided (everyone refunded) if the aggregate at its strike or
+  // settlement boundary is missing or built from fewer than minSources sources.
+  settlement: {
+    windowBefore: 5000,
+    windowAfter: 0,
+    minSources: 3
+  },
+
   // Aggregation interval in milliseconds
   aggregateInterval: 1000,
 
   // Staleness threshold - ignore data older than this (ms)
   staleThreshold: 10000,
 
-  // Exchange weights for weighted average (should sum to 1.0)
-  // 11 total sources across 9 exchanges
+  // Outlier band - ignore prices deviating more than this fraction from the median
+  outlierThreshold: 0.005, // 0.5%
+
+  // Aggregation method: 'weighted_mean', 'weighted_median', 'trimmed_mean' or 'vwap'
+  // ('vwap' scales each weight by the source's reported volume; sources that
+  // report none are excluded as 'no_volume')
+  aggregationMethod: 'weighted_mean',
+
+  // Fraction of sources dropped from each end by 'trimmed_mean'
+  trimRatio: 0.2,
+
+  // Down-weight sources whose bid/ask spread is wider than maxSpreadBps
+  // (weight is scaled by maxSpreadBps / spreadBps)
+  spreadWeighting: {
+    enabled: false,
+    maxSpreadBps: 5
+  },
+
+  // Optional dynamic weighting: each source's weight is scaled by a 0..1
+  // quality score measured over the last windowMs (see source-quality.js),
+  // then clamped to [minWeight, maxWeight]. The score averages, by `factors`,
+  // how old the price is when aggregated, updates per second, distance from
+  // the cross-exchange median and the share of the window the source was
+  // fresh; each scores 1 when at or better than its target. Sources use
+  // their static weight until minSamples aggregations have been sampled.
+  dynamicWeighting: {
+    enabled: false,
+    windowMs: 300000,
+    minSamples: 30,
+    minWeight: 0.01,
+    maxWeight: 0.30,
+    targets: {
+      latencyMs: 2000,
+      updatesPerSec: 1,
+      deviationBps: 5
+    },
+    factors: {
+      latency: 0.25,
+      frequency: 0.25,
+      deviation: 0.25,
+      uptime: 0.25
+    }
+  },
+
+  // Optional L2 order book depth per adapter. Listed exchanges also subscribe
+  // to a top-`levels` book, and their price becomes the depth-weighted mid:
+  // the average of the prices paid to buy and to sell `notional` USD against
+  // the book, which a single print or a thin top of book can't move much.
+  // Supported: binance, bybit, kraken, bitfinex, kucoin, gateio, cryptocom,
+  // gemini, okx, bitstamp, htx, upbit (Coinbase's level2 channel needs an
+  // authenticated feed).
+  depth: {
+    exchanges: [],
+    levels: 20,
+    notional: 100000 // USD per side
+  },
+
+  // Consolidated cross-exchange book (price feed /api/v1/book/<asset>).
+  // Each fresh source contributes its L2 book when depth is enabled for it,
+  // otherwise its ticker's best bid/ask (when the ticker reports sizes).
+  // Prices are converted to USD and grouped into tickSize buckets
+  // (bids round down, asks round up); levels is the depth per side.
+  consolidatedBook: {
+    levels: 50,
+    tickSize: { BTC: 1, ETH: 0.1 },
+    defaultTickSize: 0.01
+  },
+
+  // Stablecoin → USD conversion for USDT/USDC quoted pairs
+  stablecoins: {
+    currencies: ['USDT', 'USDC'],
+    fallbackRate: 1.0,      // used when no fresh rate is available
+    staleThreshold: 60000,  // rates older than this fall back (ms)
+    depegThreshold: 0.005   // alert when |rate - 1| exceeds this (0.5%)
+  },
+
+  // Fiat → USD conversion for fiat-quoted pairs (Upbit's KRW market), from
+  // a USD-based FX API polled every pollInterval. Sources quoted in a
+  // currency without a fresh rate are excluded from aggregation.
+  fx: {
+    currencies: ['KRW'],
+    baseUrl: exchangeUrl('fx', 'http', 'https://open.er-api.com'),
+    pollInterval: 600000,    // 10 minutes (the free API updates daily)
+    staleThreshold: 10800000 // rates not refreshed for 3 hours are dropped (ms)
+  },
+
+  // Adapters started for every asset (names from exchanges/index.js).
+  // More exchange/asset pairs can be started at runtime via the admin API.
+  adapters: ['binance', 'gemini', 'kucoin', 'coinbase', 'kraken', 'bybit', 'bitfinex', 'gateio', 'cryptocom',
+    'okx', 'bitstamp', 'htx', 'upbit'],
+
+  // Exchange weights for weighted average (should sum to 1.0).
+  // Adjustable at runtime via the admin API (changes are logged to source_changes)
+  // 15 total sources across 13 exchanges
   weights: {
-    binance: 0.20,
-    bybit_usdt: 0.12,
-    coinbase: 0.12,
-    bybit_usdc: 0.08,
-    kraken_usdt: 0.08,
-    bitfinex: 0.08,
-    kucoin: 0.07,
-    gemini: 0.07,
-    gateio: 0.07,
-    cryptocom: 0.07,
-    kraken_usdc: 0.04
+    binance: 0.19,
+    okx: 0.12,
+    coinbase: 0.10,
+    bybit_usdt: 0.09,
+    kraken_usdt: 0.06,
+    bybit_usdc: 0.05,
+    bitfinex: 0.05,
+    kucoin: 0.05,
+    gateio: 0.05,
+    upbit: 0.05,
+    gemini: 0.04,
+    cryptocom: 0.04,
+    bitstamp: 0.04,
+    htx: 0.04,
+    kraken_usdc: 0.03
   },
 
   // Reconnection settings
@@ -34,6 +173,29 @@ module.exports = {
     maxDelay: 30000
   },
 
+  // Adapter health supervisor
+  health: {
+    checkInterval: 5000,       // how often adapters are checked (ms)
+    silentThreshold: 30000,    // force a reconnect after this long without prices (ms)
+    deadRetryInterval: 300000  // retry adapters that hit maxAttempts this often (ms)
+  },
+
+  // Feed recording / replay (see feed-recorder.js and exchanges/replay.js)
+  // RECORD_FEEDS=feeds.ndjson npm start          - record raw adapter messages
+  // REPLAY_FEEDS=feeds.ndjson REPLAY_SPEED=10 npm start - run from a recording, no exchange connections
+  replay: {
+    recordFile: process.env.RECORD_FEEDS || '',
+    replayFile: process.env.REPLAY_FEEDS || '',
+    speed: parseFloat(process.env.REPLAY_SPEED || '1'),
+    loop: process.env.REPLAY_LOOP === '1'
+  },
+
+  // Admin API (/api/admin/*): requests need "Authorization: Bearer <token>".
+  // Disabled when no token is set.
+  admin: {
+    token: process.env.ADMIN_TOKEN || ''
+  },
+
   // Telegram Login
   telegram: {
     botToken: process.env.TELEGRAM_BOT_TOKEN || '',
@@ -45,21 +207,65 @@ module.exports = {
     maxSharesPerOrder: 10000,
     minPrice: 1,   // cents
     maxPrice: 99,  // cents
+    expiryCheckInterval: 1000, // how often good-till-time limit orders are checked for expiry (ms)
+    maxBatchSize: 50,          // orders per place_orders message
+    disconnectGracePeriod: 5000 // cancel-on-disconnect: how long a user's last socket can be gone before their orders are cancelled (ms)
+  },
+
+  // Local mock exchange server (server/mock-exchanges)
+  mockExchanges: {
+    port: 9500
   },
 
-  // Exchange-specific config
+  // Exchange-specific config. baseUrl can be overridden per adapter
+  // (new adapters.binance('BTC', { baseUrl }), with adapters from
+  // exchanges/index.js) or globally with MOCK_EXCHANGES.
   exchanges: {
+    binance: {
+      baseUrl: exchangeUrl('binance', 'ws', 'wss://stream.binance.com:9443')
+    },
     gemini: {
+      baseUrl: exchangeUrl('gemini', 'http', 'https://api.gemini.com'),
       pollInterval: 3000 // 3 seconds (safe for 120 req/min limit)
     },
+    coinbase: {
+      baseUrl: exchangeUrl('coinbase', 'ws', 'wss://ws-feed.exchange.coinbase.com')
+    },
+    kraken: {
+      baseUrl: exchangeUrl('kraken', 'ws', 'wss://ws.kraken.com'),
+      pingInterval: 30000 // 30 seconds
+    },
     bybit: {
+      baseUrl: exchangeUrl('bybit', 'ws', 'wss://stream.bybit.com'),
       pingInterval: 20000 // 20 seconds
     },
+    bitfinex: {
+      baseUrl: exchangeUrl('bitfinex', 'ws', 'wss://api-pub.bitfinex.com')
+    },
     kucoin: {
+      baseUrl: exchangeUrl('kucoin', 'http', 'https://api.kucoin.com'), // REST; the token response names the WebSocket endpoint
       pingInterval: 30000 // 30 seconds
     },
     gateio: {
+      baseUrl: exchangeUrl('gateio', 'ws', 'wss://api.gateio.ws'),
       pingInterval: 30000 // 30 seconds
+    },
+    cryptocom: {
+      baseUrl: exchangeUrl('cryptocom', 'ws', 'wss://stream.crypto.com')
+    },
+    okx: {
+      baseUrl: exchangeUrl('okx', 'ws', 'wss://ws.okx.com:8443'),
+      pingInterval: 20000 // 20 seconds
+    },
+    bitstamp: {
+      baseUrl: exchangeUrl('bitstamp', 'ws', 'wss://ws.bitstamp.net')
+    },
+    htx: {
+      baseUrl: exchangeUrl('htx', 'ws', 'wss://api.huobi.pro')
+    },
+    upbit: {
+      baseUrl: exchangeUrl('upbit', 'ws', 'wss://api.upbit.com'),
+      pingInterval: 60000 // 60 seconds
     }
   }
 };
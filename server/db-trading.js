@@ -8,16 +8,18 @@ const { pool } = require('./db');
  * Insert a new order into the database.
  * @param {object} order - Order data
  * @param {number} order.userId - Telegram user ID
+ * @param {string} order.market - Market slug the round belongs to
  * @param {string} order.roundStart - Round start timestamp (ISO or ms)
  * @param {string} order.side - Original user side: 'buy' or 'sell'
  * @param {string} order.outcome - Original user outcome: 'yes' or 'no'
  * @param {string} order.bookSide - Normalized book side: 'bid' or 'ask'
- * @param {string} order.orderType - 'market_fak', 'market_fok', 'limit', or 'stop_limit'
+ * @param {string} order.orderType - 'market_fak', 'market_fok', 'limit', 'limit_post_only', 'limit_ioc', or 'stop_limit'
  * @param {number} order.price - Normalized YES-scale price (1-99)
  * @param {number|null} order.stopPrice - Stop trigger price for stop-limit orders
  * @param {number} order.shares - Total shares ordered
  * @param {number} order.costPerShare - What this user pays per share (cents)
  * @param {string} order.status - Initial status ('open' or 'stopped')
+ * @param {number|null} [order.expiresAt] - Expiry timestamp (ms) for good-till-time limit orders
  * @param {import('pg').PoolClient} [client] - Optional transaction client
  * @returns {Promise<object>} The inserted order row
  */
@@ -25,23 +27,27 @@ async function insertOrder(order, client) {
   const conn = client || pool;
   const result = await conn.query(
     `INSERT INTO orders
-       (user_id, round_start, side, outcome, book_side, order_type, price, stop_price,
-        shares, filled_shares, remaining_shares, cost_per_share, status)
-     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 0, $9, $10, $11)
+       (user_id, market, round_start, side, outcome, book_side, order_type, price, stop_price,
+        shares, filled_shares, remaining_shares, cost_per_share, status, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 0, $10, $11, $12, $13)
      RETURNING *`,
-    [order.userId, new Date(order.roundStart), order.side, order.outcome,
+    [order.userId, order.market, new Date(order.roundStart), order.side, order.outcome,
      order.bookSide, order.orderType, order.price, order.stopPrice || null,
-     order.shares, order.costPerShare, order.status]
+     order.shares, order.costPerShare, order.status,
+     order.expiresAt ? new Date(order.expiresAt) : null]
   );
   return result.rows[0];
 }
 
 /**
  * Update an order's fill state after a trade.
+ * Refuses to fill more than the order has remaining (e.g. a fill sized from
+ * the in-memory book while a replace shrank the order).
  * @param {number} orderId - Order ID
  * @param {number} filledQty - Additional shares filled in this trade
  * @param {import('pg').PoolClient} client - Transaction client (required)
  * @returns {Promise<object>} Updated order row
+ * @throws {Error} If the order has fewer than filledQty shares remaining
  */
 async function updateOrderFill(orderId, filledQty, client) {
   const result = await client.query(
@@ -53,10 +59,11 @@ async function updateOrderFill(orderId, filledQty, client) {
            ELSE 'partially_filled'
          END,
          updated_at = NOW()
-     WHERE id = $1
+     WHERE id = $1 AND remaining_shares >= $2
      RETURNING *`,
     [orderId, filledQty]
   );
+  if (!result.rows[0]) throw new Error(`Order ${orderId} has fewer than ${filledQty} shares remaining`);
   return result.rows[0];
 }
 
@@ -81,37 +88,132 @@ async function cancelOrder(orderId, userId, client) {
   return result.rows[0] || null;
 }
 
+/**
+ * Amend a resting order's price and/or size (cancel-replace).
+ * Only amends the order if it is still resting ('open' or 'partially_filled').
+ * @param {number} orderId - Order ID
+ * @param {object} amendment
+ * @param {number} amendment.price - New normalized YES-scale price (1-99)
+ * @param {number} amendment.costPerShare - New cost per share (cents)
+ * @param {number} amendment.shares - New total size (filled + remaining)
+ * @param {number} amendment.remainingShares - New unfilled size
+ * @param {import('pg').PoolClient} client - Transaction client (required)
+ * @returns {Promise<object|null>} Amended order row, or null if no longer resting
+ */
+async function amendOrder(orderId, amendment, client) {
+  const result = await client.query(
+    `UPDATE orders
+     SET price = $2, cost_per_share = $3, shares = $4, remaining_shares = $5, updated_at = NOW()
+     WHERE id = $1 AND status IN ('open', 'partially_filled')
+     RETURNING *`,
+    [orderId, amendment.price, amendment.costPerShare, amendment.shares, amendment.remainingShares]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Expire a good-till-time order by setting its status to 'expired'.
+ * Only expires the order if it is still resting ('open' or 'partially_filled').
+ * @param {number} orderId - Order ID
+ * @param {import('pg').PoolClient} client - Transaction client (required)
+ * @returns {Promise<object|null>} Expired order row, or null if already filled/cancelled
+ */
+async function expireOrder(orderId, client) {
+  const result = await client.query(
+    `UPDATE orders
+     SET status = 'expired', updated_at = NOW()
+     WHERE id = $1 AND status IN ('open', 'partially_filled')
+     RETURNING *`,
+    [orderId]
+  );
+  return result.rows[0] || null;
+}
+
 /**
  * Cancel all open/partially-filled/stopped orders for a given round.
  * Used during settlement to close out the round.
- * @param {string} roundStart - Round start timestamp
+ * @param {string} market - Market slug
  * @param {import('pg').PoolClient} client - Transaction client (required)
  * @returns {Promise<object[]>} Array of cancelled order rows
  */
-async function cancelAllRoundOrders(roundStart, client) {
+async function cancelAllRoundOrders(market, client) {
   // First capture orders with their original status before updating
   const snapshot = await client.query(
     `SELECT id, user_id, remaining_shares, cost_per_share, status, order_type
      FROM orders
-     WHERE round_start = $1
+     WHERE market = $1
        AND status IN ('open', 'partially_filled', 'stopped')
      FOR UPDATE`,
-    [new Date(roundStart)]
+    [market]
   );
 
   if (snapshot.rows.length > 0) {
     await client.query(
       `UPDATE orders
        SET status = 'cancelled', updated_at = NOW()
-       WHERE round_start = $1
+       WHERE market = $1
          AND status IN ('open', 'partially_filled', 'stopped')`,
-      [new Date(roundStart)]
+      [market]
     );
   }
 
   return snapshot.rows; // rows with original status intact
 }
 
+/**
+ * Cancel all of a user's cancellable orders (resting limits and pending
+ * stop-limits), optionally filtered by market and side.
+ * @param {number} userId - User ID
+ * @param {object} [filters]
+ * @param {string} [filters.market] - Market slug
+ * @param {string} [filters.side] - 'buy' or 'sell'
+ * @param {number[]} [filters.orderIds] - Only these orders
+ * @param {import('pg').PoolClient} client - Transaction client (required)
+ * @returns {Promise<object[]>} Cancelled order rows with their original status
+ */
+async function cancelUserOrders(userId, filters, client) {
+  const conditions = [
+    'user_id = $1',
+    `status IN ('open', 'partially_filled', 'stopped')`,
+    `order_type NOT IN ('market_fak', 'market_fok', 'limit_ioc')`
+  ];
+  const params = [userId];
+
+  if (filters.market) {
+    params.push(filters.market);
+    conditions.push(`market = $${params.length}`);
+  }
+  if (filters.side) {
+    params.push(filters.side);
+    conditions.push(`side = $${params.length}`);
+  }
+  if (filters.orderIds) {
+    params.push(filters.orderIds);
+    conditions.push(`id = ANY($${params.length})`);
+  }
+
+  // Capture orders with their original status before updating
+  const snapshot = await client.query(
+    `SELECT id, market, book_side, remaining_shares, cost_per_share, status
+     FROM orders
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY id
+     FOR UPDATE`,
+    params
+  );
+
+  if (snapshot.rows.length > 0) {
+    await client.query(
+      `UPDATE orders
+       SET status = 'cancelled', updated_at = NOW()
+       WHERE id = ANY($1)`,
+      [snapshot.rows.map(r => r.id)]
+    );
+  }
+
+  return snapshot.rows;
+}
+
 /**
  * Get an order by ID.
  * @param {number} orderId - Order ID
@@ -124,12 +226,24 @@ async function getOrder(orderId, client) {
   return result.rows[0] || null;
 }
 
+/**
+ * Get an order by ID inside a transaction (with row lock), so its fill
+ * state can't change until the transaction ends.
+ * @param {number} orderId - Order ID
+ * @param {import('pg').PoolClient} client - Transaction client (required)
+ * @returns {Promise<object|null>} Order row or null
+ */
+async function getOrderForUpdate(orderId, client) {
+  const result = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+  return result.rows[0] || null;
+}
+
 /**
  * Get all orders for a user, optionally filtered.
  * @param {number} userId - User ID
  * @param {object} [filters] - Optional filters
  * @param {string} [filters.status] - Filter by status ('open', 'filled', 'cancelled', etc.)
- * @param {string} [filters.roundStart] - Filter by round
+ * @param {string} [filters.market] - Filter by market slug
  * @param {number} [filters.limit] - Max rows (default 50)
  * @returns {Promise<object[]>} Array of order rows
  */
@@ -148,9 +262,9 @@ async function getUserOrders(userId, filters = {}) {
     }
   }
 
-  if (filters.roundStart) {
-    conditions.push(`round_start = $${idx}`);
-    params.push(new Date(filters.roundStart));
+  if (filters.market) {
+    conditions.push(`market = $${idx}`);
+    params.push(filters.market);
     idx++;
   }
 
@@ -167,30 +281,30 @@ async function getUserOrders(userId, filters = {}) {
 
 /**
  * Get all open resting orders for a round (for rebuilding in-memory book on restart).
- * @param {string} roundStart - Round start timestamp
+ * @param {string} market - Market slug
  * @returns {Promise<object[]>} Array of open order rows
  */
-async function getOpenRoundOrders(roundStart) {
+async function getOpenRoundOrders(market) {
   const result = await pool.query(
     `SELECT * FROM orders
-     WHERE round_start = $1 AND status IN ('open', 'partially_filled')
+     WHERE market = $1 AND status IN ('open', 'partially_filled')
      ORDER BY created_at ASC`,
-    [new Date(roundStart)]
+    [market]
   );
   return result.rows;
 }
 
 /**
  * Get all stopped (pending stop-limit) orders for a round.
- * @param {string} roundStart - Round start timestamp
+ * @param {string} market - Market slug
  * @returns {Promise<object[]>} Array of stopped order rows
  */
-async function getStoppedRoundOrders(roundStart) {
+async function getStoppedRoundOrders(market) {
   const result = await pool.query(
     `SELECT * FROM orders
-     WHERE round_start = $1 AND status = 'stopped' AND order_type = 'stop_limit'
+     WHERE market = $1 AND status = 'stopped' AND order_type = 'stop_limit'
      ORDER BY created_at ASC`,
-    [new Date(roundStart)]
+    [market]
   );
   return result.rows;
 }
@@ -219,6 +333,7 @@ async function activateStopOrder(orderId, client) {
 /**
  * Insert a trade (fill) record.
  * @param {object} trade - Trade data
+ * @param {string} trade.market - Market slug
  * @param {string} trade.roundStart - Round start timestamp
  * @param {number} trade.bidOrderId - Bid-side order ID
  * @param {number} trade.askOrderId - Ask-side order ID
@@ -232,10 +347,10 @@ async function activateStopOrder(orderId, client) {
 async function insertTrade(trade, client) {
   const result = await client.query(
     `INSERT INTO trades
-       (round_start, bid_order_id, ask_order_id, yes_user_id, no_user_id, price, shares)
-     VALUES ($1, $2, $3, $4, $5, $6, $7)
+       (market, round_start, bid_order_id, ask_order_id, yes_user_id, no_user_id, price, shares)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
      RETURNING *`,
-    [new Date(trade.roundStart), trade.bidOrderId, trade.askOrderId,
+    [trade.market, new Date(trade.roundStart), trade.bidOrderId, trade.askOrderId,
      trade.yesUserId, trade.noUserId, trade.price, trade.shares]
   );
   return result.rows[0];
@@ -263,21 +378,22 @@ async function getOrderTrades(orderId) {
 /**
  * Upsert a user's position for a round. Atomically adds to yes/no shares.
  * @param {number} userId
+ * @param {string} market - Market slug
  * @param {number|string} roundStart - Round start timestamp (ms or ISO)
  * @param {number} yesDelta - Shares to add to yes_shares (can be 0)
  * @param {number} noDelta - Shares to add to no_shares (can be 0)
  * @param {import('pg').PoolClient} client - Transaction client (required)
  * @returns {Promise<{yesShares: number, noShares: number}>} Updated position
  */
-async function upsertPosition(userId, roundStart, yesDelta, noDelta, client) {
+async function upsertPosition(userId, market, roundStart, yesDelta, noDelta, client) {
   const result = await client.query(
-    `INSERT INTO positions (user_id, round_start, yes_shares, no_shares)
-     VALUES ($1, $2, $3, $4)
-     ON CONFLICT (user_id, round_start) DO UPDATE SET
-       yes_shares = positions.yes_shares + $3,
-       no_shares = positions.no_shares + $4
+    `INSERT INTO positions (user_id, market, round_start, yes_shares, no_shares)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (user_id, market) DO UPDATE SET
+       yes_shares = positions.yes_shares + $4,
+       no_shares = positions.no_shares + $5
      RETURNING yes_shares, no_shares`,
-    [userId, new Date(roundStart), yesDelta, noDelta]
+    [userId, market, new Date(roundStart), yesDelta, noDelta]
   );
   return {
     yesShares: result.rows[0].yes_shares,
@@ -288,15 +404,15 @@ async function upsertPosition(userId, roundStart, yesDelta, noDelta, client) {
 /**
  * Get a user's position for a round.
  * @param {number} userId
- * @param {number|string} roundStart
+ * @param {string} market - Market slug
  * @param {import('pg').PoolClient} [client]
  * @returns {Promise<{yesShares: number, noShares: number}>}
  */
-async function getPosition(userId, roundStart, client) {
+async function getPosition(userId, market, client) {
   const conn = client || pool;
   const result = await conn.query(
-    'SELECT yes_shares, no_shares FROM positions WHERE user_id = $1 AND round_start = $2',
-    [userId, new Date(roundStart)]
+    'SELECT yes_shares, no_shares FROM positions WHERE user_id = $1 AND market = $2',
+    [userId, market]
   );
   if (!result.rows[0]) return { yesShares: 0, noShares: 0 };
   return {
@@ -307,14 +423,14 @@ async function getPosition(userId, roundStart, client) {
 
 /**
  * Get all positions for a round (for settlement).
- * @param {number|string} roundStart
+ * @param {string} market - Market slug
  * @param {import('pg').PoolClient} client
  * @returns {Promise<Array<{userId: number, yesShares: number, noShares: number}>>}
  */
-async function getAllPositions(roundStart, client) {
+async function getAllPositions(market, client) {
   const result = await client.query(
-    'SELECT user_id, yes_shares, no_shares FROM positions WHERE round_start = $1',
-    [new Date(roundStart)]
+    'SELECT user_id, yes_shares, no_shares FROM positions WHERE market = $1',
+    [market]
   );
   return result.rows.map(r => ({
     userId: Number(r.user_id),
@@ -323,6 +439,32 @@ async function getAllPositions(roundStart, client) {
   }));
 }
 
+/**
+ * Net amount each user paid into a round (for voiding it): the YES side of a
+ * trade costs price¢ per share, the NO side (100 - price)¢, and an LP
+ * provision costs its full dollar amount.
+ * @param {string} market - Market slug
+ * @param {import('pg').PoolClient} client
+ * @returns {Promise<Array<{userId: number, costBasis: number}>>} costBasis in dollars
+ */
+async function getRoundCostBasis(market, client) {
+  const result = await client.query(
+    `SELECT user_id, SUM(cost) AS cost_basis FROM (
+       SELECT yes_user_id AS user_id, price * shares / 100.0 AS cost FROM trades WHERE market = $1
+       UNION ALL
+       SELECT no_user_id, (100 - price) * shares / 100.0 FROM trades WHERE market = $1
+       UNION ALL
+       SELECT user_id, amount FROM liquidity_provisions WHERE market = $1
+     ) c
+     GROUP BY user_id`,
+    [market]
+  );
+  return result.rows.map(r => ({
+    userId: Number(r.user_id),
+    costBasis: Number(r.cost_basis)
+  }));
+}
+
 // ============================================
 // LIQUIDITY PROVISION OPERATIONS
 // ============================================
@@ -330,30 +472,31 @@ async function getAllPositions(roundStart, client) {
 /**
  * Record a liquidity provision.
  * @param {number} userId
+ * @param {string} market - Market slug
  * @param {number|string} roundStart
  * @param {number} amount - Integer dollar amount
  * @param {import('pg').PoolClient} client
  * @returns {Promise<object>} Inserted row
  */
-async function insertLiquidityProvision(userId, roundStart, amount, client) {
+async function insertLiquidityProvision(userId, market, roundStart, amount, client) {
   const result = await client.query(
-    `INSERT INTO liquidity_provisions (user_id, round_start, amount)
-     VALUES ($1, $2, $3)
+    `INSERT INTO liquidity_provisions (user_id, market, round_start, amount)
+     VALUES ($1, $2, $3, $4)
      RETURNING *`,
-    [userId, new Date(roundStart), amount]
+    [userId, market, new Date(roundStart), amount]
   );
   return result.rows[0];
 }
 
 /**
  * Get total liquidity for a round.
- * @param {number|string} roundStart
+ * @param {string} market - Market slug
  * @returns {Promise<number>} Total dollar amount
  */
-async function getTotalLiquidity(roundStart) {
+async function getTotalLiquidity(market) {
   const result = await pool.query(
-    'SELECT COALESCE(SUM(amount), 0) AS total FROM liquidity_provisions WHERE round_start = $1',
-    [new Date(roundStart)]
+    'SELECT COALESCE(SUM(amount), 0) AS total FROM liquidity_provisions WHERE market = $1',
+    [market]
   );
   return Number(result.rows[0].total);
 }
@@ -421,8 +564,12 @@ module.exports = {
   insertOrder,
   updateOrderFill,
   cancelOrder,
+  amendOrder,
+  expireOrder,
   cancelAllRoundOrders,
+  cancelUserOrders,
   getOrder,
+  getOrderForUpdate,
   getUserOrders,
   getOpenRoundOrders,
   getStoppedRoundOrders,
@@ -432,6 +579,7 @@ module.exports = {
   upsertPosition,
   getPosition,
   getAllPositions,
+  getRoundCostBasis,
   insertLiquidityProvision,
   getTotalLiquidity,
   deductBalance,
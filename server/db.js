@@ -10,9 +10,21 @@ pool.on('error', (err) => {
 });
 
 async function init() {
+  // Migration: the outcomes table was BTC/1-minute only before multi-asset support
+  await pool.query(`
+    ALTER TABLE IF EXISTS btc_1m_outcomes RENAME TO market_outcomes;
+  `);
+  await pool.query(`
+    ALTER INDEX IF EXISTS idx_btc_1m_outcomes_slug RENAME TO idx_market_outcomes_slug;
+  `);
+  await pool.query(`
+    DROP INDEX IF EXISTS idx_btc_1m_outcomes_minute;
+  `);
+
   await pool.query(`
     CREATE TABLE IF NOT EXISTS price_history (
       id BIGSERIAL PRIMARY KEY,
+      asset TEXT NOT NULL DEFAULT 'BTC',
       price NUMERIC(12,2) NOT NULL,
       source_count INTEGER NOT NULL DEFAULT 0,
       timestamp TIMESTAMPTZ NOT NULL DEFAULT NOW()
@@ -32,44 +44,54 @@ async function init() {
       updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
     );
 
-    CREATE TABLE IF NOT EXISTS btc_1m_outcomes (
+    CREATE TABLE IF NOT EXISTS market_outcomes (
       id BIGSERIAL PRIMARY KEY,
+      asset TEXT NOT NULL DEFAULT 'BTC',
+      series TEXT NOT NULL DEFAULT '1m',
       minute_start TIMESTAMPTZ NOT NULL,
+      round_end TIMESTAMPTZ,
       slug TEXT,
       price_to_beat NUMERIC(12,2),
       final_price NUMERIC(12,2),
       outcome TEXT,
+      tie_policy TEXT NOT NULL DEFAULT 'up',
+      void_reason TEXT,
+      strike_window_start TIMESTAMPTZ,
+      strike_window_end TIMESTAMPTZ,
+      strike_samples JSONB,
+      settle_window_start TIMESTAMPTZ,
+      settle_window_end TIMESTAMPTZ,
+      settle_samples JSONB,
       created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
     );
-    CREATE UNIQUE INDEX IF NOT EXISTS idx_btc_1m_outcomes_minute
-      ON btc_1m_outcomes (minute_start);
 
     CREATE TABLE IF NOT EXISTS positions (
       user_id BIGINT NOT NULL REFERENCES users(id),
+      market TEXT NOT NULL,
       round_start TIMESTAMPTZ NOT NULL,
       yes_shares INTEGER NOT NULL DEFAULT 0,
       no_shares INTEGER NOT NULL DEFAULT 0,
-      PRIMARY KEY (user_id, round_start)
+      PRIMARY KEY (user_id, market)
     );
 
     CREATE TABLE IF NOT EXISTS liquidity_provisions (
       id BIGSERIAL PRIMARY KEY,
       user_id BIGINT NOT NULL REFERENCES users(id),
+      market TEXT NOT NULL,
       round_start TIMESTAMPTZ NOT NULL,
       amount INTEGER NOT NULL CHECK (amount > 0),
       created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
     );
-    CREATE INDEX IF NOT EXISTS idx_lp_round
-      ON liquidity_provisions (round_start);
 
     CREATE TABLE IF NOT EXISTS orders (
       id BIGSERIAL PRIMARY KEY,
       user_id BIGINT NOT NULL REFERENCES users(id),
+      market TEXT NOT NULL,
       round_start TIMESTAMPTZ NOT NULL,
       side TEXT NOT NULL CHECK (side IN ('buy','sell')),
       outcome TEXT NOT NULL CHECK (outcome IN ('yes','no')),
       book_side TEXT NOT NULL CHECK (book_side IN ('bid','ask')),
-      order_type TEXT NOT NULL CHECK (order_type IN ('market_fak','market_fok','limit','stop_limit')),
+      order_type TEXT NOT NULL CHECK (order_type IN ('market_fak','market_fok','limit','limit_post_only','limit_ioc','stop_limit')),
       price INTEGER NOT NULL CHECK (price BETWEEN 1 AND 99),
       stop_price INTEGER CHECK (stop_price BETWEEN 1 AND 99),
       shares INTEGER NOT NULL CHECK (shares > 0),
@@ -78,14 +100,15 @@ async function init() {
       cost_per_share INTEGER NOT NULL CHECK (cost_per_share BETWEEN 1 AND 99),
       status TEXT NOT NULL DEFAULT 'open'
         CHECK (status IN ('open','partially_filled','filled','cancelled','expired','stopped')),
+      expires_at TIMESTAMPTZ,
       created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
       updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
     );
     CREATE INDEX IF NOT EXISTS idx_orders_user ON orders (user_id, status);
-    CREATE INDEX IF NOT EXISTS idx_orders_round ON orders (round_start, status);
 
     CREATE TABLE IF NOT EXISTS trades (
       id BIGSERIAL PRIMARY KEY,
+      market TEXT NOT NULL,
       round_start TIMESTAMPTZ NOT NULL,
       bid_order_id BIGINT NOT NULL REFERENCES orders(id),
       ask_order_id BIGINT NOT NULL REFERENCES orders(id),
@@ -95,46 +118,158 @@ async function init() {
       shares INTEGER NOT NULL CHECK (shares > 0),
       created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
     );
-    CREATE INDEX IF NOT EXISTS idx_trades_round ON trades (round_start);
     CREATE INDEX IF NOT EXISTS idx_trades_yes_user ON trades (yes_user_id);
     CREATE INDEX IF NOT EXISTS idx_trades_no_user ON trades (no_user_id);
+
+    CREATE TABLE IF NOT EXISTS settlement_audit (
+      id BIGSERIAL PRIMARY KEY,
+      market TEXT NOT NULL,
+      stage TEXT NOT NULL CHECK (stage IN ('strike', 'settle')),
+      aggregate_ts TIMESTAMPTZ NOT NULL,
+      aggregate_price NUMERIC(12,2),
+      method TEXT,
+      exchange TEXT NOT NULL,
+      price NUMERIC(16,4),
+      weight NUMERIC(10,6),
+      age_ms INTEGER,
+      status TEXT NOT NULL,
+      deviation NUMERIC(10,6),
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS idx_settlement_audit_market ON settlement_audit (market, stage);
+
+    CREATE TABLE IF NOT EXISTS source_changes (
+      id BIGSERIAL PRIMARY KEY,
+      action TEXT NOT NULL CHECK (action IN ('set_weight', 'enable', 'disable', 'add_pair')),
+      source TEXT NOT NULL,
+      asset TEXT,
+      old_value JSONB,
+      new_value JSONB,
+      actor TEXT,
+      changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS idx_source_changes_changed_at ON source_changes (changed_at DESC);
   `);
 
   // Migrations for existing databases
   await pool.query(`
-    ALTER TABLE btc_1m_outcomes ADD COLUMN IF NOT EXISTS slug TEXT;
+    ALTER TABLE market_outcomes ADD COLUMN IF NOT EXISTS slug TEXT;
+  `);
+  await pool.query(`
+    ALTER TABLE market_outcomes ALTER COLUMN price_to_beat DROP NOT NULL;
+  `);
+  await pool.query(`
+    ALTER TABLE market_outcomes ADD COLUMN IF NOT EXISTS asset TEXT NOT NULL DEFAULT 'BTC';
+  `);
+  await pool.query(`
+    ALTER TABLE price_history ADD COLUMN IF NOT EXISTS asset TEXT NOT NULL DEFAULT 'BTC';
+  `);
+
+  // Market series: rows from before configurable durations were all 1-minute rounds
+  await pool.query(`
+    ALTER TABLE market_outcomes ADD COLUMN IF NOT EXISTS series TEXT NOT NULL DEFAULT '1m';
+  `);
+  await pool.query(`
+    ALTER TABLE market_outcomes ADD COLUMN IF NOT EXISTS round_end TIMESTAMPTZ;
+  `);
+  await pool.query(`
+    UPDATE market_outcomes
+    SET round_end = minute_start + INTERVAL '1 minute'
+    WHERE round_end IS NULL
+  `);
+
+  // TWAP fixing windows and the aggregates that went into them
+  await pool.query(`
+    ALTER TABLE market_outcomes
+      ADD COLUMN IF NOT EXISTS strike_window_start TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS strike_window_end TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS strike_samples JSONB,
+      ADD COLUMN IF NOT EXISTS settle_window_start TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS settle_window_end TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS settle_samples JSONB;
+  `);
+  await pool.query(`
+    ALTER TABLE market_outcomes ADD COLUMN IF NOT EXISTS void_reason TEXT;
   `);
   await pool.query(`
-    ALTER TABLE btc_1m_outcomes ALTER COLUMN price_to_beat DROP NOT NULL;
+    ALTER TABLE market_outcomes ADD COLUMN IF NOT EXISTS tie_policy TEXT NOT NULL DEFAULT 'up';
+  `);
+
+  // Good-till-time limit orders
+  await pool.query(`
+    ALTER TABLE orders ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ;
+  `);
+
+  // Post-only and IOC limit order types
+  await pool.query(`
+    ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_order_type_check;
+    ALTER TABLE orders ADD CONSTRAINT orders_order_type_check
+      CHECK (order_type IN ('market_fak','market_fok','limit','limit_post_only','limit_ioc','stop_limit'));
   `);
 
   // Backfill slugs for existing rows that don't have one
   await pool.query(`
-    UPDATE btc_1m_outcomes
+    UPDATE market_outcomes
     SET slug = 'btc-' || TO_CHAR(minute_start AT TIME ZONE 'UTC', 'YYYYMMDD-HH24MI')
     WHERE slug IS NULL
   `);
 
-  // Create slug index after column is guaranteed to exist
+  // Trading tables are keyed by market slug; rows from before multi-asset
+  // support were all BTC rounds, so their slug is derived from round_start
+  for (const table of ['orders', 'trades', 'positions', 'liquidity_provisions']) {
+    await pool.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS market TEXT`);
+    await pool.query(`
+      UPDATE ${table}
+      SET market = 'btc-' || TO_CHAR(round_start AT TIME ZONE 'UTC', 'YYYYMMDD-HH24MI')
+      WHERE market IS NULL
+    `);
+    await pool.query(`ALTER TABLE ${table} ALTER COLUMN market SET NOT NULL`);
+  }
+
+  // Positions used to be keyed by (user_id, round_start)
+  await pool.query(`
+    DO $$
+    BEGIN
+      IF NOT EXISTS (
+        SELECT 1 FROM information_schema.key_column_usage
+        WHERE table_name = 'positions' AND constraint_name = 'positions_pkey' AND column_name = 'market'
+      ) THEN
+        ALTER TABLE positions DROP CONSTRAINT IF EXISTS positions_pkey;
+        ALTER TABLE positions ADD PRIMARY KEY (user_id, market);
+      END IF;
+    END $$;
+  `);
+
+  // Create indexes after columns are guaranteed to exist
   await pool.query(`
-    CREATE UNIQUE INDEX IF NOT EXISTS idx_btc_1m_outcomes_slug
-      ON btc_1m_outcomes (slug);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_market_outcomes_slug
+      ON market_outcomes (slug);
+    CREATE INDEX IF NOT EXISTS idx_market_outcomes_asset
+      ON market_outcomes (asset, minute_start DESC);
+    CREATE INDEX IF NOT EXISTS idx_market_outcomes_series
+      ON market_outcomes (asset, series, minute_start DESC);
+    CREATE INDEX IF NOT EXISTS idx_price_history_asset
+      ON price_history (asset, timestamp DESC);
+    CREATE INDEX IF NOT EXISTS idx_lp_market
+      ON liquidity_provisions (market);
+    CREATE INDEX IF NOT EXISTS idx_orders_market ON orders (market, status);
+    CREATE INDEX IF NOT EXISTS idx_trades_market ON trades (market);
   `);
 
-  console.log('Database initialized (price_history + users + btc_1m_outcomes + orders + trades + positions + liquidity_provisions tables ready)');
+  console.log('Database initialized (price_history + users + market_outcomes + orders + trades + positions + liquidity_provisions + settlement_audit + source_changes tables ready)');
 }
 
-async function insertPrice(price, sourceCount, timestamp) {
+async function insertPrice(asset, price, sourceCount, timestamp) {
   await pool.query(
-    'INSERT INTO price_history (price, source_count, timestamp) VALUES ($1, $2, $3)',
-    [price.toFixed(2), sourceCount, new Date(timestamp)]
+    'INSERT INTO price_history (asset, price, source_count, timestamp) VALUES ($1, $2, $3, $4)',
+    [asset, price.toFixed(2), sourceCount, new Date(timestamp)]
   );
 }
 
-async function getRecentPrices(limit = 60) {
+async function getRecentPrices(limit = 60, asset = 'BTC') {
   const result = await pool.query(
-    'SELECT price, source_count, timestamp FROM price_history ORDER BY timestamp DESC LIMIT $1',
-    [limit]
+    'SELECT price, source_count, timestamp FROM price_history WHERE asset = $2 ORDER BY timestamp DESC LIMIT $1',
+    [limit, asset]
   );
   // Return in chronological order (oldest first)
   return result.rows.reverse().map(row => ({
@@ -144,6 +279,25 @@ async function getRecentPrices(limit = 60) {
   }));
 }
 
+// Aggregates inside (windowStart, windowEnd], plus the last one at or before
+// windowStart if it is no older than lookback ms. Oldest first.
+async function getPricesInWindow(asset, windowStart, windowEnd, lookback) {
+  const result = await pool.query(
+    `(SELECT price, timestamp FROM price_history
+      WHERE asset = $1 AND timestamp <= $2 AND timestamp >= $4
+      ORDER BY timestamp DESC LIMIT 1)
+     UNION ALL
+     (SELECT price, timestamp FROM price_history
+      WHERE asset = $1 AND timestamp > $2 AND timestamp <= $3)
+     ORDER BY timestamp ASC`,
+    [asset, new Date(windowStart), new Date(windowEnd), new Date(windowStart - lookback)]
+  );
+  return result.rows.map(row => ({
+    price: parseFloat(row.price),
+    timestamp: new Date(row.timestamp).getTime()
+  }));
+}
+
 async function upsertUser(telegramUser) {
   const result = await pool.query(`
     INSERT INTO users (id, first_name, last_name, username, photo_url, auth_date)
@@ -176,60 +330,95 @@ async function updateBalance(userId, newBalance) {
   );
 }
 
-async function insertMinuteStart(minuteStart, priceToBeat) {
+async function insertMinuteStart(asset, series, minuteStart, roundEnd, slug, priceToBeat) {
   await pool.query(
-    `INSERT INTO btc_1m_outcomes (minute_start, price_to_beat)
-     VALUES ($1, $2)
-     ON CONFLICT (minute_start) DO NOTHING`,
-    [new Date(minuteStart), priceToBeat ? priceToBeat.toFixed(2) : null]
+    `INSERT INTO market_outcomes (asset, series, minute_start, round_end, slug, price_to_beat)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (slug) DO NOTHING`,
+    [asset, series, new Date(minuteStart), new Date(roundEnd), slug, priceToBeat ? priceToBeat.toFixed(2) : null]
   );
 }
 
-async function insertMarket(minuteStart, slug) {
+async function insertMarket(asset, series, minuteStart, roundEnd, slug, tiePolicy) {
   await pool.query(
-    `INSERT INTO btc_1m_outcomes (minute_start, slug)
-     VALUES ($1, $2)
-     ON CONFLICT (minute_start) DO NOTHING`,
-    [new Date(minuteStart), slug]
+    `INSERT INTO market_outcomes (asset, series, minute_start, round_end, slug, tie_policy)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (slug) DO NOTHING`,
+    [asset, series, new Date(minuteStart), new Date(roundEnd), slug, tiePolicy]
   );
 }
 
-async function updatePriceToBeat(minuteStart, priceToBeat) {
+// fixing: { windowStart, windowEnd, samples } from settlement.getFixing, or null
+// when the price did not come from a TWAP window
+async function updatePriceToBeat(slug, priceToBeat, fixing = null) {
   await pool.query(
-    `UPDATE btc_1m_outcomes
-     SET price_to_beat = $2
-     WHERE minute_start = $1 AND price_to_beat IS NULL`,
-    [new Date(minuteStart), priceToBeat.toFixed(2)]
+    `UPDATE market_outcomes
+     SET price_to_beat = $2,
+         strike_window_start = $3,
+         strike_window_end = $4,
+         strike_samples = $5
+     WHERE slug = $1 AND price_to_beat IS NULL`,
+    [slug, priceToBeat.toFixed(2), ...fixingParams(fixing)]
   );
 }
 
+function fixingParams(fixing) {
+  if (!fixing) return [null, null, null];
+  return [
+    new Date(fixing.windowStart),
+    new Date(fixing.windowEnd),
+    JSON.stringify(fixing.samples.map(s => ({ t: s.timestamp, p: s.price })))
+  ];
+}
+
+function formatFixing(windowStart, windowEnd, samples) {
+  if (!windowStart) return null;
+  return {
+    windowStart: new Date(windowStart).getTime(),
+    windowEnd: new Date(windowEnd).getTime(),
+    samples: samples || []
+  };
+}
+
 async function getMarketBySlug(slug) {
   const result = await pool.query(
-    `SELECT minute_start, slug, price_to_beat, final_price, outcome, created_at
-     FROM btc_1m_outcomes WHERE slug = $1`,
+    `SELECT asset, series, minute_start, round_end, slug, price_to_beat, final_price, outcome, tie_policy, void_reason, created_at,
+            strike_window_start, strike_window_end, strike_samples,
+            settle_window_start, settle_window_end, settle_samples
+     FROM market_outcomes WHERE slug = $1`,
     [slug]
   );
   if (!result.rows[0]) return null;
   const row = result.rows[0];
   return {
+    asset: row.asset,
+    series: row.series,
     minuteStart: new Date(row.minute_start).getTime(),
+    roundEnd: new Date(row.round_end).getTime(),
     slug: row.slug,
     priceToBeat: row.price_to_beat ? parseFloat(row.price_to_beat) : null,
     finalPrice: row.final_price ? parseFloat(row.final_price) : null,
     outcome: row.outcome,
+    tiePolicy: row.tie_policy,
+    voidReason: row.void_reason,
+    strikeFixing: formatFixing(row.strike_window_start, row.strike_window_end, row.strike_samples),
+    settleFixing: formatFixing(row.settle_window_start, row.settle_window_end, row.settle_samples),
     createdAt: new Date(row.created_at).getTime()
   };
 }
 
 async function getActiveMarkets() {
   const result = await pool.query(
-    `SELECT minute_start, slug, price_to_beat, outcome
-     FROM btc_1m_outcomes
+    `SELECT asset, series, minute_start, round_end, slug, price_to_beat, outcome
+     FROM market_outcomes
      WHERE outcome IS NULL
      ORDER BY minute_start ASC`
   );
   return result.rows.map(row => ({
+    asset: row.asset,
+    series: row.series,
     minuteStart: new Date(row.minute_start).getTime(),
+    roundEnd: new Date(row.round_end).getTime(),
     slug: row.slug,
     priceToBeat: row.price_to_beat ? parseFloat(row.price_to_beat) : null,
     outcome: row.outcome
@@ -238,14 +427,17 @@ async function getActiveMarkets() {
 
 async function getAllMarkets(limit = 20) {
   const result = await pool.query(
-    `SELECT minute_start, slug, price_to_beat, final_price, outcome
-     FROM btc_1m_outcomes
+    `SELECT asset, series, minute_start, round_end, slug, price_to_beat, final_price, outcome
+     FROM market_outcomes
      ORDER BY minute_start DESC
      LIMIT $1`,
     [limit]
   );
   return result.rows.map(row => ({
+    asset: row.asset,
+    series: row.series,
     minuteStart: new Date(row.minute_start).getTime(),
+    roundEnd: new Date(row.round_end).getTime(),
     slug: row.slug,
     priceToBeat: row.price_to_beat ? parseFloat(row.price_to_beat) : null,
     finalPrice: row.final_price ? parseFloat(row.final_price) : null,
@@ -253,24 +445,43 @@ async function getAllMarkets(limit = 20) {
   }));
 }
 
-async function completeMinuteOutcome(minuteStart, finalPrice) {
+// outcome: 'up', 'down', or the tie policy's 'refund'/'split'
+async function completeMinuteOutcome(slug, finalPrice, outcome, fixing = null) {
+  await pool.query(
+    `UPDATE market_outcomes
+     SET final_price = $2,
+         outcome = $3,
+         settle_window_start = $4,
+         settle_window_end = $5,
+         settle_samples = $6
+     WHERE slug = $1 AND outcome IS NULL`,
+    [slug, finalPrice.toFixed(2), outcome, ...fixingParams(fixing)]
+  );
+}
+
+// Close a round without a winner; finalPrice may be null if no fixing was possible
+async function voidMarketOutcome(slug, reason, finalPrice, fixing = null) {
   await pool.query(
-    `UPDATE btc_1m_outcomes
+    `UPDATE market_outcomes
      SET final_price = $2,
-         outcome = CASE WHEN $2 >= price_to_beat THEN 'up' ELSE 'down' END
-     WHERE minute_start = $1 AND outcome IS NULL`,
-    [new Date(minuteStart), finalPrice.toFixed(2)]
+         outcome = 'void',
+         void_reason = $3,
+         settle_window_start = $4,
+         settle_window_end = $5,
+         settle_samples = $6
+     WHERE slug = $1 AND outcome IS NULL`,
+    [slug, finalPrice != null ? finalPrice.toFixed(2) : null, reason, ...fixingParams(fixing)]
   );
 }
 
-async function getRecentOutcomes(limit = 5) {
+async function getRecentOutcomes(limit = 5, asset = 'BTC', series = '1m') {
   const result = await pool.query(
     `SELECT price_to_beat, final_price, outcome
-     FROM btc_1m_outcomes
-     WHERE outcome IS NOT NULL
+     FROM market_outcomes
+     WHERE outcome IN ('up', 'down') AND asset = $2 AND series = $3
      ORDER BY minute_start DESC
      LIMIT $1`,
-    [limit]
+    [limit, asset, series]
   );
   return result.rows.reverse().map(row => ({
     priceToBeat: parseFloat(row.price_to_beat),
@@ -279,9 +490,101 @@ async function getRecentOutcomes(limit = 5) {
   }));
 }
 
+// One row per source in the aggregate that was current at the strike or
+// settlement boundary: included sources with their weight, excluded ones
+// with the exclusion reason as status ('stale', 'outlier').
+async function insertSettlementAudit(market, stage, snapshot) {
+  const rows = [
+    ...snapshot.sources.map(s => [s.exchange, s.price, s.weight, s.age, 'included', null]),
+    ...(snapshot.excluded || []).map(e => [e.exchange, e.price, null, e.age, e.reason, e.deviation ?? null])
+  ];
+  if (rows.length === 0) return;
+
+  const values = [];
+  const params = [market, stage, new Date(snapshot.timestamp),
+    snapshot.price !== null ? snapshot.price.toFixed(2) : null, snapshot.method || null];
+  for (const row of rows) {
+    const base = params.length;
+    values.push(`($1, $2, $3, $4, $5, $${base + 1}, $${base + 2}, $${base + 3}, $${base + 4}, $${base + 5}, $${base + 6})`);
+    params.push(...row);
+  }
+
+  await pool.query(
+    `INSERT INTO settlement_audit
+       (market, stage, aggregate_ts, aggregate_price, method, exchange, price, weight, age_ms, status, deviation)
+     VALUES ${values.join(', ')}`,
+    params
+  );
+}
+
+async function getSettlementAudit(market) {
+  const result = await pool.query(
+    `SELECT stage, aggregate_ts, aggregate_price, method, exchange, price, weight, age_ms, status, deviation
+     FROM settlement_audit
+     WHERE market = $1
+     ORDER BY stage DESC, id ASC`,
+    [market]
+  );
+  const audit = { strike: null, settle: null };
+  for (const row of result.rows) {
+    if (!audit[row.stage]) {
+      audit[row.stage] = {
+        timestamp: new Date(row.aggregate_ts).getTime(),
+        price: row.aggregate_price !== null ? parseFloat(row.aggregate_price) : null,
+        method: row.method,
+        sources: []
+      };
+    }
+    audit[row.stage].sources.push({
+      exchange: row.exchange,
+      price: row.price !== null ? parseFloat(row.price) : null,
+      weight: row.weight !== null ? parseFloat(row.weight) : null,
+      age: row.age_ms,
+      status: row.status,
+      deviation: row.deviation !== null ? parseFloat(row.deviation) : null
+    });
+  }
+  return audit;
+}
+
+// Log one runtime source change (weight, enable/disable, added pair)
+async function insertSourceChange(change) {
+  const result = await pool.query(
+    `INSERT INTO source_changes (action, source, asset, old_value, new_value, actor)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id, changed_at`,
+    [change.action, change.source, change.asset || null,
+      change.oldValue === undefined ? null : JSON.stringify(change.oldValue),
+      change.newValue === undefined ? null : JSON.stringify(change.newValue),
+      change.actor || null]
+  );
+  return { id: result.rows[0].id, changedAt: new Date(result.rows[0].changed_at).getTime() };
+}
+
+async function getSourceChanges(limit = 100, source = null) {
+  const result = await pool.query(
+    `SELECT id, action, source, asset, old_value, new_value, actor, changed_at
+     FROM source_changes
+     WHERE $2::text IS NULL OR source = $2
+     ORDER BY changed_at DESC, id DESC
+     LIMIT $1`,
+    [limit, source]
+  );
+  return result.rows.map(row => ({
+    id: parseInt(row.id, 10),
+    action: row.action,
+    source: row.source,
+    asset: row.asset,
+    oldValue: row.old_value,
+    newValue: row.new_value,
+    actor: row.actor,
+    changedAt: new Date(row.changed_at).getTime()
+  }));
+}
+
 async function close() {
   await pool.end();
   console.log('Database pool closed');
 }
 
-module.exports = { pool, init, insertPrice, getRecentPrices, upsertUser, getUser, updateBalance, insertMinuteStart, insertMarket, updatePriceToBeat, getMarketBySlug, getActiveMarkets, getAllMarkets, completeMinuteOutcome, getRecentOutcomes, close };
+module.exports = { pool, init, insertPrice, getRecentPrices, getPricesInWindow, upsertUser, getUser, updateBalance, insertMinuteStart, insertMarket, updatePriceToBeat, getMarketBySlug, getActiveMarkets, getAllMarkets, completeMinuteOutcome, voidMarketOutcome, getRecentOutcomes, insertSettlementAudit, getSettlementAudit, insertSourceChange, getSourceChanges, close };
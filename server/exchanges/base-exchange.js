@@ -2,15 +2,26 @@ const EventEmitter = require('events');
 const config = require('../config');
 
 class BaseExchange extends EventEmitter {
-  constructor(name) {
+  constructor(name, asset = 'BTC') {
     super();
     this.name = name;
+    this.asset = asset;
+    // Log prefix; non-BTC instances are suffixed with their asset (e.g. "binance:ETH")
+    this.label = asset === 'BTC' ? name : `${name}:${asset}`;
+    // Quote currency of the pair ('USD', 'USDT', ...), set by every adapter;
+    // the aggregator converts prices to USD with it
+    this.quote = null;
     this.price = null;
     this.bid = null;
     this.ask = null;
+    this.volume = null;
+    this.bidSize = null;
+    this.askSize = null;
     this.lastUpdate = null;
     this.connected = false;
     this.reconnectAttempts = 0;
+    // Subscribe to the L2 book as well as the ticker (config.depth)
+    this.depthEnabled = config.depth.exchanges.includes(name);
   }
 
   // Must be implemented by subclasses
@@ -22,22 +33,66 @@ class BaseExchange extends EventEmitter {
     throw new Error('disconnect() must be implemented by subclass');
   }
 
+  // Parse one raw feed message (WebSocket frame or REST body)
+  handleMessage(data) {
+    throw new Error('handleMessage() must be implemented by subclass');
+  }
+
+  // Entry point for every raw message; emits 'raw' for the feed recorder first
+  receive(data) {
+    if (this.listenerCount('raw') > 0) {
+      this.emit('raw', { exchange: this.name, asset: this.asset, data: data.toString(), timestamp: Date.now() });
+    }
+    this.handleMessage(data);
+  }
+
   // Update price and emit event
-  updatePrice(price, bid = null, ask = null) {
+  // volume: 24h traded volume in base currency, if the feed reports it
+  // bidSize / askSize: quantity at the best bid / ask, if the ticker carries it
+  updatePrice(price, bid = null, ask = null, volume = null, bidSize = null, askSize = null) {
     this.price = parseFloat(price);
     this.bid = bid ? parseFloat(bid) : null;
     this.ask = ask ? parseFloat(ask) : null;
+    this.volume = volume ? parseFloat(volume) : null;
+    this.bidSize = bidSize ? parseFloat(bidSize) : null;
+    this.askSize = askSize ? parseFloat(askSize) : null;
     this.lastUpdate = Date.now();
 
     this.emit('price', {
       exchange: this.name,
+      asset: this.asset,
       price: this.price,
       bid: this.bid,
       ask: this.ask,
+      volume: this.volume,
+      bidSize: this.bidSize,
+      askSize: this.askSize,
+      quote: this.quote,
       timestamp: this.lastUpdate
     });
   }
 
+  // Emit a normalized top-N book: [[price, size], ...], bids descending and
+  // asks ascending, as numbers. Accepts numeric strings and any order; empty
+  // levels are dropped. exchange overrides the source name for multi-pair
+  // adapters (e.g. "kraken_usdt").
+  updateBook(bids, asks, exchange = this.name) {
+    const levels = config.depth.levels;
+    const normalize = (side, descending) => side
+      .map(([price, size]) => [parseFloat(price), parseFloat(size)])
+      .filter(([price, size]) => price > 0 && size > 0)
+      .sort((a, b) => (descending ? b[0] - a[0] : a[0] - b[0]))
+      .slice(0, levels);
+
+    this.emit('book', {
+      exchange,
+      asset: this.asset,
+      bids: normalize(bids, true),
+      asks: normalize(asks, false),
+      timestamp: Date.now()
+    });
+  }
+
   // Check if data is stale
   isStale(thresholdMs = config.staleThreshold) {
     return !this.lastUpdate || (Date.now() - this.lastUpdate) > thresholdMs;
@@ -46,7 +101,7 @@ class BaseExchange extends EventEmitter {
   // Reconnection logic with exponential backoff
   scheduleReconnect() {
     if (this.reconnectAttempts >= config.reconnect.maxAttempts) {
-      console.error(`[${this.name}] Max reconnect attempts (${config.reconnect.maxAttempts}) reached`);
+      console.error(`[${this.label}] Max reconnect attempts (${config.reconnect.maxAttempts}) reached`);
       this.emit('maxReconnectReached');
       return;
     }
@@ -57,23 +112,35 @@ class BaseExchange extends EventEmitter {
     );
 
     this.reconnectAttempts++;
-    console.log(`[${this.name}] Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts})`);
+    console.log(`[${this.label}] Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts})`);
 
     setTimeout(() => {
       this.connect();
     }, delay);
   }
 
+  // Drop the current connection and reconnect. Used by the health monitor
+  // when a socket stays open but stops delivering prices.
+  forceReconnect() {
+    if (this.ws) {
+      // The adapter's close handler schedules the reconnect
+      this.ws.terminate();
+      return;
+    }
+    this.disconnect();
+    this.connect();
+  }
+
   resetReconnect() {
     this.reconnectAttempts = 0;
   }
 
   log(message) {
-    console.log(`[${this.name}] ${message}`);
+    console.log(`[${this.label}] ${message}`);
   }
 
   logError(message, err = null) {
-    console.error(`[${this.name}] ${message}`, err ? err.message : '');
+    console.error(`[${this.label}] ${message}`, err ? err.message : '');
   }
 }
 
@@ -1,12 +1,17 @@
 const WebSocket = require('ws');
 const BaseExchange = require('./base-exchange');
+const OrderBook = require('./order-book');
+const config = require('../config');
 
 class BitfinexExchange extends BaseExchange {
-  constructor() {
-    super('bitfinex');
+  constructor(asset = 'BTC', options = {}) {
+    super('bitfinex', asset);
+    this.quote = 'USD';
     this.ws = null;
-    this.url = 'wss://api-pub.bitfinex.com/ws/2';
+    this.url = `${options.baseUrl || config.exchanges.bitfinex.baseUrl}/ws/2`;
     this.channelId = null;
+    this.bookChannelId = null;
+    this.book = new OrderBook();
   }
 
   connect() {
@@ -22,49 +27,28 @@ class BitfinexExchange extends BaseExchange {
       this.ws.send(JSON.stringify({
         event: 'subscribe',
         channel: 'ticker',
-        symbol: 'tBTCUSD'
+        symbol: `t${this.asset}USD`
       }));
-    });
-
-    this.ws.on('message', (data) => {
-      try {
-        const msg = JSON.parse(data);
-
-        // Control messages (objects)
-        if (msg.event) {
-          if (msg.event === 'subscribed' && msg.channel === 'ticker') {
-            this.channelId = msg.chanId;
-            this.log('Subscribed to ticker channel ' + msg.chanId);
-          }
-          if (msg.event === 'error') {
-            this.logError('API error: ' + msg.msg);
-          }
-          return;
-        }
-
-        // Data messages (arrays)
-        if (!Array.isArray(msg) || msg[0] !== this.channelId) return;
-
-        // Ignore heartbeats
-        if (msg[1] === 'hb') return;
-
-        const ticker = msg[1];
-        if (!Array.isArray(ticker) || ticker.length < 10) return;
-
-        // [BID, BID_SIZE, ASK, ASK_SIZE, DAILY_CHANGE, DAILY_CHANGE_PERC, LAST_PRICE, VOLUME, HIGH, LOW]
-        const lastPrice = ticker[6];
-        const bid = ticker[0];
-        const ask = ticker[2];
 
-        this.updatePrice(lastPrice, bid, ask);
-      } catch (err) {
-        this.logError('Parse error', err);
+      if (this.depthEnabled) {
+        this.ws.send(JSON.stringify({
+          event: 'subscribe',
+          channel: 'book',
+          symbol: `t${this.asset}USD`,
+          prec: 'P0',
+          freq: 'F0',
+          len: config.depth.levels <= 25 ? '25' : '100'
+        }));
       }
     });
 
+    this.ws.on('message', (data) => this.receive(data));
+
     this.ws.on('close', () => {
       this.connected = false;
       this.channelId = null;
+      this.bookChannelId = null;
+      this.book.clear();
       this.log('Disconnected');
       this.emit('disconnected');
       this.scheduleReconnect();
@@ -79,12 +63,78 @@ class BitfinexExchange extends BaseExchange {
     });
   }
 
+  handleMessage(data) {
+    try {
+      const msg = JSON.parse(data);
+
+      // Control messages (objects)
+      if (msg.event) {
+        if (msg.event === 'subscribed' && msg.channel === 'ticker') {
+          this.channelId = msg.chanId;
+          this.log('Subscribed to ticker channel ' + msg.chanId);
+        }
+        if (msg.event === 'subscribed' && msg.channel === 'book') {
+          this.bookChannelId = msg.chanId;
+          this.book.clear();
+          this.log('Subscribed to book channel ' + msg.chanId);
+        }
+        if (msg.event === 'error') {
+          this.logError('API error: ' + msg.msg);
+        }
+        return;
+      }
+
+      // Data messages (arrays)
+      if (!Array.isArray(msg)) return;
+
+      // Ignore heartbeats
+      if (msg[1] === 'hb') return;
+
+      if (this.bookChannelId !== null && msg[0] === this.bookChannelId) {
+        this.handleBook(msg[1]);
+        return;
+      }
+
+      if (msg[0] !== this.channelId) return;
+
+      const ticker = msg[1];
+      if (!Array.isArray(ticker) || ticker.length < 10) return;
+
+      // [BID, BID_SIZE, ASK, ASK_SIZE, DAILY_CHANGE, DAILY_CHANGE_PERC, LAST_PRICE, VOLUME, HIGH, LOW]
+      const lastPrice = ticker[6];
+      const bid = ticker[0];
+      const ask = ticker[2];
+      const volume = ticker[7];
+
+      this.updatePrice(lastPrice, bid, ask, volume, ticker[1], ticker[3]);
+    } catch (err) {
+      this.logError('Parse error', err);
+    }
+  }
+
+  // Book entries are [PRICE, COUNT, AMOUNT]: AMOUNT > 0 is a bid, < 0 an ask;
+  // COUNT 0 removes the level. The snapshot is an array of entries.
+  handleBook(data) {
+    if (!Array.isArray(data)) return;
+    const snapshot = Array.isArray(data[0]);
+    const entries = snapshot ? data : [data];
+    if (snapshot) this.book.clear();
+    for (const [price, count, amount] of entries) {
+      const side = amount > 0 ? 'bid' : 'ask';
+      this.book.set(side, price, count > 0 ? Math.abs(amount) : 0);
+    }
+    const { bids, asks } = this.book.levels();
+    this.updateBook(bids, asks);
+  }
+
   disconnect() {
     if (this.ws) {
       this.ws.close();
       this.ws = null;
     }
     this.channelId = null;
+    this.bookChannelId = null;
+    this.book.clear();
     this.connected = false;
   }
 }
@@ -1,17 +1,19 @@
 const WebSocket = require('ws');
 const BaseExchange = require('./base-exchange');
 const config = require('../config');
+const OrderBook = require('./order-book');
 
 class BybitExchange extends BaseExchange {
-  constructor() {
-    super('bybit');
+  constructor(asset = 'BTC', options = {}) {
+    super('bybit', asset);
     this.ws = null;
-    this.url = 'wss://stream.bybit.com/v5/public/spot';
+    this.url = `${options.baseUrl || config.exchanges.bybit.baseUrl}/v5/public/spot`;
     this.pingInterval = null;
+    this.books = new Map(); // symbol -> OrderBook
     // Track prices for both pairs
     this.prices = {
-      usdt: { price: null, bid: null, ask: null, timestamp: null },
-      usdc: { price: null, bid: null, ask: null, timestamp: null }
+      usdt: { price: null, bid: null, ask: null, volume: null, timestamp: null },
+      usdc: { price: null, bid: null, ask: null, volume: null, timestamp: null }
     };
   }
 
@@ -25,11 +27,12 @@ class BybitExchange extends BaseExchange {
       this.log('Connected');
       this.emit('connected');
 
-      // Subscribe to both BTCUSDT and BTCUSDC
-      this.ws.send(JSON.stringify({
-        op: 'subscribe',
-        args: ['tickers.BTCUSDT', 'tickers.BTCUSDC']
-      }));
+      // Subscribe to both <ASSET>USDT and <ASSET>USDC (plus their 50-level books)
+      const args = [`tickers.${this.asset}USDT`, `tickers.${this.asset}USDC`];
+      if (this.depthEnabled) {
+        args.push(`orderbook.50.${this.asset}USDT`, `orderbook.50.${this.asset}USDC`);
+      }
+      this.ws.send(JSON.stringify({ op: 'subscribe', args }));
 
       // Ping every 20 seconds to keep alive
       this.pingInterval = setInterval(() => {
@@ -39,55 +42,7 @@ class BybitExchange extends BaseExchange {
       }, config.exchanges.bybit.pingInterval);
     });
 
-    this.ws.on('message', (data) => {
-      try {
-        const msg = JSON.parse(data);
-
-        // Handle pong
-        if (msg.op === 'pong') {
-          return;
-        }
-
-        // Handle subscription confirmation
-        if (msg.op === 'subscribe') {
-          this.log(`Subscribed: ${msg.success ? 'OK' : 'FAILED'}`);
-          return;
-        }
-
-        // Handle ticker data
-        if (msg.topic && msg.topic.startsWith('tickers.') && msg.data) {
-          const symbol = msg.data.symbol;
-          const priceData = {
-            price: parseFloat(msg.data.lastPrice),
-            bid: msg.data.bid1Price ? parseFloat(msg.data.bid1Price) : null,
-            ask: msg.data.ask1Price ? parseFloat(msg.data.ask1Price) : null,
-            timestamp: Date.now()
-          };
-
-          if (symbol === 'BTCUSDT') {
-            this.prices.usdt = priceData;
-            this.emit('price', {
-              exchange: 'bybit_usdt',
-              price: priceData.price,
-              bid: priceData.bid,
-              ask: priceData.ask,
-              timestamp: priceData.timestamp
-            });
-          } else if (symbol === 'BTCUSDC') {
-            this.prices.usdc = priceData;
-            this.emit('price', {
-              exchange: 'bybit_usdc',
-              price: priceData.price,
-              bid: priceData.bid,
-              ask: priceData.ask,
-              timestamp: priceData.timestamp
-            });
-          }
-        }
-      } catch (err) {
-        this.logError('Parse error', err);
-      }
-    });
+    this.ws.on('message', (data) => this.receive(data));
 
     this.ws.on('close', () => {
       this.cleanup();
@@ -103,7 +58,85 @@ class BybitExchange extends BaseExchange {
     });
   }
 
+  handleMessage(data) {
+    try {
+      const msg = JSON.parse(data);
+
+      // Handle pong
+      if (msg.op === 'pong') {
+        return;
+      }
+
+      // Handle subscription confirmation
+      if (msg.op === 'subscribe') {
+        if (msg.success) this.log('Subscribed');
+        else this.logError(`Subscribe failed: ${msg.ret_msg || ''}`);
+        return;
+      }
+
+      // Order book: a snapshot, then deltas where size "0" removes a level
+      if (msg.topic && msg.topic.startsWith('orderbook.') && msg.data) {
+        const symbol = msg.data.s;
+        if (!this.books.has(symbol)) this.books.set(symbol, new OrderBook());
+        const book = this.books.get(symbol);
+        if (msg.type === 'snapshot') {
+          book.snapshot(msg.data.b, msg.data.a);
+        } else {
+          for (const [price, size] of msg.data.b) book.set('bid', price, size);
+          for (const [price, size] of msg.data.a) book.set('ask', price, size);
+        }
+        const { bids, asks } = book.levels();
+        this.updateBook(bids, asks, symbol === `${this.asset}USDC` ? 'bybit_usdc' : 'bybit_usdt');
+        return;
+      }
+
+      // Handle ticker data
+      if (msg.topic && msg.topic.startsWith('tickers.') && msg.data) {
+        const symbol = msg.data.symbol;
+        const priceData = {
+          price: parseFloat(msg.data.lastPrice),
+          bid: msg.data.bid1Price ? parseFloat(msg.data.bid1Price) : null,
+          ask: msg.data.ask1Price ? parseFloat(msg.data.ask1Price) : null,
+          volume: msg.data.volume24h ? parseFloat(msg.data.volume24h) : null,
+          timestamp: Date.now()
+        };
+
+        // Multi-pair adapter emits directly; keep lastUpdate for the health monitor
+        this.lastUpdate = priceData.timestamp;
+
+        if (symbol === `${this.asset}USDT`) {
+          this.prices.usdt = priceData;
+          this.emit('price', {
+            exchange: 'bybit_usdt',
+            asset: this.asset,
+            price: priceData.price,
+            bid: priceData.bid,
+            ask: priceData.ask,
+            volume: priceData.volume,
+            quote: 'USDT',
+            timestamp: priceData.timestamp
+          });
+        } else if (symbol === `${this.asset}USDC`) {
+          this.prices.usdc = priceData;
+          this.emit('price', {
+            exchange: 'bybit_usdc',
+            asset: this.asset,
+            price: priceData.price,
+            bid: priceData.bid,
+            ask: priceData.ask,
+            volume: priceData.volume,
+            quote: 'USDC',
+            timestamp: priceData.timestamp
+          });
+        }
+      }
+    } catch (err) {
+      this.logError('Parse error', err);
+    }
+  }
+
   cleanup() {
+    this.books.clear();
     if (this.pingInterval) {
       clearInterval(this.pingInterval);
       this.pingInterval = null;
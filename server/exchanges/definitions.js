@@ -0,0 +1,215 @@
+// Declarative adapter definitions, run by GenericWsExchange (generic-ws.js).
+// Adding a plain WebSocket ticker feed is an entry here plus a baseUrl in
+// config.exchanges. Only what the format can't express keeps a hand-written
+// class: Gemini (REST polling), KuCoin (token handshake before connecting),
+// Kraken and Bybit (two pairs per connection, incremental books) and
+// Bitfinex (numeric channel ids, incremental book).
+
+module.exports = {
+  // Stream selected by the URL; partial books are added with a SUBSCRIBE
+  // request. Keepalive is a protocol-level ping (answered by ws).
+  binance: {
+    quote: 'USDT',
+    symbol: asset => `${asset.toLowerCase()}usdt`,
+    path: ({ symbol }) => `/ws/${symbol}@bookTicker`,
+    // SUBSCRIBE replies: {result: null, id} or {error: {code, msg}, id}
+    error: msg => (msg.id !== undefined && msg.error ? `Subscribe failed: ${msg.error.msg}` : undefined),
+    // bookTicker: b/B = best bid price/qty, a/A = best ask price/qty, priced at the mid
+    ticker: (msg, { symbol }) => {
+      if (!msg.s || msg.s.toLowerCase() !== symbol || msg.b === undefined) return undefined;
+      return { price: (parseFloat(msg.b) + parseFloat(msg.a)) / 2, bid: msg.b, ask: msg.a, bidSize: msg.B, askSize: msg.A };
+    },
+    // Partial book snapshots (5, 10 or 20 levels every 100ms)
+    depth: {
+      subscribe: ({ symbol, levels }) => ({
+        method: 'SUBSCRIBE',
+        params: [`${symbol}@depth${[5, 10, 20].find(n => n >= levels) || 20}@100ms`],
+        id: 1
+      }),
+      book: msg => (msg.lastUpdateId !== undefined && msg.bids ? { bids: msg.bids, asks: msg.asks } : undefined)
+    }
+  },
+
+  // Public Exchange feed (not Advanced Trade); USDC pairs aren't on the public feed
+  coinbase: {
+    quote: 'USD',
+    symbol: asset => `${asset}-USD`,
+    subscribe: ({ symbol }) => ({ type: 'subscribe', product_ids: [symbol], channels: ['ticker'] }),
+    error: msg => (msg.type === 'error' ? `API error: ${msg.message}` : undefined),
+    ticker: (msg, { symbol }) => {
+      if (msg.type !== 'ticker' || msg.product_id !== symbol) return undefined;
+      return {
+        price: msg.price,
+        bid: msg.best_bid,
+        ask: msg.best_ask,
+        volume: msg.volume_24h,
+        bidSize: msg.best_bid_size,
+        askSize: msg.best_ask_size
+      };
+    }
+  },
+
+  gateio: {
+    quote: 'USDT',
+    symbol: asset => `${asset}_USDT`,
+    path: () => '/ws/v4/',
+    subscribe: ({ symbol }) => ({
+      time: Math.floor(Date.now() / 1000),
+      channel: 'spot.tickers',
+      event: 'subscribe',
+      payload: [symbol]
+    }),
+    // Application-level ping every config.exchanges.gateio.pingInterval; replies come back on spot.pong
+    ping: {
+      message: () => ({ time: Math.floor(Date.now() / 1000), channel: 'spot.ping' })
+    },
+    error: msg => (msg.event === 'subscribe' && msg.error ? `Subscribe failed: ${msg.error.message}` : undefined),
+    ticker: (msg) => {
+      if (msg.channel !== 'spot.tickers' || msg.event !== 'update' || !msg.result) return undefined;
+      return { price: msg.result.last, bid: msg.result.highest_bid, ask: msg.result.lowest_ask, volume: msg.result.base_volume };
+    },
+    // Full top-N snapshots every 100ms (5, 10, 20, 50 or 100 levels)
+    depth: {
+      subscribe: ({ symbol, levels }) => ({
+        time: Math.floor(Date.now() / 1000),
+        channel: 'spot.order_book',
+        event: 'subscribe',
+        payload: [symbol, String([5, 10, 20, 50, 100].find(n => n >= levels) || 100), '100ms']
+      }),
+      book: (msg) => {
+        if (msg.channel !== 'spot.order_book' || msg.event !== 'update' || !msg.result) return undefined;
+        return { bids: msg.result.bids, asks: msg.result.asks };
+      }
+    }
+  },
+
+  // USD perpetual; ticker and book data arrive as subscribe results
+  // (channel 'ticker' / 'book'). Heartbeats must be answered or the server
+  // closes the connection.
+  cryptocom: {
+    quote: 'USD',
+    symbol: asset => `${asset}USD-PERP`,
+    path: () => '/exchange/v1/market',
+    subscribe: ({ symbol }) => ({ id: 1, method: 'subscribe', params: { channels: [`ticker.${symbol}`] }, nonce: Date.now() }),
+    reply: msg => (msg.method === 'public/heartbeat' ? { id: msg.id, method: 'public/respond-heartbeat' } : undefined),
+    error: msg => (msg.method === 'subscribe' && msg.code !== 0 ? `Subscribe failed: ${msg.code} ${msg.message || ''}` : undefined),
+    ticker: (msg) => {
+      if (!msg.result || msg.result.channel !== 'ticker' || !msg.result.data || msg.result.data.length === 0) return undefined;
+      // a = last trade price, b/bs = best bid/size, k/ks = best ask/size, v = 24h volume
+      const t = msg.result.data[0];
+      return { price: t.a, bid: t.b, ask: t.k, volume: t.v, bidSize: t.bs, askSize: t.ks };
+    },
+    // Book snapshots (10 or 50 levels) rather than snapshot + deltas
+    depth: {
+      subscribe: ({ symbol, levels }) => ({
+        id: 2,
+        method: 'subscribe',
+        params: { channels: [`book.${symbol}.${levels <= 10 ? 10 : 50}`], book_subscription_type: 'SNAPSHOT' },
+        nonce: Date.now()
+      }),
+      book: (msg) => {
+        if (!msg.result || msg.result.channel !== 'book' || !msg.result.data || msg.result.data.length === 0) return undefined;
+        return { bids: msg.result.data[0].bids, asks: msg.result.data[0].asks };
+      }
+    }
+  },
+
+  okx: {
+    quote: 'USDT',
+    symbol: asset => `${asset}-USDT`,
+    path: () => '/ws/v5/public',
+    subscribe: ({ symbol }) => ({ op: 'subscribe', args: [{ channel: 'tickers', instId: symbol }] }),
+    // Text ping (connections idle for 30s are closed); the reply is a bare 'pong'
+    ping: { message: 'ping', pong: 'pong' },
+    error: msg => (msg.event === 'error' ? `API error: ${msg.code} ${msg.msg}` : undefined),
+    ticker: (msg, { symbol }) => {
+      if (!msg.arg || msg.arg.channel !== 'tickers' || msg.arg.instId !== symbol || !msg.data) return undefined;
+      const t = msg.data[0];
+      return { price: t.last, bid: t.bidPx, ask: t.askPx, volume: t.vol24h, bidSize: t.bidSz, askSize: t.askSz };
+    },
+    // 5-level snapshots (the full 'books' channel is incremental)
+    depth: {
+      subscribe: ({ symbol }) => ({ op: 'subscribe', args: [{ channel: 'books5', instId: symbol }] }),
+      book: (msg, { symbol }) => {
+        if (!msg.arg || msg.arg.channel !== 'books5' || msg.arg.instId !== symbol || !msg.data) return undefined;
+        return { bids: msg.data[0].bids, asks: msg.data[0].asks };
+      }
+    }
+  },
+
+  // No ticker channel: the top-100 order_book snapshots give the best bid/ask
+  // (priced at the mid, like Binance) and double as the L2 book
+  bitstamp: {
+    quote: 'USD',
+    symbol: asset => `${asset.toLowerCase()}usd`,
+    subscribe: ({ symbol }) => ({ event: 'bts:subscribe', data: { channel: `order_book_${symbol}` } }),
+    error: msg => (msg.event === 'bts:error' ? `API error: ${msg.data && msg.data.message}` : undefined),
+    reconnect: msg => msg.event === 'bts:request_reconnect',
+    ticker: (msg, { symbol }) => {
+      if (msg.event !== 'data' || msg.channel !== `order_book_${symbol}`) return undefined;
+      const [bid] = msg.data.bids || [];
+      const [ask] = msg.data.asks || [];
+      if (!bid || !ask) return undefined;
+      return { price: (parseFloat(bid[0]) + parseFloat(ask[0])) / 2, bid: bid[0], ask: ask[0], bidSize: bid[1], askSize: ask[1] };
+    },
+    depth: {
+      book: (msg, { symbol }) => {
+        if (msg.event !== 'data' || msg.channel !== `order_book_${symbol}`) return undefined;
+        return { bids: msg.data.bids, asks: msg.data.asks };
+      }
+    }
+  },
+
+  // Huobi's feed: gzipped frames, server pings {ping} that must be answered with {pong}
+  htx: {
+    quote: 'USDT',
+    symbol: asset => `${asset.toLowerCase()}usdt`,
+    path: () => '/ws',
+    compression: 'gzip',
+    subscribe: ({ symbol }) => ({ sub: `market.${symbol}.ticker`, id: `${symbol}-ticker` }),
+    reply: msg => (msg.ping !== undefined ? { pong: msg.ping } : undefined),
+    error: msg => (msg.status === 'error' ? `API error: ${msg['err-code']} ${msg['err-msg']}` : undefined),
+    ticker: (msg, { symbol }) => {
+      if (msg.ch !== `market.${symbol}.ticker` || !msg.tick) return undefined;
+      const t = msg.tick;
+      // amount = 24h volume in base currency (vol is in quote)
+      return { price: t.lastPrice, bid: t.bid, ask: t.ask, volume: t.amount, bidSize: t.bidSize, askSize: t.askSize };
+    },
+    // 150-level snapshots without price aggregation (step0)
+    depth: {
+      subscribe: ({ symbol }) => ({ sub: `market.${symbol}.depth.step0`, id: `${symbol}-depth` }),
+      book: (msg, { symbol }) => {
+        if (msg.ch !== `market.${symbol}.depth.step0` || !msg.tick) return undefined;
+        return { bids: msg.tick.bids, asks: msg.tick.asks };
+      }
+    }
+  },
+
+  // KRW market; prices are converted to USD with the FX rate (config.fx).
+  // Uses the orderbook stream (15 levels) for both the mid and the L2 book,
+  // since Upbit's ticker has no best bid/ask.
+  upbit: {
+    quote: 'KRW',
+    symbol: asset => `KRW-${asset}`,
+    path: () => '/websocket/v1',
+    // The request is itself a JSON array, so it's wrapped as a one-message list
+    subscribe: ({ symbol }) => [[{ ticket: `cexmidprice-${Date.now()}` }, { type: 'orderbook', codes: [symbol] }]],
+    // Idle connections are closed after 120s; the server answers {"status":"UP"}
+    ping: { message: 'PING' },
+    error: msg => (msg.error ? `API error: ${msg.error.name} ${msg.error.message}` : undefined),
+    ticker: (msg, { symbol }) => {
+      if (msg.type !== 'orderbook' || msg.code !== symbol || !msg.orderbook_units || msg.orderbook_units.length === 0) return undefined;
+      const top = msg.orderbook_units[0];
+      return { price: (top.bid_price + top.ask_price) / 2, bid: top.bid_price, ask: top.ask_price, bidSize: top.bid_size, askSize: top.ask_size };
+    },
+    depth: {
+      book: (msg, { symbol }) => {
+        if (msg.type !== 'orderbook' || msg.code !== symbol || !msg.orderbook_units) return undefined;
+        return {
+          bids: msg.orderbook_units.map(u => [u.bid_price, u.bid_size]),
+          asks: msg.orderbook_units.map(u => [u.ask_price, u.ask_size])
+        };
+      }
+    }
+  }
+};
@@ -2,9 +2,12 @@ const BaseExchange = require('./base-exchange');
 const config = require('../config');
 
 class GeminiExchange extends BaseExchange {
-  constructor() {
-    super('gemini');
-    this.url = 'https://api.gemini.com/v2/ticker/BTCUSD';
+  constructor(asset = 'BTC', options = {}) {
+    super('gemini', asset);
+    this.quote = 'USD';
+    const baseUrl = options.baseUrl || config.exchanges.gemini.baseUrl;
+    this.url = `${baseUrl}/v2/ticker/${asset}USD`;
+    this.bookUrl = `${baseUrl}/v1/book/${asset.toLowerCase()}usd?limit_bids=${config.depth.levels}&limit_asks=${config.depth.levels}`;
     this.pollInterval = null;
     this.pollRate = config.exchanges.gemini.pollInterval;
   }
@@ -31,9 +34,15 @@ class GeminiExchange extends BaseExchange {
         throw new Error(`HTTP ${response.status}`);
       }
 
-      const data = await response.json();
-      // Response: { symbol, open, high, low, close, changes[], bid, ask }
-      this.updatePrice(data.close, data.bid, data.ask);
+      this.receive(await response.text());
+
+      if (this.depthEnabled) {
+        const bookResponse = await fetch(this.bookUrl);
+        if (!bookResponse.ok) {
+          throw new Error(`Book HTTP ${bookResponse.status}`);
+        }
+        this.receive(await bookResponse.text());
+      }
     } catch (err) {
       this.logError('Fetch error', err);
       this.emit('error', err);
@@ -41,6 +50,24 @@ class GeminiExchange extends BaseExchange {
     }
   }
 
+  handleMessage(data) {
+    try {
+      const ticker = JSON.parse(data);
+
+      // Book response: { bids: [{price, amount, timestamp}], asks: [...] }
+      if (Array.isArray(ticker.bids)) {
+        const levels = side => side.map(l => [l.price, l.amount]);
+        this.updateBook(levels(ticker.bids), levels(ticker.asks || []));
+        return;
+      }
+
+      // Response: { symbol, open, high, low, close, changes[], bid, ask }
+      this.updatePrice(ticker.close, ticker.bid, ticker.ask);
+    } catch (err) {
+      this.logError('Parse error', err);
+    }
+  }
+
   disconnect() {
     if (this.pollInterval) {
       clearInterval(this.pollInterval);
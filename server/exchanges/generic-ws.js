@@ -0,0 +1,176 @@
+const zlib = require('zlib');
+const WebSocket = require('ws');
+const BaseExchange = require('./base-exchange');
+const config = require('../config');
+
+/**
+ * WebSocket adapter driven by a declarative definition (see definitions.js)
+ * instead of a hand-written class. The definition describes the exchange;
+ * this class does the connect / subscribe / ping / reconnect work.
+ *
+ * Definition fields (functions get ctx = {asset, symbol, levels}):
+ *   quote      - quote currency of the pair ('USD', 'USDT', ...), for USD conversion
+ *   symbol     - asset => exchange symbol (e.g. 'BTC' => 'BTC_USDT')
+ *   path       - ctx => path appended to config.exchanges.<name>.baseUrl
+ *   subscribe  - ctx => message, or array of messages, sent on open
+ *   ping       - {interval, message, pong}: message sent every interval ms
+ *                (default config.exchanges.<name>.pingInterval); a text
+ *                frame equal to pong is swallowed
+ *   reply      - msg => message to send back (server heartbeats), or undefined
+ *   error      - msg => error text to log (failed subscribes, API errors), or undefined
+ *   reconnect  - msg => true when the server asks clients to reconnect
+ *   ticker     - (msg, ctx) => {price, bid, ask, volume, bidSize, askSize}, or undefined
+ *   depth      - {subscribe: ctx => message(s), book: (msg, ctx) => {bids, asks}}
+ *                used when depth is enabled for the exchange (config.depth);
+ *                subscribe can be omitted when the ticker feed carries the book
+ *   compression - 'gzip' or 'deflate' for exchanges that send compressed binary frames
+ *
+ * Objects are sent as JSON, strings as-is.
+ */
+class GenericWsExchange extends BaseExchange {
+  constructor(name, definition, asset = 'BTC', options = {}) {
+    super(name, asset);
+    this.definition = definition;
+    this.quote = definition.quote || null;
+    this.ws = null;
+    this.pingInterval = null;
+    this.context = {
+      asset,
+      symbol: definition.symbol ? definition.symbol(asset) : asset,
+      levels: config.depth.levels
+    };
+    const path = definition.path ? definition.path(this.context) : '';
+    this.url = `${options.baseUrl || config.exchanges[name].baseUrl}${path}`;
+  }
+
+  connect() {
+    this.log('Connecting...');
+    this.ws = new WebSocket(this.url);
+
+    this.ws.on('open', () => {
+      this.connected = true;
+      this.resetReconnect();
+      this.log('Connected');
+      this.emit('connected');
+
+      const { subscribe, depth, ping } = this.definition;
+      if (subscribe) this.send(subscribe(this.context));
+      if (this.depthEnabled && depth && depth.subscribe) this.send(depth.subscribe(this.context));
+
+      if (ping) {
+        this.pingInterval = setInterval(() => {
+          if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+            this.send(typeof ping.message === 'function' ? ping.message(this.context) : ping.message);
+          }
+        }, ping.interval || config.exchanges[this.name].pingInterval);
+      }
+    });
+
+    this.ws.on('message', (data) => this.receive(this.decode(data)));
+
+    this.ws.on('close', () => {
+      if (this.pingInterval) clearInterval(this.pingInterval);
+      this.pingInterval = null;
+      this.connected = false;
+      this.log('Disconnected');
+      this.emit('disconnected');
+      this.scheduleReconnect();
+    });
+
+    this.ws.on('error', (err) => {
+      this.logError('WebSocket error', err);
+      this.emit('error', err);
+      if (this.ws) {
+        this.ws.close();
+      }
+    });
+  }
+
+  // Send one message or a list of them
+  send(messages) {
+    for (const message of [].concat(messages)) {
+      if (message === undefined || message === null) continue;
+      this.ws.send(typeof message === 'string' ? message : JSON.stringify(message));
+    }
+  }
+
+  // Inflate compressed frames before they're recorded or parsed
+  decode(data) {
+    try {
+      if (this.definition.compression === 'gzip') return zlib.gunzipSync(data).toString();
+      if (this.definition.compression === 'deflate') return zlib.inflateRawSync(data).toString();
+    } catch (err) {
+      this.logError('Decompress error', err);
+      return '';
+    }
+    return data;
+  }
+
+  handleMessage(data) {
+    const text = data.toString();
+    const { ping, reply, error, reconnect, ticker, depth } = this.definition;
+    if (!text || (ping && ping.pong !== undefined && text === ping.pong)) return;
+
+    try {
+      const msg = JSON.parse(text);
+
+      // Server heartbeats (no socket when replaying)
+      const response = reply ? reply(msg) : undefined;
+      if (response !== undefined) {
+        if (this.ws) this.send(response);
+        return;
+      }
+
+      const message = error ? error(msg) : undefined;
+      if (message) {
+        this.logError(message);
+        return;
+      }
+
+      if (reconnect && reconnect(msg)) {
+        this.log('Server requested reconnect');
+        if (this.ws) this.forceReconnect();
+        return;
+      }
+
+      // One message can carry both (e.g. a book snapshot that is also the ticker)
+      const book = this.depthEnabled && depth ? depth.book(msg, this.context) : undefined;
+      if (book) {
+        this.updateBook(book.bids || [], book.asks || []);
+      }
+
+      const t = ticker(msg, this.context);
+      if (t && t.price) {
+        this.updatePrice(t.price, t.bid, t.ask, t.volume, t.bidSize, t.askSize);
+      }
+    } catch (err) {
+      this.logError('Parse error', err);
+    }
+  }
+
+  disconnect() {
+    if (this.pingInterval) clearInterval(this.pingInterval);
+    this.pingInterval = null;
+    if (this.ws) {
+      this.ws.close();
+      this.ws = null;
+    }
+    this.connected = false;
+  }
+}
+
+/**
+ * Adapter class for a definition, with the same (asset, options)
+ * constructor as the hand-written adapters.
+ * @param {string} name - exchange name (source name and config.exchanges key)
+ * @param {object} definition
+ */
+function defineExchange(name, definition) {
+  return class extends GenericWsExchange {
+    constructor(asset = 'BTC', options = {}) {
+      super(name, definition, asset, options);
+    }
+  };
+}
+
+module.exports = { GenericWsExchange, defineExchange };
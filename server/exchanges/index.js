@@ -0,0 +1,19 @@
+const { defineExchange } = require('./generic-ws');
+const definitions = require('./definitions');
+
+// Adapter classes by exchange name. Used to build the configured adapters,
+// to add pairs at runtime and to parse recorded feeds.
+// Exchanges in definitions.js run on the generic WebSocket adapter.
+const adapters = {
+  gemini: require('./gemini'),
+  kucoin: require('./kucoin'),
+  kraken: require('./kraken'),
+  bybit: require('./bybit'),
+  bitfinex: require('./bitfinex')
+};
+
+for (const [name, definition] of Object.entries(definitions)) {
+  adapters[name] = defineExchange(name, definition);
+}
+
+module.exports = adapters;
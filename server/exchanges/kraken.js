@@ -1,16 +1,20 @@
 const WebSocket = require('ws');
 const BaseExchange = require('./base-exchange');
+const config = require('../config');
+const OrderBook = require('./order-book');
 
 class KrakenExchange extends BaseExchange {
-  constructor() {
-    super('kraken');
+  constructor(asset = 'BTC', options = {}) {
+    super('kraken', asset);
     this.ws = null;
-    this.url = 'wss://ws.kraken.com/v2';
+    this.url = `${options.baseUrl || config.exchanges.kraken.baseUrl}/v2`;
     this.pingInterval = null;
+    this.books = new Map(); // symbol -> OrderBook
+    this.bookDepth = [10, 25, 100].find(n => n >= config.depth.levels) || 100;
     // Track prices for both pairs
     this.prices = {
-      usdt: { price: null, bid: null, ask: null, timestamp: null },
-      usdc: { price: null, bid: null, ask: null, timestamp: null }
+      usdt: { price: null, bid: null, ask: null, volume: null, timestamp: null },
+      usdc: { price: null, bid: null, ask: null, volume: null, timestamp: null }
     };
   }
 
@@ -24,74 +28,42 @@ class KrakenExchange extends BaseExchange {
       this.log('Connected');
       this.emit('connected');
 
-      // Subscribe to ticker for BTC/USDT and BTC/USDC
+      // Subscribe to ticker for <ASSET>/USDT and <ASSET>/USDC. The primary
+      // asset's connection also carries the USDT/USD and USDC/USD rates
+      // used for stablecoin normalization.
+      const symbols = [`${this.asset}/USDT`, `${this.asset}/USDC`];
+      if (this.asset === config.assets[0]) {
+        symbols.push('USDT/USD', 'USDC/USD');
+      }
       this.ws.send(JSON.stringify({
         method: 'subscribe',
         params: {
           channel: 'ticker',
-          symbol: ['BTC/USDT', 'BTC/USDC']
+          symbol: symbols
         }
       }));
 
-      // Send ping every 30 seconds to keep connection alive
+      // Book for the asset pairs only
+      if (this.depthEnabled) {
+        this.ws.send(JSON.stringify({
+          method: 'subscribe',
+          params: {
+            channel: 'book',
+            symbol: [`${this.asset}/USDT`, `${this.asset}/USDC`],
+            depth: this.bookDepth
+          }
+        }));
+      }
+
+      // Send ping periodically to keep connection alive
       this.pingInterval = setInterval(() => {
         if (this.ws && this.ws.readyState === WebSocket.OPEN) {
           this.ws.send(JSON.stringify({ method: 'ping' }));
         }
-      }, 30000);
+      }, config.exchanges.kraken.pingInterval);
     });
 
-    this.ws.on('message', (data) => {
-      try {
-        const msg = JSON.parse(data);
-
-        // Handle pong
-        if (msg.method === 'pong') {
-          return;
-        }
-
-        // Handle subscription response
-        if (msg.method === 'subscribe') {
-          this.log(`Subscribe ${msg.success ? 'OK' : 'FAILED'}: ${msg.result?.symbol || ''}`);
-          return;
-        }
-
-        // Handle ticker channel data
-        if (msg.channel === 'ticker' && msg.data && Array.isArray(msg.data)) {
-          for (const ticker of msg.data) {
-            const symbol = ticker.symbol;
-            const priceData = {
-              price: parseFloat(ticker.last),
-              bid: ticker.bid ? parseFloat(ticker.bid) : null,
-              ask: ticker.ask ? parseFloat(ticker.ask) : null,
-              timestamp: Date.now()
-            };
-
-            if (symbol === 'BTC/USDT') {
-              this.prices.usdt = priceData;
-              this.emit('price', {
-                exchange: 'kraken_usdt',
-                price: priceData.price,
-                bid: priceData.bid,
-                ask: priceData.ask,
-                timestamp: priceData.timestamp
-              });
-            } else if (symbol === 'BTC/USDC') {
-              this.prices.usdc = priceData;
-              this.emit('price', {
-                exchange: 'kraken_usdc',
-                price: priceData.price,
-                bid: priceData.bid,
-                ask: priceData.ask,
-                timestamp: priceData.timestamp
-              });
-            }
-          }
-        }
-      } catch (err) {
-        this.logError('Parse error', err);
-      }
-    });
+    this.ws.on('message', (data) => this.receive(data));
 
     this.ws.on('close', () => {
       this.cleanup();
@@ -107,7 +79,108 @@ class KrakenExchange extends BaseExchange {
     });
   }
 
+  handleMessage(data) {
+    try {
+      const msg = JSON.parse(data);
+
+      // Handle pong
+      if (msg.method === 'pong') {
+        return;
+      }
+
+      // Handle subscription response
+      if (msg.method === 'subscribe') {
+        if (msg.success) this.log(`Subscribed: ${msg.result?.symbol || ''}`);
+        else this.logError(`Subscribe failed: ${msg.error || msg.symbol || ''}`);
+        return;
+      }
+
+      // Book: a snapshot, then updates where qty 0 removes a level
+      if (msg.channel === 'book' && Array.isArray(msg.data)) {
+        for (const update of msg.data) {
+          if (!this.books.has(update.symbol)) this.books.set(update.symbol, new OrderBook());
+          const book = this.books.get(update.symbol);
+          const bids = (update.bids || []).map(l => [l.price, l.qty]);
+          const asks = (update.asks || []).map(l => [l.price, l.qty]);
+          if (msg.type === 'snapshot') {
+            book.snapshot(bids, asks);
+          } else {
+            for (const [price, qty] of bids) book.set('bid', price, qty);
+            for (const [price, qty] of asks) book.set('ask', price, qty);
+            book.truncate(this.bookDepth);
+          }
+          const levels = book.levels();
+          this.updateBook(levels.bids, levels.asks, update.symbol === `${this.asset}/USDC` ? 'kraken_usdc' : 'kraken_usdt');
+        }
+        return;
+      }
+
+      // Handle ticker channel data
+      if (msg.channel === 'ticker' && msg.data && Array.isArray(msg.data)) {
+        for (const ticker of msg.data) {
+          const symbol = ticker.symbol;
+          const priceData = {
+            price: parseFloat(ticker.last),
+            bid: ticker.bid ? parseFloat(ticker.bid) : null,
+            ask: ticker.ask ? parseFloat(ticker.ask) : null,
+            volume: ticker.volume ? parseFloat(ticker.volume) : null,
+            bidSize: ticker.bid_qty ? parseFloat(ticker.bid_qty) : null,
+            askSize: ticker.ask_qty ? parseFloat(ticker.ask_qty) : null,
+            timestamp: Date.now()
+          };
+
+          // Multi-pair adapter emits directly; keep lastUpdate for the health monitor
+          this.lastUpdate = priceData.timestamp;
+
+          if (symbol === `${this.asset}/USDT`) {
+            this.prices.usdt = priceData;
+            this.emit('price', {
+              exchange: 'kraken_usdt',
+              asset: this.asset,
+              price: priceData.price,
+              bid: priceData.bid,
+              ask: priceData.ask,
+              volume: priceData.volume,
+              bidSize: priceData.bidSize,
+              askSize: priceData.askSize,
+              quote: 'USDT',
+              timestamp: priceData.timestamp
+            });
+          } else if (symbol === `${this.asset}/USDC`) {
+            this.prices.usdc = priceData;
+            this.emit('price', {
+              exchange: 'kraken_usdc',
+              asset: this.asset,
+              price: priceData.price,
+              bid: priceData.bid,
+              ask: priceData.ask,
+              volume: priceData.volume,
+              bidSize: priceData.bidSize,
+              askSize: priceData.askSize,
+              quote: 'USDC',
+              timestamp: priceData.timestamp
+            });
+          } else if (symbol === 'USDT/USD' || symbol === 'USDC/USD') {
+            // Stablecoin rate: prefer the book mid, fall back to last trade
+            const rate = priceData.bid && priceData.ask
+              ? (priceData.bid + priceData.ask) / 2
+              : priceData.price;
+            this.emit('rate', {
+              exchange: 'kraken',
+              currency: symbol.split('/')[0],
+              rate,
+              timestamp: priceData.timestamp
+            });
+          }
+        }
+      }
+    } catch (err) {
+      this.logError('Parse error', err);
+    }
+  }
+
   cleanup() {
+    this.books.clear();
     if (this.pingInterval) {
       clearInterval(this.pingInterval);
       this.pingInterval = null;
@@ -3,12 +3,16 @@ const BaseExchange = require('./base-exchange');
 const config = require('../config');
 
 class KuCoinExchange extends BaseExchange {
-  constructor() {
-    super('kucoin');
+  constructor(asset = 'BTC', options = {}) {
+    super('kucoin', asset);
+    this.quote = 'USDT';
     this.ws = null;
+    this.topic = `/market/ticker:${asset}-USDT`;
+    this.depthTopic = `/spotMarket/level2Depth${config.depth.levels <= 5 ? 5 : 50}:${asset}-USDT`;
     this.token = null;
     this.pingInterval = null;
     this.connectId = null;
+    this.tokenUrl = `${options.baseUrl || config.exchanges.kucoin.baseUrl}/api/v1/bullet-public`;
   }
 
   async connect() {
@@ -16,7 +20,7 @@ class KuCoinExchange extends BaseExchange {
       this.log('Getting connection token...');
 
       // Step 1: Get public token via REST API
-      const tokenResponse = await fetch('https://api.kucoin.com/api/v1/bullet-public', {
+      const tokenResponse = await fetch(this.tokenUrl, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
@@ -46,14 +50,24 @@ class KuCoinExchange extends BaseExchange {
         this.log('Connected');
         this.emit('connected');
 
-        // Subscribe to BTC-USDT ticker
+        // Subscribe to <ASSET>-USDT ticker
         this.ws.send(JSON.stringify({
           id: Date.now(),
           type: 'subscribe',
-          topic: '/market/ticker:BTC-USDT',
+          topic: this.topic,
           response: true
         }));
 
+        // Top 5 / 50 book snapshots
+        if (this.depthEnabled) {
+          this.ws.send(JSON.stringify({
+            id: Date.now() + 1,
+            type: 'subscribe',
+            topic: this.depthTopic,
+            response: true
+          }));
+        }
+
         // Ping to keep connection alive
         this.pingInterval = setInterval(() => {
           if (this.ws && this.ws.readyState === WebSocket.OPEN) {
@@ -65,39 +79,7 @@ class KuCoinExchange extends BaseExchange {
         }, pingIntervalMs);
       });
 
-      this.ws.on('message', (data) => {
-        try {
-          const msg = JSON.parse(data);
-
-          // Handle welcome message
-          if (msg.type === 'welcome') {
-            this.log('Welcome received');
-            return;
-          }
-
-          // Handle pong
-          if (msg.type === 'pong') {
-            return;
-          }
-
-          // Handle subscription ack
-          if (msg.type === 'ack') {
-            this.log('Subscription acknowledged');
-            return;
-          }
-
-          // Handle ticker message
-          if (msg.type === 'message' && msg.topic === '/market/ticker:BTC-USDT' && msg.data) {
-            this.updatePrice(
-              msg.data.price,
-              msg.data.bestBid,
-              msg.data.bestAsk
-            );
-          }
-        } catch (err) {
-          this.logError('Parse error', err);
-        }
-      });
+      this.ws.on('message', (data) => this.receive(data));
 
       this.ws.on('close', () => {
         this.cleanup();
@@ -119,6 +101,55 @@ class KuCoinExchange extends BaseExchange {
     }
   }
 
+  handleMessage(data) {
+    try {
+      const msg = JSON.parse(data);
+
+      // Handle welcome message
+      if (msg.type === 'welcome') {
+        this.log('Welcome received');
+        return;
+      }
+
+      // Handle pong
+      if (msg.type === 'pong') {
+        return;
+      }
+
+      // Handle subscription ack
+      if (msg.type === 'ack') {
+        this.log('Subscription acknowledged');
+        return;
+      }
+
+      // Handle subscription / token errors
+      if (msg.type === 'error') {
+        this.logError(`API error ${msg.code}: ${msg.data}`);
+        return;
+      }
+
+      // Handle book snapshot
+      if (msg.type === 'message' && msg.topic === this.depthTopic && msg.data) {
+        this.updateBook(msg.data.bids || [], msg.data.asks || []);
+        return;
+      }
+
+      // Handle ticker message
+      if (msg.type === 'message' && msg.topic === this.topic && msg.data) {
+        this.updatePrice(
+          msg.data.price,
+          msg.data.bestBid,
+          msg.data.bestAsk,
+          null,
+          msg.data.bestBidSize,
+          msg.data.bestAskSize
+        );
+      }
+    } catch (err) {
+      this.logError('Parse error', err);
+    }
+  }
+
   cleanup() {
     if (this.pingInterval) {
       clearInterval(this.pingInterval);
@@ -0,0 +1,46 @@
+// Local L2 book for feeds that send a snapshot followed by incremental
+// updates (Bybit, Kraken, Bitfinex). A level with size 0 is removed.
+class OrderBook {
+  constructor() {
+    this.bids = new Map(); // price -> size
+    this.asks = new Map();
+  }
+
+  snapshot(bids, asks) {
+    this.bids.clear();
+    this.asks.clear();
+    for (const [price, size] of bids) this.set('bid', price, size);
+    for (const [price, size] of asks) this.set('ask', price, size);
+  }
+
+  set(side, price, size) {
+    const levels = side === 'bid' ? this.bids : this.asks;
+    price = parseFloat(price);
+    size = parseFloat(size);
+    if (size > 0) levels.set(price, size);
+    else levels.delete(price);
+  }
+
+  // Keep only the best `depth` levels per side (for feeds that stop sending
+  // updates for levels pushed out of the subscribed depth)
+  truncate(depth) {
+    const keep = (levels, descending) => {
+      const prices = [...levels.keys()].sort((a, b) => (descending ? b - a : a - b));
+      for (const price of prices.slice(depth)) levels.delete(price);
+    };
+    keep(this.bids, true);
+    keep(this.asks, false);
+  }
+
+  clear() {
+    this.bids.clear();
+    this.asks.clear();
+  }
+
+  // Levels as [[price, size], ...]; BaseExchange.updateBook sorts and trims
+  levels() {
+    return { bids: [...this.bids], asks: [...this.asks] };
+  }
+}
+
+module.exports = OrderBook;
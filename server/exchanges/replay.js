@@ -0,0 +1,139 @@
+const fs = require('fs');
+const BaseExchange = require('./base-exchange');
+
+/**
+ * Plays back a feed recorded by FeedRecorder through a real adapter's
+ * parser, so the aggregator sees exactly what it saw live.
+ *
+ * The wrapped adapter is never connected; its handleMessage() is fed the
+ * recorded frames and its 'price'/'rate' events are re-emitted here.
+ * Timing is relative to startTime (shared by all adapters of a recording,
+ * so cross-exchange ordering is preserved) and divided by speed.
+ */
+class ReplayExchange extends BaseExchange {
+  /**
+   * @param {BaseExchange} parser - adapter instance used to parse recorded frames
+   * @param {Array<{t: number, type: string, data?: string}>} events - this adapter's events, oldest first
+   * @param {object} [options]
+   * @param {number} [options.startTime] - recording start (defaults to the first event)
+   * @param {number} [options.speed=1] - playback speed multiplier
+   * @param {boolean} [options.loop=false] - start over when the recording ends
+   */
+  constructor(parser, events, options = {}) {
+    super(parser.name, parser.asset);
+    this.parser = parser;
+    this.events = events;
+    this.startTime = options.startTime ?? (events[0] ? events[0].t : 0);
+    this.speed = options.speed || 1;
+    this.loop = options.loop || false;
+    this.timer = null;
+    this.index = 0;
+    this.playbackStart = null;
+
+    parser.on('price', (data) => {
+      this.price = data.price;
+      this.bid = data.bid;
+      this.ask = data.ask;
+      this.volume = data.volume;
+      this.lastUpdate = data.timestamp;
+      this.emit('price', data);
+    });
+    parser.on('rate', (data) => this.emit('rate', data));
+    parser.on('book', (data) => this.emit('book', data));
+  }
+
+  connect() {
+    this.log(`Replaying ${this.events.length} events at ${this.speed}x`);
+    this.connected = true;
+    this.emit('connected');
+    this.index = 0;
+    this.playbackStart = Date.now();
+    this.scheduleNext();
+  }
+
+  // One timer at a time; each event fires at its offset from the recording start
+  scheduleNext() {
+    if (this.index >= this.events.length) {
+      if (this.loop) {
+        this.log('Recording finished, looping');
+        this.index = 0;
+        this.playbackStart = Date.now();
+      } else {
+        this.log('Recording finished');
+        return;
+      }
+    }
+
+    const event = this.events[this.index];
+    const due = this.playbackStart + (event.t - this.startTime) / this.speed;
+    this.timer = setTimeout(() => {
+      this.index++;
+      this.play(event);
+      this.scheduleNext();
+    }, Math.max(0, due - Date.now()));
+  }
+
+  play(event) {
+    if (event.type === 'message') {
+      this.parser.handleMessage(event.data);
+    } else if (event.type === 'disconnected' && this.connected) {
+      this.connected = false;
+      this.emit('disconnected');
+    } else if (event.type === 'connected' && !this.connected) {
+      this.connected = true;
+      this.emit('connected');
+    }
+  }
+
+  handleMessage(data) {
+    this.parser.handleMessage(data);
+  }
+
+  forceReconnect() {
+    // Nothing to reconnect to; keep playing
+  }
+
+  disconnect() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.connected = false;
+  }
+
+  /**
+   * Load a recording and build one ReplayExchange per recorded adapter.
+   * @param {string} filePath - NDJSON file written by FeedRecorder
+   * @param {Object<string, Function>} adapters - exchange name → adapter class
+   * @param {object} [options] - speed / loop, see constructor
+   * @returns {ReplayExchange[]}
+   */
+  static fromFile(filePath, adapters, options = {}) {
+    const groups = new Map(); // "name:asset" → events
+    let startTime = Infinity;
+
+    for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      const event = JSON.parse(line);
+      const key = `${event.exchange}:${event.asset}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(event);
+      startTime = Math.min(startTime, event.t);
+    }
+
+    const exchanges = [];
+    for (const [key, events] of groups) {
+      const [name, asset] = key.split(':');
+      const Adapter = adapters[name];
+      if (!Adapter) {
+        console.warn(`[replay] No adapter for ${name}, skipping ${events.length} events`);
+        continue;
+      }
+      events.sort((a, b) => a.t - b.t);
+      exchanges.push(new ReplayExchange(new Adapter(asset), events, { ...options, startTime }));
+    }
+    return exchanges;
+  }
+}
+
+module.exports = ReplayExchange;
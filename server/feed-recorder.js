@@ -0,0 +1,56 @@
+const fs = require('fs');
+
+/**
+ * Records every raw message from a set of exchange adapters to an NDJSON
+ * file, one event per line:
+ *   {"t": 1700000000000, "exchange": "binance", "asset": "BTC", "type": "message", "data": "<raw frame>"}
+ * Connection changes are recorded as type "connected" / "disconnected".
+ * The file can be played back with exchanges/replay.js.
+ */
+class FeedRecorder {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.stream = null;
+    this.count = 0;
+  }
+
+  start(exchanges) {
+    this.stream = fs.createWriteStream(this.filePath, { flags: 'a' });
+    this.stream.on('error', (err) => console.error(`[recorder] ${err.message}`));
+
+    for (const exchange of exchanges) {
+      this.track(exchange);
+    }
+
+    console.log(`Recording raw exchange feeds to ${this.filePath}`);
+  }
+
+  // Record one adapter (also used for pairs added at runtime)
+  track(exchange) {
+    exchange.on('raw', (msg) => {
+      this.write({ t: msg.timestamp, exchange: msg.exchange, asset: msg.asset, type: 'message', data: msg.data });
+    });
+    exchange.on('connected', () => {
+      this.write({ t: Date.now(), exchange: exchange.name, asset: exchange.asset, type: 'connected' });
+    });
+    exchange.on('disconnected', () => {
+      this.write({ t: Date.now(), exchange: exchange.name, asset: exchange.asset, type: 'disconnected' });
+    });
+  }
+
+  write(event) {
+    if (!this.stream) return;
+    this.stream.write(JSON.stringify(event) + '\n');
+    this.count++;
+  }
+
+  stop() {
+    if (this.stream) {
+      this.stream.end();
+      this.stream = null;
+      console.log(`Recorder closed (${this.count} events written)`);
+    }
+  }
+}
+
+module.exports = FeedRecorder;
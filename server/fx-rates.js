@@ -0,0 +1,83 @@
+const config = require('./config');
+
+/**
+ * Fiat → USD rates (config.fx.currencies, e.g. KRW) for sources quoted in a
+ * local currency. Polls a USD-based FX API (open.er-api.com format:
+ * {result, rates: {KRW: 1380.5, ...}} in units per USD).
+ *
+ * Unlike StablecoinRates there is no fallback: a price in a currency without
+ * a fresh rate can't be converted, so getRate() returns null.
+ */
+class FxRates {
+  constructor() {
+    /** @type {Map<string, {rate: number, timestamp: number}>} currency → USD per unit */
+    this.rates = new Map();
+    this.url = `${config.fx.baseUrl}/v6/latest/USD`;
+    this.pollInterval = null;
+  }
+
+  start() {
+    if (config.fx.currencies.length === 0) return;
+    this.fetchRates();
+    this.pollInterval = setInterval(() => this.fetchRates(), config.fx.pollInterval);
+  }
+
+  async fetchRates() {
+    try {
+      const response = await fetch(this.url);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const body = await response.json();
+      if (body.result !== 'success' || !body.rates) {
+        throw new Error(`Unexpected response: ${body['error-type'] || body.result}`);
+      }
+
+      const now = Date.now();
+      for (const currency of config.fx.currencies) {
+        const perUsd = body.rates[currency];
+        if (perUsd > 0) {
+          this.rates.set(currency, { rate: 1 / perUsd, timestamp: now });
+        } else {
+          console.warn(`[fx] No ${currency} rate in response`);
+        }
+      }
+    } catch (err) {
+      // Keep the last rates until they go stale
+      console.error(`[fx] Rate fetch failed: ${err.message}`);
+    }
+  }
+
+  /**
+   * USD value of one unit of a fiat currency, or null without a fresh rate.
+   * @param {string} currency
+   * @returns {number|null}
+   */
+  getRate(currency) {
+    const entry = this.rates.get(currency);
+    if (!entry || Date.now() - entry.timestamp > config.fx.staleThreshold) return null;
+    return entry.rate;
+  }
+
+  /**
+   * Snapshot of the current rates for aggregate payloads.
+   * @returns {Object<string, {rate: number|null, live: boolean}>}
+   */
+  getSnapshot() {
+    const snapshot = {};
+    for (const currency of config.fx.currencies) {
+      const rate = this.getRate(currency);
+      snapshot[currency] = { rate, live: rate !== null };
+    }
+    return snapshot;
+  }
+
+  stop() {
+    if (this.pollInterval) {
+      clearInterval(this.pollInterval);
+      this.pollInterval = null;
+    }
+  }
+}
+
+module.exports = FxRates;
@@ -0,0 +1,122 @@
+const EventEmitter = require('events');
+const config = require('./config');
+
+/**
+ * Supervises exchange adapters. Each adapter is in one of:
+ *   connecting  - started, no connection yet
+ *   connected   - open and delivering prices
+ *   stale       - open, but no price within config.staleThreshold
+ *   backing_off - disconnected, adapter is retrying with exponential backoff
+ *   dead        - adapter gave up (maxReconnectReached); retried every
+ *                 config.health.deadRetryInterval
+ *
+ * A connection that stays open without delivering a price for
+ * config.health.silentThreshold is forced to reconnect.
+ *
+ * Emits 'state' ({exchange, state, previous, timestamp}) on every transition.
+ */
+class HealthMonitor extends EventEmitter {
+  constructor(exchanges) {
+    super();
+    this.exchanges = exchanges;
+    /** @type {Map<object, {state: string, since: number, connectedAt: number|null, lastRetry: number|null, forcedReconnects: number, deadRetries: number}>} */
+    this.entries = new Map();
+    this.checkInterval = null;
+  }
+
+  start() {
+    for (const exchange of this.exchanges) {
+      this.add(exchange);
+    }
+
+    this.checkInterval = setInterval(() => this.check(), config.health.checkInterval);
+  }
+
+  // Start supervising an adapter (also used for pairs added at runtime)
+  add(exchange) {
+    if (this.entries.has(exchange)) return;
+    const entry = {
+      state: 'connecting',
+      since: Date.now(),
+      connectedAt: null,
+      lastRetry: null,
+      forcedReconnects: 0,
+      deadRetries: 0
+    };
+    this.entries.set(exchange, entry);
+
+    exchange.on('connected', () => {
+      entry.connectedAt = Date.now();
+      this.setState(exchange, 'connected');
+    });
+    exchange.on('disconnected', () => this.setState(exchange, 'backing_off'));
+    exchange.on('maxReconnectReached', () => this.setState(exchange, 'dead'));
+  }
+
+  check() {
+    const now = Date.now();
+    for (const [exchange, entry] of this.entries) {
+      if (entry.state === 'dead') {
+        // Slow retry: start a fresh backoff cycle
+        if (now - (entry.lastRetry || entry.since) >= config.health.deadRetryInterval) {
+          entry.lastRetry = now;
+          entry.deadRetries++;
+          console.log(`[health] ${exchange.label}: retrying dead adapter`);
+          this.setState(exchange, 'backing_off');
+          exchange.resetReconnect();
+          exchange.connect();
+        }
+        continue;
+      }
+
+      if (!exchange.connected) continue;
+
+      const lastSeen = Math.max(exchange.lastUpdate || 0, entry.connectedAt || 0);
+      const silence = now - lastSeen;
+
+      if (silence > config.health.silentThreshold) {
+        console.warn(`[health] ${exchange.label}: no prices for ${Math.round(silence / 1000)}s, forcing reconnect`);
+        entry.forcedReconnects++;
+        entry.connectedAt = now; // don't re-trigger while the reconnect is in flight
+        exchange.forceReconnect();
+        continue;
+      }
+
+      this.setState(exchange, silence > config.staleThreshold ? 'stale' : 'connected');
+    }
+  }
+
+  setState(exchange, state) {
+    const entry = this.entries.get(exchange);
+    if (!entry || entry.state === state) return;
+    const previous = entry.state;
+    entry.state = state;
+    entry.since = Date.now();
+    console.log(`[health] ${exchange.label}: ${previous} -> ${state}`);
+    this.emit('state', { exchange: exchange.label, state, previous, timestamp: entry.since });
+  }
+
+  /**
+   * Health of one adapter, for status payloads.
+   * @returns {{state: string, since: number, forcedReconnects: number, deadRetries: number}|null}
+   */
+  getHealth(exchange) {
+    const entry = this.entries.get(exchange);
+    if (!entry) return null;
+    return {
+      state: entry.state,
+      since: entry.since,
+      forcedReconnects: entry.forcedReconnects,
+      deadRetries: entry.deadRetries
+    };
+  }
+
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+  }
+}
+
+module.exports = HealthMonitor;
@@ -4,51 +4,69 @@ const PriceAggregator = require('./aggregator');
 const PriceWebSocketServer = require('./websocket-server');
 const PriceFeed = require('./price-feed');
 const TradingEngine = require('./trading-engine');
+const FeedRecorder = require('./feed-recorder');
+const SourceAdmin = require('./source-admin');
 const db = require('./db');
 
-// Import all exchange adapters
-const BinanceExchange = require('./exchanges/binance');
-const GeminiExchange = require('./exchanges/gemini');
-const KuCoinExchange = require('./exchanges/kucoin');
-const CoinbaseExchange = require('./exchanges/coinbase');
-const KrakenExchange = require('./exchanges/kraken');
-const BybitExchange = require('./exchanges/bybit');
-const BitfinexExchange = require('./exchanges/bitfinex');
-const GateIOExchange = require('./exchanges/gateio');
-const CryptoComExchange = require('./exchanges/cryptocom');
+// Adapter classes by exchange name
+const ADAPTERS = require('./exchanges');
+const ReplayExchange = require('./exchanges/replay');
+
+const ADAPTER_DESCRIPTIONS = {
+  binance: 'Binance (WebSocket, /USDT)',
+  gemini: 'Gemini (REST polling 3s, /USD)',
+  kucoin: 'KuCoin (WebSocket + token, /USDT)',
+  coinbase: 'Coinbase (WebSocket, /USD)',
+  kraken: 'Kraken (WebSocket v2, /USDT + /USDC, USDT/USD + USDC/USD rates)',
+  bybit: 'Bybit (WebSocket, /USDT + /USDC)',
+  bitfinex: 'Bitfinex (WebSocket, /USD)',
+  gateio: 'Gate.io (WebSocket, /USDT)',
+  cryptocom: 'Crypto.com (WebSocket, /USD-PERP)',
+  okx: 'OKX (WebSocket, /USDT)',
+  bitstamp: 'Bitstamp (WebSocket order book, /USD)',
+  htx: 'HTX (WebSocket gzip, /USDT)',
+  upbit: 'Upbit (WebSocket order book, /KRW via FX rate)'
+};
 
 console.log('='.repeat(50));
-console.log('BTC Price Aggregator');
+console.log(`${config.assets.join(' / ')} Price Aggregator`);
 console.log('='.repeat(50));
 console.log('');
 
-// Create exchange instances
-const exchanges = [
-  new BinanceExchange(),   // BTC/USDT
-  new GeminiExchange(),    // BTC/USD (REST polling)
-  new KuCoinExchange(),    // BTC/USDT (token-based)
-  new CoinbaseExchange(),  // BTC/USD
-  new KrakenExchange(),    // BTC/USDT + BTC/USDC
-  new BybitExchange(),     // BTC/USDT + BTC/USDC
-  new BitfinexExchange(),  // BTC/USD
-  new GateIOExchange(),    // BTC/USDT
-  new CryptoComExchange()  // BTC/USD-PERP
-];
-
-console.log('Exchanges configured:');
-console.log('  - Binance (WebSocket, BTC/USDT)');
-console.log('  - Gemini (REST polling 3s, BTC/USD)');
-console.log('  - KuCoin (WebSocket + token, BTC/USDT)');
-console.log('  - Coinbase (WebSocket, BTC/USD)');
-console.log('  - Kraken (WebSocket v2, BTC/USDT + BTC/USDC)');
-console.log('  - Bybit (WebSocket, BTC/USDT + BTC/USDC)');
-console.log('  - Bitfinex (WebSocket, BTC/USD)');
-console.log('  - Gate.io (WebSocket, BTC/USDT)');
-console.log('  - Crypto.com (WebSocket, BTC/USD-PERP)');
-console.log('');
-console.log('Total price sources: 11');
+// Create exchange instances, one set per configured asset
+// (or replay adapters when running from a recording)
+const exchanges = [];
+if (config.replay.replayFile) {
+  exchanges.push(...ReplayExchange.fromFile(config.replay.replayFile, ADAPTERS, {
+    speed: config.replay.speed,
+    loop: config.replay.loop
+  }));
+  console.log(`REPLAY MODE: ${config.replay.replayFile} at ${config.replay.speed}x (${exchanges.map(e => e.label).join(', ')})`);
+  console.log('');
+} else {
+  for (const asset of config.assets) {
+    for (const name of config.adapters) {
+      const Adapter = ADAPTERS[name];
+      if (!Adapter) {
+        console.error(`Unknown adapter in config.adapters: ${name}`);
+        process.exit(1);
+      }
+      exchanges.push(new Adapter(asset));
+    }
+  }
+}
+
+console.log(`Assets: ${config.assets.join(', ')}`);
+console.log('Exchanges configured (per asset):');
+for (const name of config.adapters) {
+  console.log(`  - ${ADAPTER_DESCRIPTIONS[name] || name}`);
+}
 console.log('');
 
+// Optional raw feed recording
+const recorder = config.replay.recordFile ? new FeedRecorder(config.replay.recordFile) : null;
+if (recorder) recorder.start(exchanges);
+
 if (!config.telegram.botToken) {
   console.warn('WARNING: TELEGRAM_BOT_TOKEN not set. Telegram auth will not work.');
   console.warn('  Set it with: TELEGRAM_BOT_TOKEN=your_token npm start');
@@ -57,6 +75,10 @@ if (!config.telegram.botToken) {
 
 // Create aggregator
 const aggregator = new PriceAggregator(exchanges);
+if (recorder) aggregator.on('exchange_added', (exchange) => recorder.track(exchange));
+
+// Runtime weight / enable / add-pair changes (admin API)
+const sourceAdmin = new SourceAdmin(aggregator, ADAPTERS);
 
 // Create WebSocket server for frontend
 const wsServer = new PriceWebSocketServer(config.serverPort);
@@ -74,7 +96,7 @@ console.log('');
 db.init()
   .then(() => {
     aggregator.start();
-    wsServer.start(aggregator, tradingEngine);
+    wsServer.start(aggregator, tradingEngine, sourceAdmin);
     priceFeed.start(aggregator);
 
     console.log('');
@@ -94,6 +116,7 @@ process.on('SIGINT', () => {
   aggregator.stop();
   wsServer.stop();
   priceFeed.stop();
+  if (recorder) recorder.stop();
   db.close().then(() => {
     console.log('Goodbye!');
     process.exit(0);
@@ -106,6 +129,7 @@ process.on('SIGTERM', () => {
   aggregator.stop();
   wsServer.stop();
   priceFeed.stop();
+  if (recorder) recorder.stop();
   db.close().then(() => process.exit(0));
 });
 
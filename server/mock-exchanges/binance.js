@@ -0,0 +1,70 @@
+// Binance spot: the stream is selected by the URL (/ws/<symbol>@bookTicker);
+// more streams (e.g. <symbol>@depth20@100ms partial books) can be added with
+// a SUBSCRIBE request. The server pings at the protocol level and drops
+// clients that don't pong.
+
+const STREAM_RE = /^\/ws\/([a-z]+?)(usdt|usdc|usd)@bookticker$/;
+const DEPTH_RE = /^([a-z]+?)(usdt|usdc|usd)@depth(5|10|20)(@100ms)?$/;
+
+function parseStream(path) {
+  const match = path.toLowerCase().match(STREAM_RE);
+  return match ? match[1].toUpperCase() + match[2].toUpperCase() : null;
+}
+
+module.exports = {
+  // Invalid streams are rejected at the handshake, like the real endpoint
+  verify(path, query, server) {
+    const symbol = parseStream(path);
+    if (!symbol || server.isFailing('binance')) return 400;
+    const asset = symbol.replace(/USD[TC]?$/, '');
+    return server.hasAsset(asset) ? null : 400;
+  },
+
+  connection(session, server) {
+    const symbol = parseStream(session.path);
+    const asset = symbol.replace(/USD[TC]?$/, '');
+    const depthStreams = new Map(); // stream -> { asset, levels }
+    let updateId = 1000000;
+
+    session.heartbeat(20000);
+
+    session.onMessage = (msg) => {
+      if (msg.method !== 'SUBSCRIBE') {
+        session.send({ error: { code: 2, msg: `Invalid request: unknown method ${msg.method}` }, id: msg.id });
+        return;
+      }
+      const params = Array.isArray(msg.params) ? msg.params : [];
+      const invalid = params.find((stream) => {
+        const match = stream.match(DEPTH_RE);
+        return !match || !server.hasAsset(match[1].toUpperCase());
+      });
+      if (server.isFailing('binance') || invalid || params.length === 0) {
+        session.send({ error: { code: 2, msg: `Invalid request: stream ${invalid || params.join(',')}` }, id: msg.id });
+        return;
+      }
+      for (const stream of params) {
+        const match = stream.match(DEPTH_RE);
+        depthStreams.set(stream, { asset: match[1].toUpperCase(), levels: parseInt(match[3], 10) });
+      }
+      session.send({ result: null, id: msg.id });
+    };
+
+    session.onTick = () => {
+      for (const { asset: bookAsset, levels } of depthStreams.values()) {
+        const book = server.book(bookAsset, levels);
+        const format = side => side.map(([price, size]) => [price.toFixed(8), size.toFixed(8)]);
+        session.send({ lastUpdateId: ++updateId, bids: format(book.bids), asks: format(book.asks) });
+      }
+
+      const q = server.quote(asset);
+      session.send({
+        u: ++updateId,
+        s: symbol,
+        b: q.bid.toFixed(8),
+        B: (Math.random() * 2).toFixed(8),
+        a: q.ask.toFixed(8),
+        A: (Math.random() * 2).toFixed(8)
+      });
+    };
+  }
+};
@@ -0,0 +1,96 @@
+// Bitfinex v2 (/ws/2): info event on connect, subscriptions answered with a
+// 'subscribed' event carrying the channel id, then array frames
+// [chanId, [BID, BID_SIZE, ASK, ASK_SIZE, ...]] and [chanId, 'hb'] heartbeats.
+// Book channels send a snapshot of [PRICE, COUNT, AMOUNT] entries, then one
+// entry per change (COUNT 0 removes the level, AMOUNT < 0 is an ask).
+
+const { diffLevels } = require('./book');
+
+const SYMBOL_RE = /^t([A-Z]+)(USD|UST)$/;
+const BOOK_LENGTHS = ['1', '25', '100', '250'];
+const HEARTBEAT_INTERVAL = 15000;
+
+let nextChannelId = 17000;
+
+module.exports = {
+  verify(path) {
+    return path === '/ws/2' ? null : 404;
+  },
+
+  connection(session, server) {
+    const channels = new Map(); // chanId -> { channel, asset, len, book }
+
+    const entries = (book) => [
+      ...book.bids.map(([price, size]) => [price, 1, size]),
+      ...book.asks.map(([price, size]) => [price, 1, -size])
+    ];
+
+    session.send({ event: 'info', version: 2, serverId: session.id, platform: { status: 1 } });
+
+    session.every(HEARTBEAT_INTERVAL, () => {
+      for (const chanId of channels.keys()) {
+        session.send([chanId, 'hb']);
+      }
+    });
+
+    session.onMessage = (msg) => {
+      if (msg.event === 'ping') {
+        session.send({ event: 'pong', ts: Date.now(), cid: msg.cid });
+        return;
+      }
+
+      if (msg.event === 'subscribe') {
+        const match = (msg.symbol || '').match(SYMBOL_RE);
+        const knownChannel = msg.channel === 'ticker' || (msg.channel === 'book' && BOOK_LENGTHS.includes(msg.len || '25'));
+        if (server.isFailing('bitfinex') || !knownChannel || !match || !server.hasAsset(match[1])) {
+          session.send({
+            event: 'error',
+            msg: !knownChannel ? 'channel: unknown' : 'symbol: invalid',
+            code: !knownChannel ? 10001 : 10300,
+            channel: msg.channel,
+            symbol: msg.symbol
+          });
+          return;
+        }
+        const chanId = ++nextChannelId;
+        const pair = msg.symbol.slice(1);
+        if (msg.channel === 'book') {
+          const len = parseInt(msg.len || '25', 10);
+          const book = server.book(match[1], len);
+          channels.set(chanId, { channel: 'book', asset: match[1], len, book });
+          session.send({ event: 'subscribed', channel: 'book', chanId, symbol: msg.symbol, prec: msg.prec || 'P0', freq: msg.freq || 'F0', len: String(len), pair });
+          session.send([chanId, entries(book)]);
+          return;
+        }
+        channels.set(chanId, { channel: 'ticker', asset: match[1] });
+        session.send({ event: 'subscribed', channel: 'ticker', chanId, symbol: msg.symbol, pair });
+      }
+    };
+
+    session.onTick = () => {
+      for (const [chanId, sub] of channels) {
+        if (sub.channel === 'book') {
+          const book = server.book(sub.asset, sub.len);
+          for (const [price, size] of diffLevels(sub.book.bids, book.bids)) {
+            session.send([chanId, [price, size > 0 ? 1 : 0, size > 0 ? size : 1]]);
+          }
+          for (const [price, size] of diffLevels(sub.book.asks, book.asks)) {
+            session.send([chanId, [price, size > 0 ? 1 : 0, size > 0 ? -size : -1]]);
+          }
+          sub.book = book;
+          continue;
+        }
+
+        const q = server.quote(sub.asset);
+        const change = Number((q.last - q.open).toFixed(q.decimals));
+        // [BID, BID_SIZE, ASK, ASK_SIZE, DAILY_CHANGE, DAILY_CHANGE_RELATIVE, LAST_PRICE, VOLUME, HIGH, LOW]
+        session.send([chanId, [
+          q.bid, Number((Math.random() * 10).toFixed(8)),
+          q.ask, Number((Math.random() * 10).toFixed(8)),
+          change, Number((change / q.open).toFixed(4)),
+          q.last, q.volume, q.high, q.low
+        ]]);
+      }
+    };
+  }
+};
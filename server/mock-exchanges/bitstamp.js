@@ -0,0 +1,50 @@
+// Bitstamp (root path): {event:'bts:subscribe', data:{channel}} acked with
+// bts:subscription_succeeded or bts:error. order_book_<pair> pushes top-100
+// snapshots as {event:'data', channel, data:{timestamp, microtimestamp, bids, asks}}.
+// bts:heartbeat requests are answered.
+
+const CHANNEL_RE = /^order_book_([a-z]+?)(usd|usdt|usdc)$/;
+
+module.exports = {
+  verify(path) {
+    return path === '/' ? null : 404;
+  },
+
+  connection(session, server) {
+    const channels = new Map(); // channel -> asset
+
+    session.onMessage = (msg) => {
+      if (msg.event === 'bts:heartbeat') {
+        session.send({ event: 'bts:heartbeat', channel: '', data: { status: 'success' } });
+        return;
+      }
+
+      const channel = msg.data && msg.data.channel;
+      const match = (channel || '').match(CHANNEL_RE);
+      if (msg.event !== 'bts:subscribe' || server.isFailing('bitstamp') || !match || !server.hasAsset(match[1].toUpperCase())) {
+        session.send({ event: 'bts:error', channel: '', data: { code: null, message: 'Bad subscription string.' } });
+        return;
+      }
+      channels.set(channel, match[1].toUpperCase());
+      session.send({ event: 'bts:subscription_succeeded', channel, data: {} });
+    };
+
+    session.onTick = () => {
+      for (const [channel, asset] of channels) {
+        const book = server.book(asset, 100);
+        const format = side => side.map(([price, size]) => [price.toFixed(book.decimals), size.toFixed(8)]);
+        const now = Date.now();
+        session.send({
+          event: 'data',
+          channel,
+          data: {
+            timestamp: String(Math.floor(now / 1000)),
+            microtimestamp: String(now * 1000),
+            bids: format(book.bids),
+            asks: format(book.asks)
+          }
+        });
+      }
+    };
+  }
+};
@@ -0,0 +1,18 @@
+// Helpers for mocks of incremental book feeds
+
+// Levels that changed between two books on one side, with size 0 for
+// levels that disappeared: [[price, size], ...]
+function diffLevels(prev, next) {
+  const before = new Map(prev);
+  const after = new Map(next);
+  const changes = [];
+  for (const [price] of prev) {
+    if (!after.has(price)) changes.push([price, 0]);
+  }
+  for (const [price, size] of next) {
+    if (before.get(price) !== size) changes.push([price, size]);
+  }
+  return changes;
+}
+
+module.exports = { diffLevels };
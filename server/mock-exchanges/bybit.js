@@ -0,0 +1,96 @@
+// Bybit v5 public spot (/v5/public/spot): {op:'subscribe', args:['tickers.BTCUSDT']},
+// {op:'ping'} answered with ret_msg 'pong', ticker snapshots on topic
+// tickers.<symbol>, and orderbook.<depth>.<symbol> as a snapshot followed
+// by deltas (size "0" removes a level).
+
+const { diffLevels } = require('./book');
+
+const TOPIC_RE = /^(tickers|orderbook\.(1|50|200))\.([A-Z]+?)(USDT|USDC)$/;
+
+module.exports = {
+  verify(path) {
+    return path === '/v5/public/spot' ? null : 404;
+  },
+
+  connection(session, server) {
+    const topics = new Map(); // topic -> { symbol, asset, depth, book }
+    let updateId = 1;
+
+    const format = side => side.map(([price, size]) => [String(price), String(size)]);
+
+    session.onMessage = (msg) => {
+      if (msg.op === 'ping') {
+        session.send({ success: true, ret_msg: 'pong', conn_id: session.id, req_id: msg.req_id || '', op: 'ping' });
+        return;
+      }
+
+      if (msg.op === 'subscribe') {
+        const args = Array.isArray(msg.args) ? msg.args : [];
+        const invalid = args.filter((topic) => {
+          const match = topic.match(TOPIC_RE);
+          return !match || !server.hasAsset(match[3]);
+        });
+        if (server.isFailing('bybit') || invalid.length > 0 || args.length === 0) {
+          session.send({
+            success: false,
+            ret_msg: `Invalid symbol :[${invalid.join(',') || args.join(',')}]`,
+            conn_id: session.id,
+            req_id: msg.req_id || '',
+            op: 'subscribe'
+          });
+          return;
+        }
+        for (const topic of args) {
+          const match = topic.match(TOPIC_RE);
+          topics.set(topic, { symbol: match[3] + match[4], asset: match[3], depth: match[2] ? parseInt(match[2], 10) : null, book: null });
+        }
+        session.send({ success: true, ret_msg: '', conn_id: session.id, req_id: msg.req_id || '', op: 'subscribe' });
+      }
+    };
+
+    session.onTick = () => {
+      for (const [topic, sub] of topics) {
+        const { symbol, asset, depth } = sub;
+
+        if (depth) {
+          const book = server.book(asset, depth);
+          const snapshot = !sub.book;
+          session.send({
+            topic,
+            ts: Date.now(),
+            type: snapshot ? 'snapshot' : 'delta',
+            data: {
+              s: symbol,
+              b: format(snapshot ? book.bids : diffLevels(sub.book.bids, book.bids)),
+              a: format(snapshot ? book.asks : diffLevels(sub.book.asks, book.asks)),
+              u: ++updateId,
+              seq: updateId
+            },
+            cts: Date.now()
+          });
+          sub.book = book;
+          continue;
+        }
+
+        const q = server.quote(asset);
+        session.send({
+          topic,
+          ts: Date.now(),
+          type: 'snapshot',
+          cs: Date.now(),
+          data: {
+            symbol,
+            lastPrice: String(q.last),
+            highPrice24h: String(q.high),
+            lowPrice24h: String(q.low),
+            prevPrice24h: String(q.open),
+            volume24h: String(q.volume),
+            turnover24h: (q.volume * q.last).toFixed(2),
+            price24hPcnt: ((q.last - q.open) / q.open).toFixed(4),
+            usdIndexPrice: String(q.last)
+          }
+        });
+      }
+    };
+  }
+};
@@ -0,0 +1,66 @@
+// Coinbase Exchange feed (root path): {type:'subscribe', product_ids, channels}
+// answered with a 'subscriptions' summary or an 'error'; ticker messages per
+// product. Keepalive is a protocol-level ping.
+
+const PRODUCT_RE = /^([A-Z]+)-(USD|USDT|USDC)$/;
+
+module.exports = {
+  verify(path) {
+    return path === '/' ? null : 404;
+  },
+
+  connection(session, server) {
+    const products = new Map(); // product_id -> asset
+    let sequence = 50000000;
+    let tradeId = 600000;
+
+    session.heartbeat(30000);
+
+    session.onMessage = (msg) => {
+      if (msg.type !== 'subscribe') {
+        session.send({ type: 'error', message: 'Failed to subscribe', reason: `${msg.type} is not a valid message type` });
+        return;
+      }
+
+      const channels = (msg.channels || []).map(c => (typeof c === 'string' ? c : c.name));
+      const invalid = (msg.product_ids || []).find((id) => {
+        const match = id.match(PRODUCT_RE);
+        return !match || !server.hasAsset(match[1]);
+      });
+      if (server.isFailing('coinbase') || invalid || !channels.includes('ticker')) {
+        session.send({ type: 'error', message: 'Failed to subscribe', reason: `${invalid || 'ticker'} is not a valid product` });
+        return;
+      }
+
+      for (const id of msg.product_ids || []) {
+        products.set(id, id.match(PRODUCT_RE)[1]);
+      }
+      session.send({ type: 'subscriptions', channels: [{ name: 'ticker', product_ids: [...products.keys()] }] });
+    };
+
+    session.onTick = () => {
+      for (const [productId, asset] of products) {
+        const q = server.quote(asset);
+        session.send({
+          type: 'ticker',
+          sequence: ++sequence,
+          product_id: productId,
+          price: q.last.toFixed(q.decimals),
+          open_24h: q.open.toFixed(q.decimals),
+          volume_24h: q.volume.toFixed(8),
+          low_24h: q.low.toFixed(q.decimals),
+          high_24h: q.high.toFixed(q.decimals),
+          volume_30d: (q.volume * 30).toFixed(8),
+          best_bid: q.bid.toFixed(q.decimals),
+          best_bid_size: (Math.random() * 2).toFixed(8),
+          best_ask: q.ask.toFixed(q.decimals),
+          best_ask_size: (Math.random() * 2).toFixed(8),
+          side: Math.random() < 0.5 ? 'buy' : 'sell',
+          time: new Date().toISOString(),
+          trade_id: ++tradeId,
+          last_size: (Math.random() * 0.1).toFixed(8)
+        });
+      }
+    };
+  }
+};
@@ -0,0 +1,102 @@
+// Crypto.com Exchange v1 market feed (/exchange/v1/market): subscribe acks,
+// ticker and book.<instrument>.<depth> snapshots pushed as subscribe
+// results, and public/heartbeat requests
+// that must be answered with public/respond-heartbeat within 5 seconds or
+// the connection is closed.
+
+const CHANNEL_RE = /^(ticker|book)\.(([A-Z]+?)(?:USD-PERP|_USDT|_USD))(?:\.(10|50))?$/;
+const HEARTBEAT_INTERVAL = 30000;
+const HEARTBEAT_TIMEOUT = 5000;
+
+module.exports = {
+  verify(path) {
+    return path === '/exchange/v1/market' ? null : 404;
+  },
+
+  connection(session, server) {
+    const channels = new Map(); // channel -> { instrument, asset }
+    let pendingHeartbeat = null;
+
+    session.every(HEARTBEAT_INTERVAL, () => {
+      const id = Date.now();
+      pendingHeartbeat = id;
+      session.send({ id, method: 'public/heartbeat', code: 0 });
+      setTimeout(() => {
+        if (pendingHeartbeat === id) session.close(1000, 'heartbeat timeout');
+      }, HEARTBEAT_TIMEOUT);
+    });
+
+    session.onMessage = (msg) => {
+      if (msg.method === 'public/respond-heartbeat') {
+        if (msg.id === pendingHeartbeat) pendingHeartbeat = null;
+        return;
+      }
+
+      if (msg.method === 'subscribe') {
+        const requested = (msg.params && msg.params.channels) || [];
+        const invalid = requested.find((channel) => {
+          const match = channel.match(CHANNEL_RE);
+          return !match || !server.hasAsset(match[3]) || (match[1] === 'book') !== Boolean(match[4]);
+        });
+        if (server.isFailing('cryptocom') || invalid || requested.length === 0) {
+          session.send({ id: msg.id, method: 'subscribe', code: 10004, message: `BAD_REQUEST: ${invalid || requested.join(',')}` });
+          return;
+        }
+        for (const channel of requested) {
+          const match = channel.match(CHANNEL_RE);
+          channels.set(channel, { type: match[1], instrument: match[2], asset: match[3], depth: parseInt(match[4], 10) || null });
+        }
+        session.send({ id: msg.id, method: 'subscribe', code: 0 });
+      }
+    };
+
+    session.onTick = () => {
+      for (const [channel, { type, instrument, asset, depth }] of channels) {
+        if (type === 'book') {
+          const book = server.book(asset, depth);
+          const format = side => side.map(([price, size]) => [String(price), String(size), '1']);
+          session.send({
+            id: -1,
+            method: 'subscribe',
+            code: 0,
+            result: {
+              instrument_name: instrument,
+              subscription: channel,
+              channel: 'book',
+              depth,
+              data: [{ bids: format(book.bids), asks: format(book.asks), t: Date.now(), tt: Date.now(), u: Date.now() }]
+            }
+          });
+          continue;
+        }
+
+        const q = server.quote(asset);
+        session.send({
+          id: -1,
+          method: 'subscribe',
+          code: 0,
+          result: {
+            instrument_name: instrument,
+            subscription: channel,
+            channel: 'ticker',
+            data: [{
+              h: String(q.high),
+              l: String(q.low),
+              a: String(q.last),
+              c: ((q.last - q.open) / q.open).toFixed(4),
+              b: String(q.bid),
+              bs: (Math.random() * 2).toFixed(4),
+              k: String(q.ask),
+              ks: (Math.random() * 2).toFixed(4),
+              i: instrument,
+              v: String(q.volume),
+              vv: (q.volume * q.last).toFixed(2),
+              oi: '1234.5678',
+              t: Date.now()
+            }]
+          }
+        });
+      }
+    };
+  }
+};
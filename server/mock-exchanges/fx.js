@@ -0,0 +1,25 @@
+// FX rates in the open.er-api.com format: GET /v6/latest/USD returns
+// {result:'success', base_code:'USD', rates:{USD: 1, KRW: ...}} from the
+// server's fxRates. failSubscriptions('fx') makes it answer with an error result.
+
+module.exports = {
+  request(req, res, path, server) {
+    if (req.method !== 'GET' || path !== '/v6/latest/USD') {
+      server.json(res, 404, { result: 'error', 'error-type': 'unsupported-code' });
+      return;
+    }
+    if (server.isFailing('fx')) {
+      server.json(res, 200, { result: 'error', 'error-type': 'quota-reached' });
+      return;
+    }
+    const now = Math.floor(Date.now() / 1000);
+    server.json(res, 200, {
+      result: 'success',
+      provider: 'mock',
+      base_code: 'USD',
+      time_last_update_unix: now,
+      time_next_update_unix: now + 86400,
+      rates: { USD: 1, ...server.fxRates }
+    });
+  }
+};
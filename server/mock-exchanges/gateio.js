@@ -0,0 +1,98 @@
+// Gate.io v4 (/ws/v4/): channel/event envelopes, spot.tickers and
+// spot.order_book (full top-N snapshots) subscriptions with a status result,
+// spot.ping answered on spot.pong.
+
+const PAIR_RE = /^([A-Z]+)_(USDT|USDC|USD)$/;
+const BOOK_LEVELS = ['5', '10', '20', '50', '100'];
+
+function envelope(channel, event, extra) {
+  const now = Date.now();
+  return { time: Math.floor(now / 1000), time_ms: now, channel, event, ...extra };
+}
+
+module.exports = {
+  verify(path) {
+    return path === '/ws/v4/' || path === '/ws/v4' ? null : 404;
+  },
+
+  connection(session, server) {
+    const pairs = new Map(); // currency pair -> asset
+    const books = new Map(); // currency pair -> { asset, levels }
+    let updateId = 1;
+
+    session.onMessage = (msg) => {
+      if (msg.channel === 'spot.ping') {
+        session.send(envelope('spot.pong', '', { result: null }));
+        return;
+      }
+
+      if (msg.channel === 'spot.tickers' && msg.event === 'subscribe') {
+        const invalid = (msg.payload || []).find((pair) => {
+          const match = pair.match(PAIR_RE);
+          return !match || !server.hasAsset(match[1]);
+        });
+        if (server.isFailing('gateio') || invalid || !msg.payload || msg.payload.length === 0) {
+          session.send(envelope('spot.tickers', 'subscribe', {
+            id: msg.id,
+            error: { code: 2, message: `unknown currency pair: ${invalid || (msg.payload || []).join(',')}` },
+            result: { status: 'failed' }
+          }));
+          return;
+        }
+        for (const pair of msg.payload) {
+          pairs.set(pair, pair.match(PAIR_RE)[1]);
+        }
+        session.send(envelope('spot.tickers', 'subscribe', { id: msg.id, result: { status: 'success' } }));
+        return;
+      }
+
+      // payload: [pair, levels, interval]
+      if (msg.channel === 'spot.order_book' && msg.event === 'subscribe') {
+        const [pair, levels] = msg.payload || [];
+        const match = (pair || '').match(PAIR_RE);
+        if (server.isFailing('gateio') || !match || !server.hasAsset(match[1]) || !BOOK_LEVELS.includes(levels)) {
+          session.send(envelope('spot.order_book', 'subscribe', {
+            id: msg.id,
+            error: { code: 2, message: `invalid argument: ${(msg.payload || []).join(',')}` },
+            result: { status: 'failed' }
+          }));
+          return;
+        }
+        books.set(pair, { asset: match[1], levels: parseInt(levels, 10) });
+        session.send(envelope('spot.order_book', 'subscribe', { id: msg.id, result: { status: 'success' } }));
+        return;
+      }
+
+      session.send(envelope(msg.channel || '', msg.event || '', {
+        error: { code: 1, message: 'invalid argument' },
+        result: { status: 'failed' }
+      }));
+    };
+
+    session.onTick = () => {
+      for (const [pair, { asset, levels }] of books) {
+        const book = server.book(asset, levels);
+        const format = side => side.map(([price, size]) => [String(price), String(size)]);
+        session.send(envelope('spot.order_book', 'update', {
+          result: { t: Date.now(), lastUpdateId: ++updateId, s: pair, bids: format(book.bids), asks: format(book.asks) }
+        }));
+      }
+      for (const [pair, asset] of pairs) {
+        const q = server.quote(asset);
+        session.send(envelope('spot.tickers', 'update', {
+          result: {
+            currency_pair: pair,
+            last: String(q.last),
+            lowest_ask: String(q.ask),
+            highest_bid: String(q.bid),
+            change_percentage: ((q.last - q.open) / q.open * 100).toFixed(2),
+            base_volume: String(q.volume),
+            quote_volume: (q.volume * q.last).toFixed(2),
+            high_24h: String(q.high),
+            low_24h: String(q.low)
+          }
+        }));
+      }
+    };
+  }
+};
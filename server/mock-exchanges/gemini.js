@@ -0,0 +1,48 @@
+// Gemini REST: GET /v2/ticker/<symbol> and /v1/book/<symbol>?limit_bids=&limit_asks=.
+// Unknown symbols (and subscriptions set to fail) get a 400 error body; a
+// silenced exchange answers 503.
+
+const SYMBOL_RE = /^\/(v2\/ticker|v1\/book)\/([a-z]+?)(usd|usdt|usdc)$/;
+
+module.exports = {
+  request(req, res, path, server) {
+    const match = path.toLowerCase().match(SYMBOL_RE);
+    const asset = match ? match[2].toUpperCase() : null;
+
+    if (req.method !== 'GET' || !asset || !server.hasAsset(asset) || server.isFailing('gemini')) {
+      server.json(res, 400, {
+        result: 'error',
+        reason: 'InvalidSymbol',
+        message: `Supplied value '${path.split('/').pop()}' is not a valid symbol`
+      });
+      return;
+    }
+    if (server.silenced.has('gemini')) {
+      server.json(res, 503, { result: 'error', reason: 'Maintenance', message: 'The system is down for maintenance' });
+      return;
+    }
+
+    if (match[1] === 'v1/book') {
+      const query = new URLSearchParams((req.url.split('?')[1]) || '');
+      const levels = Math.min(parseInt(query.get('limit_bids'), 10) || 50, 50);
+      const book = server.book(asset, levels);
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      const format = side => side.map(([price, size]) => ({ price: price.toFixed(book.decimals), amount: String(size), timestamp }));
+      server.json(res, 200, { bids: format(book.bids), asks: format(book.asks) });
+      return;
+    }
+
+    const q = server.quote(asset);
+    const changes = Array.from({ length: 24 }, () => (q.open * (1 + (Math.random() - 0.5) * 0.01)).toFixed(q.decimals));
+    server.json(res, 200, {
+      symbol: (match[2] + match[3]).toUpperCase(),
+      open: q.open.toFixed(q.decimals),
+      high: q.high.toFixed(q.decimals),
+      low: q.low.toFixed(q.decimals),
+      close: q.last.toFixed(q.decimals),
+      changes,
+      bid: q.bid.toFixed(q.decimals),
+      ask: q.ask.toFixed(q.decimals)
+    });
+  }
+};
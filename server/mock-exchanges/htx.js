@@ -0,0 +1,75 @@
+// HTX / Huobi (/ws): every server frame is gzipped JSON. {sub, id} is acked
+// with {id, status:'ok', subbed} or {status:'error', err-code, err-msg};
+// market.<symbol>.ticker and market.<symbol>.depth.step0 (150-level
+// snapshots) are pushed as {ch, ts, tick}. The server sends {ping} every 5s
+// and closes clients that miss two in a row.
+
+const zlib = require('zlib');
+
+const TOPIC_RE = /^market\.([a-z]+?)(usdt|usdc|usd)\.(ticker|depth\.step0)$/;
+const PING_INTERVAL = 5000;
+
+module.exports = {
+  verify(path) {
+    return path === '/ws' ? null : 404;
+  },
+
+  connection(session, server) {
+    const topics = new Map(); // topic -> { asset, type }
+    const send = msg => session.send(zlib.gzipSync(JSON.stringify(msg)));
+    let lastPong = Date.now();
+
+    session.every(PING_INTERVAL, () => {
+      if (Date.now() - lastPong > 2 * PING_INTERVAL + 1000) {
+        session.close(1000, 'ping timeout');
+        return;
+      }
+      send({ ping: Date.now() });
+    });
+
+    session.onMessage = (msg) => {
+      if (msg.pong !== undefined) {
+        lastPong = Date.now();
+        return;
+      }
+
+      const match = (msg.sub || '').match(TOPIC_RE);
+      if (server.isFailing('htx') || !match || !server.hasAsset(match[1].toUpperCase())) {
+        send({ id: msg.id, status: 'error', ts: Date.now(), 'err-code': 'bad-request', 'err-msg': `invalid topic ${msg.sub}` });
+        return;
+      }
+      topics.set(msg.sub, { asset: match[1].toUpperCase(), type: match[3] });
+      send({ id: msg.id, status: 'ok', subbed: msg.sub, ts: Date.now() });
+    };
+
+    session.onTick = () => {
+      for (const [ch, { asset, type }] of topics) {
+        if (type === 'depth.step0') {
+          const book = server.book(asset, 150);
+          send({ ch, ts: Date.now(), tick: { bids: book.bids, asks: book.asks, version: Date.now(), ts: Date.now() } });
+          continue;
+        }
+        const q = server.quote(asset);
+        send({
+          ch,
+          ts: Date.now(),
+          tick: {
+            open: q.open,
+            high: q.high,
+            low: q.low,
+            close: q.last,
+            amount: q.volume,
+            vol: Number((q.volume * q.last).toFixed(2)),
+            count: 100000 + Math.floor(Math.random() * 1000),
+            bid: q.bid,
+            bidSize: Number((Math.random() * 2).toFixed(6)),
+            ask: q.ask,
+            askSize: Number((Math.random() * 2).toFixed(6)),
+            lastPrice: q.last,
+            lastSize: Number((Math.random() * 0.1).toFixed(6))
+          }
+        });
+      }
+    };
+  }
+};
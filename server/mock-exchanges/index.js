@@ -0,0 +1,327 @@
+const http = require('http');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { WebSocketServer } = require('ws');
+
+// Protocol handlers, mounted under /<name>/ (e.g. ws://localhost:9500/binance/ws/btcusdt@bookTicker)
+const PROTOCOLS = {
+  binance: require('./binance'),
+  bybit: require('./bybit'),
+  kraken: require('./kraken'),
+  kucoin: require('./kucoin'),
+  coinbase: require('./coinbase'),
+  bitfinex: require('./bitfinex'),
+  gateio: require('./gateio'),
+  cryptocom: require('./cryptocom'),
+  gemini: require('./gemini'),
+  okx: require('./okx'),
+  bitstamp: require('./bitstamp'),
+  htx: require('./htx'),
+  upbit: require('./upbit'),
+  fx: require('./fx')
+};
+
+// Starting mid prices; symbols for any other base asset are rejected as invalid
+const START_PRICES = { BTC: 65000, ETH: 3200, SOL: 150, USDT: 1.0002, USDC: 0.9999 };
+
+// Fiat units per USD, served by the fx mock and used to quote KRW markets
+const FX_RATES = { KRW: 1380 };
+
+// One client connection to a mock exchange. Protocol handlers set
+// onMessage (parsed JSON frames), onText (frames that aren't JSON, e.g. a
+// bare 'ping') and onTick (called every price tick).
+class MockSession {
+  constructor(server, exchange, ws, path, query) {
+    this.server = server;
+    this.exchange = exchange;
+    this.ws = ws;
+    this.path = path;
+    this.query = query;
+    this.id = crypto.randomBytes(8).toString('hex');
+    this.timers = [];
+    this.onMessage = null;
+    this.onText = null;
+    this.onTick = null;
+    this.lastMessage = Date.now();
+    this.awaitingPong = false;
+
+    ws.on('message', (data) => {
+      this.lastMessage = Date.now();
+      let msg;
+      try {
+        msg = JSON.parse(data);
+      } catch (err) {
+        if (this.onText) this.onText(data.toString());
+        return;
+      }
+      if (this.onMessage) this.onMessage(msg);
+    });
+    ws.on('pong', () => {
+      this.awaitingPong = false;
+    });
+  }
+
+  // Strings and Buffers (binary frames) are sent as-is, anything else as JSON
+  send(msg) {
+    if (this.ws.readyState === 1) {
+      this.ws.send(typeof msg === 'string' || Buffer.isBuffer(msg) ? msg : JSON.stringify(msg));
+    }
+  }
+
+  every(ms, fn) {
+    this.timers.push(setInterval(fn, ms));
+  }
+
+  // Protocol-level ping; terminates the connection if the previous ping went unanswered
+  heartbeat(ms) {
+    this.every(ms, () => {
+      if (this.awaitingPong) {
+        this.ws.terminate();
+        return;
+      }
+      this.awaitingPong = true;
+      this.ws.ping();
+    });
+  }
+
+  close(code, reason) {
+    this.ws.close(code, reason);
+  }
+
+  cleanup() {
+    for (const timer of this.timers) clearInterval(timer);
+    this.timers = [];
+  }
+}
+
+/**
+ * Local stand-in for the exchanges the adapters connect to. Each protocol
+ * speaks its exchange's subscribe / ping / ticker formats over a shared
+ * HTTP + WebSocket server, with a random-walk price per asset.
+ *
+ * Point the adapters at it with MOCK_EXCHANGES=localhost:<port> (see
+ * config.js), or pass { baseUrl } to an adapter directly.
+ *
+ * Failure controls: failSubscriptions(name) rejects subscribe requests,
+ * silence(name) stops ticker updates while keeping connections open and
+ * drop(name) terminates every open connection.
+ */
+class MockExchangeServer extends EventEmitter {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.port=9500] - listen port (0 picks a free one)
+   * @param {number} [options.tickInterval=1000] - ms between price updates
+   * @param {boolean} [options.walk=true] - random-walk prices every tick (false keeps them fixed)
+   * @param {object} [options.prices] - starting prices by asset
+   * @param {object} [options.fxRates] - fiat units per USD (e.g. { KRW: 1380 })
+   * @param {string[]} [options.failSubscribe] - exchanges that reject subscriptions
+   */
+  constructor(options = {}) {
+    super();
+    this.port = options.port ?? 9500;
+    this.tickInterval = options.tickInterval || 1000;
+    this.walk = options.walk ?? true;
+    this.prices = new Map(Object.entries(options.prices || START_PRICES));
+    this.fxRates = options.fxRates || FX_RATES;
+    this.failing = new Set(options.failSubscribe || []);
+    this.silenced = new Set();
+    this.sessions = new Set();
+    this.stores = new Map();
+    this.server = null;
+    this.wss = null;
+    this.timer = null;
+  }
+
+  start() {
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    this.wss = new WebSocketServer({ noServer: true });
+
+    this.server.on('upgrade', (req, socket, head) => {
+      const route = this.route(req.url);
+      const protocol = route && PROTOCOLS[route.exchange];
+      const status = !protocol || !protocol.connection
+        ? 404
+        : protocol.verify ? protocol.verify(route.path, route.query, this) : null;
+      if (status) {
+        socket.write(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\n\r\n`);
+        socket.destroy();
+        return;
+      }
+      this.wss.handleUpgrade(req, socket, head, (ws) => {
+        const session = new MockSession(this, route.exchange, ws, route.path, route.query);
+        this.sessions.add(session);
+        ws.on('close', () => {
+          session.cleanup();
+          this.sessions.delete(session);
+        });
+        ws.on('error', () => ws.terminate());
+        protocol.connection(session, this);
+        this.emit('connection', session);
+      });
+    });
+
+    this.timer = setInterval(() => this.tick(), this.tickInterval);
+
+    return new Promise((resolve) => {
+      this.server.listen(this.port, () => {
+        this.port = this.server.address().port;
+        resolve(this.port);
+      });
+    });
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    for (const session of this.sessions) {
+      session.cleanup();
+      session.ws.terminate();
+    }
+    this.sessions.clear();
+    if (this.wss) {
+      this.wss.close();
+      this.server.close();
+      this.wss = null;
+      this.server = null;
+    }
+  }
+
+  // Split /<exchange>/<path>?<query>
+  route(url) {
+    const [pathname, search] = (url || '').split('?');
+    const match = pathname.match(/^\/([a-z]+)(\/.*)?$/);
+    if (!match) return null;
+    return {
+      exchange: match[1],
+      path: match[2] || '/',
+      query: new URLSearchParams(search || '')
+    };
+  }
+
+  handleRequest(req, res) {
+    const route = this.route(req.url);
+    const protocol = route && PROTOCOLS[route.exchange];
+    if (!protocol || !protocol.request) {
+      this.json(res, 404, { error: 'Not found' });
+      return;
+    }
+    protocol.request(req, res, route.path, this);
+  }
+
+  json(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  // Per-exchange scratch state (e.g. issued KuCoin tokens)
+  store(exchange) {
+    if (!this.stores.has(exchange)) this.stores.set(exchange, {});
+    return this.stores.get(exchange);
+  }
+
+  // Random walk every asset, then push updates to every non-silenced session
+  tick() {
+    for (const [asset, price] of this.walk ? this.prices : []) {
+      const step = price < 2 ? 0.00002 : 0.0003; // stablecoins barely move
+      this.prices.set(asset, price * (1 + (Math.random() - 0.5) * 2 * step));
+    }
+    for (const session of this.sessions) {
+      if (!this.silenced.has(session.exchange) && session.onTick) {
+        session.onTick();
+      }
+    }
+  }
+
+  hasAsset(asset) {
+    return this.prices.has(asset);
+  }
+
+  /**
+   * Current book for an asset. Prices are rounded to 2 decimals (4 below 100).
+   * @returns {{last: number, bid: number, ask: number, volume: number, high: number, low: number, open: number, decimals: number}}
+   */
+  quote(asset) {
+    const mid = this.prices.get(asset);
+    const decimals = mid >= 100 ? 2 : 4;
+    const round = (n) => Number(n.toFixed(decimals));
+    const halfSpread = Math.max(mid * 0.00005, Math.pow(10, -decimals));
+    return {
+      last: round(mid),
+      bid: round(mid - halfSpread),
+      ask: round(mid + halfSpread),
+      volume: Number((1000000 / mid).toFixed(4)),
+      high: round(mid * 1.01),
+      low: round(mid * 0.99),
+      open: round(mid * 0.995),
+      decimals
+    };
+  }
+
+  /**
+   * Top-N book around the current quote, [[price, size], ...] per side with
+   * bids descending and asks ascending. Levels are a few bps apart and hold
+   * $5k-$60k each, so a $100k fill walks a handful of them.
+   */
+  book(asset, levels) {
+    const q = this.quote(asset);
+    const step = Math.max(Number((q.last * 0.00002).toFixed(q.decimals)), Math.pow(10, -q.decimals));
+    const size = () => Number(((5000 + Math.random() * 55000) / q.last).toFixed(6));
+    const round = (n) => Number(n.toFixed(q.decimals));
+    const bids = [];
+    const asks = [];
+    for (let i = 0; i < levels; i++) {
+      bids.push([round(q.bid - i * step), size()]);
+      asks.push([round(q.ask + i * step), size()]);
+    }
+    return { bids, asks, decimals: q.decimals };
+  }
+
+  // ==================== Failure controls ====================
+
+  failSubscriptions(exchange, enabled = true) {
+    if (enabled) this.failing.add(exchange);
+    else this.failing.delete(exchange);
+  }
+
+  isFailing(exchange) {
+    return this.failing.has(exchange);
+  }
+
+  silence(exchange, enabled = true) {
+    if (enabled) this.silenced.add(exchange);
+    else this.silenced.delete(exchange);
+  }
+
+  // Terminate every open connection to an exchange (all exchanges if omitted)
+  drop(exchange = null) {
+    for (const session of this.sessions) {
+      if (!exchange || session.exchange === exchange) {
+        session.ws.terminate();
+      }
+    }
+  }
+
+  getSessions(exchange) {
+    return [...this.sessions].filter(s => s.exchange === exchange);
+  }
+}
+
+MockExchangeServer.PROTOCOLS = Object.keys(PROTOCOLS);
+
+module.exports = MockExchangeServer;
+
+// Standalone: node server/mock-exchanges [port]
+if (require.main === module) {
+  const config = require('../config');
+  const server = new MockExchangeServer({ port: parseInt(process.argv[2], 10) || config.mockExchanges.port });
+  server.start().then((port) => {
+    console.log(`Mock exchanges listening on localhost:${port} (${MockExchangeServer.PROTOCOLS.join(', ')})`);
+    console.log(`Run the aggregator against it with: MOCK_EXCHANGES=localhost:${port} npm start`);
+  });
+  process.on('SIGINT', () => {
+    server.stop();
+    process.exit(0);
+  });
+}
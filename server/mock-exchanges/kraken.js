@@ -0,0 +1,125 @@
+// Kraken WebSocket v2 (/v2): status message on connect, one subscribe ack per
+// symbol, snapshot then updates on channels 'ticker' and 'book' (qty 0
+// removes a level), heartbeats, and {method:'ping'} answered with {method:'pong'}.
+
+const { diffLevels } = require('./book');
+
+const SYMBOL_RE = /^([A-Z]+)\/(USDT|USDC|USD)$/;
+const BOOK_DEPTHS = [10, 25, 100, 500, 1000];
+
+module.exports = {
+  verify(path) {
+    return path === '/v2' ? null : 404;
+  },
+
+  connection(session, server) {
+    const symbols = new Map(); // symbol -> asset
+    const books = new Map();   // symbol -> { asset, depth, book }
+
+    const ticker = (symbol) => {
+      const q = server.quote(symbols.get(symbol));
+      return {
+        symbol,
+        bid: q.bid,
+        bid_qty: Number((Math.random() * 2).toFixed(8)),
+        ask: q.ask,
+        ask_qty: Number((Math.random() * 2).toFixed(8)),
+        last: q.last,
+        volume: q.volume,
+        vwap: q.open,
+        low: q.low,
+        high: q.high,
+        change: Number((q.last - q.open).toFixed(q.decimals)),
+        change_pct: Number(((q.last - q.open) / q.open * 100).toFixed(2))
+      };
+    };
+
+    const bookData = (symbol, bids, asks) => ({
+      symbol,
+      bids: bids.map(([price, qty]) => ({ price, qty })),
+      asks: asks.map(([price, qty]) => ({ price, qty })),
+      checksum: 0,
+      timestamp: new Date().toISOString()
+    });
+
+    session.send({
+      channel: 'status',
+      type: 'update',
+      data: [{ api_version: 'v2', connection_id: parseInt(session.id.slice(0, 12), 16), system: 'online', version: '2.0.0' }]
+    });
+
+    session.onMessage = (msg) => {
+      const timeIn = new Date().toISOString();
+
+      if (msg.method === 'ping') {
+        session.send({ method: 'pong', req_id: msg.req_id, time_in: timeIn, time_out: new Date().toISOString() });
+        return;
+      }
+
+      if (msg.method === 'subscribe') {
+        const params = msg.params || {};
+        const depth = params.depth || 10;
+        if (params.channel === 'book' && !BOOK_DEPTHS.includes(depth)) {
+          session.send({ error: `Invalid depth ${depth}`, method: 'subscribe', success: false, time_in: timeIn, time_out: new Date().toISOString() });
+          return;
+        }
+        if (params.channel !== 'ticker' && params.channel !== 'book') {
+          session.send({ error: `Channel ${params.channel} not supported`, method: 'subscribe', success: false, time_in: timeIn, time_out: new Date().toISOString() });
+          return;
+        }
+        for (const symbol of params.symbol || []) {
+          const match = symbol.match(SYMBOL_RE);
+          if (server.isFailing('kraken') || !match || !server.hasAsset(match[1])) {
+            session.send({
+              error: `Currency pair not supported ${symbol}`,
+              method: 'subscribe',
+              success: false,
+              symbol,
+              time_in: timeIn,
+              time_out: new Date().toISOString()
+            });
+            continue;
+          }
+          if (params.channel === 'book') {
+            const book = server.book(match[1], depth);
+            books.set(symbol, { asset: match[1], depth, book });
+            session.send({
+              method: 'subscribe',
+              result: { channel: 'book', depth, snapshot: true, symbol },
+              success: true,
+              time_in: timeIn,
+              time_out: new Date().toISOString()
+            });
+            session.send({ channel: 'book', type: 'snapshot', data: [bookData(symbol, book.bids, book.asks)] });
+            continue;
+          }
+          symbols.set(symbol, match[1]);
+          session.send({
+            method: 'subscribe',
+            result: { channel: 'ticker', event_trigger: 'trades', snapshot: true, symbol },
+            success: true,
+            time_in: timeIn,
+            time_out: new Date().toISOString()
+          });
+          session.send({ channel: 'ticker', type: 'snapshot', data: [ticker(symbol)] });
+        }
+      }
+    };
+
+    session.onTick = () => {
+      session.send({ channel: 'heartbeat' });
+      for (const symbol of symbols.keys()) {
+        session.send({ channel: 'ticker', type: 'update', data: [ticker(symbol)] });
+      }
+      for (const [symbol, sub] of books) {
+        const book = server.book(sub.asset, sub.depth);
+        session.send({
+          channel: 'book',
+          type: 'update',
+          data: [bookData(symbol, diffLevels(sub.book.bids, book.bids), diffLevels(sub.book.asks, book.asks))]
+        });
+        sub.book = book;
+      }
+    };
+  }
+};
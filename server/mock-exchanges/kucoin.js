@@ -0,0 +1,129 @@
+// KuCoin: POST /api/v1/bullet-public issues a token and the WebSocket
+// endpoint; the socket (/endpoint?token=&connectId=) sends a welcome, acks
+// subscriptions with response:true, answers {type:'ping'} with a pong and
+// closes clients that stop pinging. Tickers on /market/ticker:<symbols>,
+// top 5/50 book snapshots on /spotMarket/level2Depth<N>:<symbols>.
+// server.store('kucoin').pingInterval overrides the advertised ping interval.
+
+const crypto = require('crypto');
+
+const PING_INTERVAL = 18000;
+const PING_TIMEOUT = 10000;
+const TOPIC_RE = /^(\/market\/ticker|\/spotMarket\/level2Depth(?:5|50)):(.+)$/;
+const SYMBOL_RE = /^([A-Z]+)-(USDT|USDC)$/;
+
+module.exports = {
+  request(req, res, path, server) {
+    if (req.method !== 'POST' || path !== '/api/v1/bullet-public') {
+      server.json(res, 404, { code: '404000', msg: 'Not Found' });
+      return;
+    }
+    const token = crypto.randomBytes(24).toString('base64url');
+    const tokens = server.store('kucoin').tokens || (server.store('kucoin').tokens = new Set());
+    tokens.add(token);
+    server.json(res, 200, {
+      code: '200000',
+      data: {
+        token,
+        instanceServers: [{
+          endpoint: `ws://${req.headers.host}/kucoin/endpoint`,
+          encrypt: false,
+          protocol: 'websocket',
+          pingInterval: server.store('kucoin').pingInterval || PING_INTERVAL,
+          pingTimeout: PING_TIMEOUT
+        }]
+      }
+    });
+  },
+
+  verify(path) {
+    return path === '/endpoint' ? null : 404;
+  },
+
+  connection(session, server) {
+    const tokens = server.store('kucoin').tokens || new Set();
+    const connectId = session.query.get('connectId') || session.id;
+
+    if (!tokens.has(session.query.get('token'))) {
+      session.send({ id: connectId, type: 'error', code: 401, data: 'token is invalid' });
+      session.close(1008, 'token is invalid');
+      return;
+    }
+
+    const topics = new Map(); // topic -> asset
+    const books = new Map();  // topic -> { asset, levels }
+    let sequence = 1000;
+
+    session.send({ id: connectId, type: 'welcome' });
+
+    // Drop clients that haven't sent anything for a full ping interval + timeout
+    const pingInterval = server.store('kucoin').pingInterval || PING_INTERVAL;
+    session.every(PING_TIMEOUT, () => {
+      if (Date.now() - session.lastMessage > pingInterval + PING_TIMEOUT) {
+        session.close(1000, 'ping timeout');
+      }
+    });
+
+    session.onMessage = (msg) => {
+      if (msg.type === 'ping') {
+        session.send({ id: msg.id, type: 'pong', timestamp: Date.now() * 1000 });
+        return;
+      }
+
+      if (msg.type === 'subscribe') {
+        const match = (msg.topic || '').match(TOPIC_RE);
+        const symbols = match ? match[2].split(',') : [];
+        const invalid = symbols.filter((symbol) => {
+          const parts = symbol.match(SYMBOL_RE);
+          return !parts || !server.hasAsset(parts[1]);
+        });
+        if (server.isFailing('kucoin') || symbols.length === 0 || invalid.length > 0) {
+          session.send({ id: msg.id, type: 'error', code: 404, data: `topic ${msg.topic} is not found` });
+          return;
+        }
+        for (const symbol of symbols) {
+          const asset = symbol.match(SYMBOL_RE)[1];
+          if (match[1] === '/market/ticker') {
+            topics.set(`${match[1]}:${symbol}`, asset);
+          } else {
+            books.set(`${match[1]}:${symbol}`, { asset, levels: parseInt(match[1].slice('/spotMarket/level2Depth'.length), 10) });
+          }
+        }
+        if (msg.response) {
+          session.send({ id: msg.id, type: 'ack' });
+        }
+      }
+    };
+
+    session.onTick = () => {
+      for (const [topic, { asset, levels }] of books) {
+        const book = server.book(asset, levels);
+        const format = side => side.map(([price, size]) => [String(price), String(size)]);
+        session.send({
+          type: 'message',
+          topic,
+          subject: 'level2',
+          data: { asks: format(book.asks), bids: format(book.bids), timestamp: Date.now() }
+        });
+      }
+      for (const [topic, asset] of topics) {
+        const q = server.quote(asset);
+        session.send({
+          type: 'message',
+          topic,
+          subject: 'trade.ticker',
+          data: {
+            sequence: String(++sequence),
+            price: String(q.last),
+            size: (Math.random() * 0.1).toFixed(8),
+            bestAsk: String(q.ask),
+            bestAskSize: (Math.random() * 2).toFixed(8),
+            bestBid: String(q.bid),
+            bestBidSize: (Math.random() * 2).toFixed(8),
+            time: Date.now()
+          }
+        });
+      }
+    };
+  }
+};
@@ -0,0 +1,82 @@
+// OKX v5 public (/ws/v5/public): {op:'subscribe', args:[{channel, instId}]}
+// acked per arg with {event:'subscribe', arg} or {event:'error', code, msg};
+// tickers and books5 (5-level snapshots) pushed as {arg, data:[...]}.
+// A text 'ping' is answered with 'pong'; connections idle for 30s are closed.
+
+const INST_RE = /^([A-Z]+)-(USDT|USDC|USD)$/;
+const CHANNELS = ['tickers', 'books5'];
+const IDLE_TIMEOUT = 30000;
+
+module.exports = {
+  verify(path) {
+    return path === '/ws/v5/public' ? null : 404;
+  },
+
+  connection(session, server) {
+    const subscriptions = new Map(); // "channel:instId" -> { channel, instId, asset }
+    let seqId = 1000;
+
+    session.every(5000, () => {
+      if (Date.now() - session.lastMessage > IDLE_TIMEOUT) {
+        session.close(4004, 'No data received in 30s.');
+      }
+    });
+
+    session.onText = (text) => {
+      if (text === 'ping') session.send('pong');
+    };
+
+    session.onMessage = (msg) => {
+      if (msg.op !== 'subscribe') {
+        session.send({ event: 'error', code: '60012', msg: `Invalid request: ${JSON.stringify(msg)}`, connId: session.id });
+        return;
+      }
+      for (const arg of msg.args || []) {
+        const match = (arg.instId || '').match(INST_RE);
+        if (server.isFailing('okx') || !CHANNELS.includes(arg.channel) || !match || !server.hasAsset(match[1])) {
+          session.send({
+            event: 'error',
+            code: '60018',
+            msg: `Wrong URL or channel:${arg.channel},instId:${arg.instId} doesn't exist.`,
+            connId: session.id
+          });
+          continue;
+        }
+        subscriptions.set(`${arg.channel}:${arg.instId}`, { channel: arg.channel, instId: arg.instId, asset: match[1] });
+        session.send({ event: 'subscribe', arg: { channel: arg.channel, instId: arg.instId }, connId: session.id });
+      }
+    };
+
+    session.onTick = () => {
+      for (const { channel, instId, asset } of subscriptions.values()) {
+        const ts = String(Date.now());
+        if (channel === 'books5') {
+          const book = server.book(asset, 5);
+          const format = side => side.map(([price, size]) => [String(price), String(size), '0', String(1 + Math.floor(Math.random() * 10))]);
+          session.send({ arg: { channel, instId }, data: [{ asks: format(book.asks), bids: format(book.bids), instId, ts, seqId: ++seqId }] });
+          continue;
+        }
+        const q = server.quote(asset);
+        session.send({
+          arg: { channel, instId },
+          data: [{
+            instType: 'SPOT',
+            instId,
+            last: String(q.last),
+            lastSz: (Math.random() * 0.1).toFixed(8),
+            askPx: String(q.ask),
+            askSz: (Math.random() * 2).toFixed(8),
+            bidPx: String(q.bid),
+            bidSz: (Math.random() * 2).toFixed(8),
+            open24h: String(q.open),
+            high24h: String(q.high),
+            low24h: String(q.low),
+            vol24h: String(q.volume),
+            volCcy24h: (q.volume * q.last).toFixed(2),
+            ts
+          }]
+        });
+      }
+    };
+  }
+};
@@ -0,0 +1,73 @@
+// Upbit (/websocket/v1): the request is one JSON array
+// [{ticket}, {type, codes}, ...]; data frames are binary JSON. orderbook
+// pushes 15 levels per KRW-<asset> code, priced at the server's KRW rate.
+// A text 'PING' is answered with {"status":"UP"}; connections idle for
+// 120s are closed.
+
+const CODE_RE = /^KRW-([A-Z]+)$/;
+const IDLE_TIMEOUT = 120000;
+const LEVELS = 15;
+
+module.exports = {
+  verify(path) {
+    return path === '/websocket/v1' ? null : 404;
+  },
+
+  connection(session, server) {
+    const codes = new Map(); // code -> asset
+    const fail = (name, message) => session.send(Buffer.from(JSON.stringify({ error: { name, message } })));
+
+    session.every(10000, () => {
+      if (Date.now() - session.lastMessage > IDLE_TIMEOUT) {
+        session.close(1000, 'idle timeout');
+      }
+    });
+
+    session.onText = (text) => {
+      if (text === 'PING') session.send(JSON.stringify({ status: 'UP' }));
+    };
+
+    session.onMessage = (msg) => {
+      if (!Array.isArray(msg) || !msg.some(item => item.ticket)) {
+        fail('WRONG_FORMAT', 'Invalid request format');
+        return;
+      }
+      for (const item of msg.filter(i => i.type)) {
+        const invalid = (item.codes || []).find((code) => {
+          const match = code.match(CODE_RE);
+          return !match || !server.hasAsset(match[1]);
+        });
+        if (server.isFailing('upbit') || item.type !== 'orderbook' || invalid || !item.codes || item.codes.length === 0) {
+          fail('INVALID_PARAM', `Invalid ${item.type} codes: ${(item.codes || []).join(',')}`);
+          return;
+        }
+        for (const code of item.codes) {
+          codes.set(code, code.match(CODE_RE)[1]);
+        }
+      }
+    };
+
+    session.onTick = () => {
+      const krw = server.fxRates.KRW;
+      for (const [code, asset] of codes) {
+        const book = server.book(asset, LEVELS);
+        const units = book.asks.map(([askPrice, askSize], i) => ({
+          ask_price: Math.round(askPrice * krw),
+          bid_price: Math.round(book.bids[i][0] * krw),
+          ask_size: askSize,
+          bid_size: book.bids[i][1]
+        }));
+        session.send(Buffer.from(JSON.stringify({
+          type: 'orderbook',
+          code,
+          timestamp: Date.now(),
+          total_ask_size: Number(units.reduce((sum, u) => sum + u.ask_size, 0).toFixed(8)),
+          total_bid_size: Number(units.reduce((sum, u) => sum + u.bid_size, 0).toFixed(8)),
+          orderbook_units: units,
+          stream_type: 'REALTIME',
+          level: 0
+        })));
+      }
+    };
+  }
+};
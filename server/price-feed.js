@@ -1,45 +1,270 @@
+const http = require('http');
 const { WebSocketServer } = require('ws');
+const config = require('./config');
 
+const PATH_RE = /^\/api\/v1\/midprice\/([a-z0-9]+)$/;
+const PATH_V2_RE = /^\/api\/v2\/midprice\/([a-z0-9]+)$/;
+const BOOK_PATH_RE = /^\/api\/v1\/book\/([a-z0-9]+)$/;
+
+// 0..1: the share of known (not disabled) sources that made it into the
+// aggregate, scaled down as their prices spread apart. A weighted spread
+// as wide as the outlier band gives 0.
+function getConfidence(data) {
+  const known = data.sources.length + data.excluded.filter(e => e.reason !== 'disabled').length;
+  const totalWeight = data.sources.reduce((sum, s) => sum + s.weight, 0);
+  if (known === 0 || totalWeight === 0) return 0;
+
+  const coverage = data.sources.length / known;
+  const variance = data.sources.reduce((sum, s) => sum + s.weight * (s.price - data.price) ** 2, 0) / totalWeight;
+  const agreement = Math.max(0, 1 - Math.sqrt(variance) / data.price / config.outlierThreshold);
+  return Number((coverage * agreement).toFixed(3));
+}
+
+/**
+ * Public price feed over WebSocket, one path per asset:
+ *   /api/v1/midprice/<asset> - legacy: the bare price string ("67123.45") on every aggregate
+ *   /api/v2/midprice/<asset> - JSON {type: 'price', asset, price, ts, seq, sources, confidence}.
+ *                              seq counts aggregates per asset, so gaps show skipped updates.
+ *                              Clients may send {type: 'subscribe', interval} to get at most one
+ *                              update per interval ms (acked with {type: 'subscribed', interval}).
+ *   /api/v1/book/<asset>     - consolidated book (also a plain GET snapshot)
+ *
+ * Every client is pinged each config.priceFeed.pingInterval and dropped if it
+ * hasn't answered the previous ping.
+ */
 class PriceFeed {
   constructor(port = 8082) {
     this.port = port;
+    this.server = null;
     this.wss = null;
-    this.clients = new Set();
-    this.lastPrice = null;
+    this.clients = new Map();   // asset -> Set<ws>
+    this.v2Clients = new Map();   // asset -> Map<ws, {interval, lastSent}>
+    this.bookClients = new Map(); // asset -> Set<ws> (consolidated book channel)
+    this.lastPrices = new Map(); // asset -> formatted price
+    this.lastPayloads = new Map(); // asset -> last v2 payload
+    this.sequences = new Map(); // asset -> v2 sequence number
+    this.aggregator = null;
+    this.pingInterval = null;
+    for (const asset of config.assets) {
+      this.clients.set(asset, new Set());
+      this.v2Clients.set(asset, new Map());
+      this.bookClients.set(asset, new Set());
+      this.sequences.set(asset, 0);
+    }
   }
 
   start(aggregator) {
-    this.wss = new WebSocketServer({ port: this.port, path: '/api/v1/midprice/btc' });
+    this.aggregator = aggregator;
+    this.server = http.createServer((req, res) => {
+      // GET /api/v1/book/<asset>: consolidated book snapshot
+      const bookMatch = (req.url || '').split('?')[0].match(BOOK_PATH_RE);
+      const bookAsset = bookMatch ? bookMatch[1].toUpperCase() : null;
+      if (bookAsset && req.method === 'GET') {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        if (!this.bookClients.has(bookAsset)) {
+          res.writeHead(404, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'Unknown asset' }));
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(this.aggregator.getConsolidatedBook(bookAsset)));
+        return;
+      }
+      res.writeHead(426, { 'Content-Type': 'text/plain' });
+      res.end('Upgrade Required');
+    });
+    this.wss = new WebSocketServer({ noServer: true });
+
+    // One path per configured asset and channel: /api/v1/midprice/btc,
+    // /api/v2/midprice/btc, /api/v1/book/btc, /api/v1/midprice/eth, ...
+    this.server.on('upgrade', (req, socket, head) => {
+      const path = (req.url || '').split('?')[0];
+      const priceMatch = path.match(PATH_RE);
+      const v2Match = path.match(PATH_V2_RE);
+      const bookMatch = path.match(BOOK_PATH_RE);
+      const channel = priceMatch ? 'midprice' : v2Match ? 'midprice_v2' : bookMatch ? 'book' : null;
+      const asset = channel ? (priceMatch || v2Match || bookMatch)[1].toUpperCase() : null;
+      if (!asset || !this.clients.has(asset)) {
+        socket.write('HTTP/1.1 404 Not Found\r\n\r\n');
+        socket.destroy();
+        return;
+      }
+      this.wss.handleUpgrade(req, socket, head, (ws) => {
+        this.wss.emit('connection', ws, asset, channel);
+      });
+    });
+
+    this.wss.on('connection', (ws, asset, channel) => {
+      // Heartbeat: cleared on each ping, set again by the pong
+      ws.isAlive = true;
+      ws.on('pong', () => { ws.isAlive = true; });
+
+      if (channel === 'midprice_v2') {
+        this.addV2Client(ws, asset);
+        return;
+      }
+
+      if (channel === 'book') {
+        const bookClients = this.bookClients.get(asset);
+        bookClients.add(ws);
+        ws.send(JSON.stringify(this.aggregator.getConsolidatedBook(asset)));
+        ws.on('close', () => bookClients.delete(ws));
+        ws.on('error', () => bookClients.delete(ws));
+        return;
+      }
 
-    this.wss.on('connection', (ws) => {
-      this.clients.add(ws);
+      const clients = this.clients.get(asset);
+      clients.add(ws);
 
-      if (this.lastPrice !== null) {
-        ws.send(this.lastPrice);
+      if (this.lastPrices.has(asset)) {
+        ws.send(this.lastPrices.get(asset));
       }
 
-      ws.on('close', () => this.clients.delete(ws));
-      ws.on('error', () => this.clients.delete(ws));
+      ws.on('close', () => clients.delete(ws));
+      ws.on('error', () => clients.delete(ws));
     });
 
     aggregator.on('aggregate', (data) => {
       if (data.price === null) return;
-      this.lastPrice = data.price.toFixed(2);
-      for (const client of this.clients) {
+      const clients = this.clients.get(data.asset);
+      if (!clients) return;
+      const price = data.price.toFixed(2);
+      this.lastPrices.set(data.asset, price);
+      for (const client of clients) {
         if (client.readyState === 1) {
-          client.send(this.lastPrice);
+          client.send(price);
         }
       }
+      this.broadcastV2(data);
     });
 
-    console.log(`Price feed WebSocket listening on ws://localhost:${this.port}/api/v1/midprice/btc`);
+    // Consolidated book, pushed once per aggregation tick (only built when someone listens)
+    aggregator.on('aggregate', (data) => {
+      const bookClients = this.bookClients.get(data.asset);
+      if (!bookClients || bookClients.size === 0) return;
+      const book = JSON.stringify(aggregator.getConsolidatedBook(data.asset));
+      for (const client of bookClients) {
+        if (client.readyState === 1) {
+          client.send(book);
+        }
+      }
+    });
+
+    this.pingInterval = setInterval(() => this.heartbeat(), config.priceFeed.pingInterval);
+
+    this.server.listen(this.port);
+
+    for (const asset of config.assets) {
+      console.log(`Price feed WebSocket listening on ws://localhost:${this.port}/api/v1/midprice/${asset.toLowerCase()}`);
+      console.log(`Price feed v2 (JSON) on ws://localhost:${this.port}/api/v2/midprice/${asset.toLowerCase()}`);
+      console.log(`Consolidated book on http://localhost:${this.port}/api/v1/book/${asset.toLowerCase()} (GET snapshot or WebSocket)`);
+    }
+  }
+
+  // ============================================
+  // V2 PROTOCOL
+  // ============================================
+
+  addV2Client(ws, asset) {
+    const clients = this.v2Clients.get(asset);
+    // Every aggregate by default
+    const state = { interval: config.aggregateInterval, lastSent: 0 };
+    clients.set(ws, state);
+
+    if (this.lastPayloads.has(asset)) {
+      const payload = this.lastPayloads.get(asset);
+      ws.send(JSON.stringify(payload));
+      state.lastSent = payload.ts;
+    }
+
+    ws.on('message', (raw) => {
+      let msg;
+      try {
+        msg = JSON.parse(raw);
+      } catch (err) {
+        ws.send(JSON.stringify({ type: 'error', error: 'Invalid JSON' }));
+        return;
+      }
+
+      if (!msg || msg.type !== 'subscribe') {
+        ws.send(JSON.stringify({ type: 'error', error: 'Unknown message type' }));
+        return;
+      }
+
+      const interval = msg.interval ?? config.aggregateInterval;
+      const { maxInterval } = config.priceFeed;
+      if (!Number.isInteger(interval) || interval < config.aggregateInterval || interval > maxInterval) {
+        ws.send(JSON.stringify({
+          type: 'error',
+          error: `interval must be an integer between ${config.aggregateInterval} and ${maxInterval} ms`
+        }));
+        return;
+      }
+      state.interval = interval;
+      ws.send(JSON.stringify({ type: 'subscribed', asset, interval }));
+    });
+
+    ws.on('close', () => clients.delete(ws));
+    ws.on('error', () => clients.delete(ws));
+  }
+
+  broadcastV2(data) {
+    const seq = this.sequences.get(data.asset) + 1;
+    this.sequences.set(data.asset, seq);
+
+    const payload = {
+      type: 'price',
+      asset: data.asset,
+      price: Number(data.price.toFixed(2)),
+      ts: data.timestamp,
+      seq,
+      sources: data.sourceCount,
+      confidence: getConfidence(data)
+    };
+    this.lastPayloads.set(data.asset, payload);
+
+    const message = JSON.stringify(payload);
+    // Half a tick of slack so aggregation jitter doesn't skip a due update
+    const slack = config.aggregateInterval / 2;
+    for (const [client, state] of this.v2Clients.get(data.asset)) {
+      if (client.readyState !== 1 || data.timestamp - state.lastSent + slack < state.interval) continue;
+      client.send(message);
+      state.lastSent = data.timestamp;
+    }
+  }
+
+  // Drop clients that didn't answer the previous ping, then ping the rest
+  heartbeat() {
+    for (const ws of this.wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
   }
 
   stop() {
+    if (this.pingInterval) {
+      clearInterval(this.pingInterval);
+      this.pingInterval = null;
+    }
     if (this.wss) {
-      for (const client of this.clients) client.close();
-      this.clients.clear();
+      for (const clients of this.clients.values()) {
+        for (const client of clients) client.close();
+        clients.clear();
+      }
+      for (const clients of this.v2Clients.values()) {
+        for (const client of clients.keys()) client.close();
+        clients.clear();
+      }
+      for (const clients of this.bookClients.values()) {
+        for (const client of clients) client.close();
+        clients.clear();
+      }
       this.wss.close();
+      this.server.close();
     }
   }
 }
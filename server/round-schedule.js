@@ -0,0 +1,85 @@
+/**
+ * Round schedule for one market series (e.g. 1-minute or 1-hour up/down rounds).
+ *
+ * Rounds are aligned to multiples of the interval since the Unix epoch, so a
+ * 5m series starts at :00, :05, :10 ... UTC and a 1h series on the hour.
+ * Each series settles on its own clock; several can run side by side.
+ */
+const TIE_POLICIES = ['up', 'down', 'refund', 'split'];
+
+class RoundSchedule {
+  /**
+   * @param {{id: string, interval: number, provisionLead: number, slug: string, tiePolicy?: string}} series
+   *   slug is a template using {asset}, {series}, {yyyy}, {mm}, {dd}, {hh}, {min};
+   *   tiePolicy is one of TIE_POLICIES (default 'up')
+   */
+  constructor(series) {
+    if (!series.id) throw new Error('Market series requires an id');
+    if (!(series.interval >= 60000) || series.interval % 60000 !== 0) {
+      throw new Error(`Market series ${series.id}: interval must be a whole number of minutes`);
+    }
+    if (!(series.provisionLead >= 0)) {
+      throw new Error(`Market series ${series.id}: provisionLead must be >= 0`);
+    }
+    const tiePolicy = series.tiePolicy || 'up';
+    if (!TIE_POLICIES.includes(tiePolicy)) {
+      throw new Error(`Market series ${series.id}: unknown tie policy ${tiePolicy}`);
+    }
+    this.id = series.id;
+    this.interval = series.interval;
+    this.provisionLead = series.provisionLead;
+    this.slugTemplate = series.slug;
+    this.tiePolicy = tiePolicy;
+  }
+
+  /**
+   * Outcome of a round from its strike and final price, applying the tie policy.
+   * @returns {'up'|'down'|'refund'|'split'}
+   */
+  resolveOutcome(priceToBeat, finalPrice) {
+    if (finalPrice > priceToBeat) return 'up';
+    if (finalPrice < priceToBeat) return 'down';
+    return this.tiePolicy;
+  }
+
+  // Start of the round containing the given time
+  getRoundStart(ms = Date.now()) {
+    return Math.floor(ms / this.interval) * this.interval;
+  }
+
+  getRoundEnd(roundStartMs) {
+    return roundStartMs + this.interval;
+  }
+
+  getPhase(roundStartMs, now = Date.now()) {
+    if (now < roundStartMs) return 'provision';
+    if (now < this.getRoundEnd(roundStartMs)) return 'active';
+    return 'closed';
+  }
+
+  // Current round plus every future round that opens within the provision lead time
+  getUpcomingStarts(now = Date.now()) {
+    const starts = [];
+    const current = this.getRoundStart(now);
+    for (let ms = current; ms <= current + this.provisionLead; ms += this.interval) {
+      starts.push(ms);
+    }
+    return starts;
+  }
+
+  getSlug(asset, roundStartMs) {
+    const d = new Date(roundStartMs);
+    const tokens = {
+      asset: asset.toLowerCase(),
+      series: this.id,
+      yyyy: String(d.getUTCFullYear()),
+      mm: String(d.getUTCMonth() + 1).padStart(2, '0'),
+      dd: String(d.getUTCDate()).padStart(2, '0'),
+      hh: String(d.getUTCHours()).padStart(2, '0'),
+      min: String(d.getUTCMinutes()).padStart(2, '0')
+    };
+    return this.slugTemplate.replace(/\{(\w+)\}/g, (match, key) => tokens[key] ?? match);
+  }
+}
+
+module.exports = RoundSchedule;
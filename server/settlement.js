@@ -0,0 +1,51 @@
+const config = require('./config');
+const db = require('./db');
+
+/**
+ * Time-weighted average of price samples over [windowStart, windowEnd].
+ * Each sample holds until the next one (or the end of the window); a sample
+ * from before the window counts from windowStart. If the samples span no
+ * time inside the window, their plain mean is used.
+ * @param {{price: number, timestamp: number}[]} samples - sorted oldest first
+ * @param {number} windowStart
+ * @param {number} windowEnd
+ * @returns {number|null}
+ */
+function computeTwap(samples, windowStart, windowEnd) {
+  if (samples.length === 0) return null;
+
+  let weightedSum = 0;
+  let totalTime = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const from = Math.max(samples[i].timestamp, windowStart);
+    const to = i + 1 < samples.length ? Math.min(samples[i + 1].timestamp, windowEnd) : windowEnd;
+    if (to <= from) continue;
+    weightedSum += samples[i].price * (to - from);
+    totalTime += to - from;
+  }
+
+  if (totalTime === 0) {
+    return samples.reduce((sum, s) => sum + s.price, 0) / samples.length;
+  }
+  return weightedSum / totalTime;
+}
+
+/**
+ * Fixing price for an asset at a round boundary, from stored aggregates.
+ * @param {string} asset
+ * @param {number} boundaryMs - round start (strike) or round end (settlement)
+ * @returns {Promise<{price: number, windowStart: number, windowEnd: number, samples: {price: number, timestamp: number}[]}|null>}
+ *   price is rounded to cents; null when no aggregate was stored in or shortly before the window
+ */
+async function getFixing(asset, boundaryMs) {
+  const windowStart = boundaryMs - config.settlement.windowBefore;
+  const windowEnd = boundaryMs + config.settlement.windowAfter;
+  // Carry in the last sample before the window, as long as it isn't stale
+  const samples = await db.getPricesInWindow(asset, windowStart, windowEnd, config.staleThreshold);
+  const twap = computeTwap(samples, windowStart, windowEnd);
+  if (twap === null) return null;
+  // Round to cents like the stored prices, so the in-memory outcome matches the DB's
+  return { price: Math.round(twap * 100) / 100, windowStart, windowEnd, samples };
+}
+
+module.exports = { computeTwap, getFixing };
@@ -0,0 +1,101 @@
+const config = require('./config');
+const db = require('./db');
+
+/**
+ * Runtime changes to the aggregator's price sources, without a restart:
+ * per-source weights, enabling/disabling a source and starting an adapter
+ * for a new exchange/asset pair.
+ *
+ * Every change is written to the source_changes table (and the console)
+ * with a timestamp before it is applied, so any past aggregate can be
+ * explained from config.js plus the change log. Changes are held in memory;
+ * a restart goes back to config.js.
+ */
+class SourceAdmin {
+  /**
+   * @param {PriceAggregator} aggregator
+   * @param {Object<string, Function>} adapters - exchange name → adapter class
+   */
+  constructor(aggregator, adapters) {
+    this.aggregator = aggregator;
+    this.adapters = adapters;
+  }
+
+  /**
+   * @param {string} source - source name as used in config.weights (e.g. "kraken_usdt")
+   * @param {number} weight - 0..1 (weights are normalized when aggregating)
+   * @param {string} [actor] - who made the change
+   */
+  async setWeight(source, weight, actor = null) {
+    this.checkSource(source);
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0 || weight > 1) {
+      throw new Error('weight must be a number between 0 and 1');
+    }
+    const oldValue = this.aggregator.getWeight(source);
+    const change = await this.record({ action: 'set_weight', source, oldValue, newValue: weight, actor });
+    this.aggregator.setWeight(source, weight);
+    return change;
+  }
+
+  async setEnabled(source, enabled, actor = null) {
+    this.checkSource(source);
+    if (typeof enabled !== 'boolean') {
+      throw new Error('enabled must be true or false');
+    }
+    const oldValue = this.aggregator.isEnabled(source);
+    const change = await this.record({ action: enabled ? 'enable' : 'disable', source, oldValue, newValue: enabled, actor });
+    this.aggregator.setEnabled(source, enabled);
+    return change;
+  }
+
+  // Start an adapter for an exchange/asset pair that isn't running yet
+  async addPair(exchange, asset, actor = null) {
+    const Adapter = this.adapters[exchange];
+    if (!Adapter) {
+      throw new Error(`Unknown exchange: ${exchange}`);
+    }
+    asset = typeof asset === 'string' ? asset.toUpperCase() : '';
+    if (!config.assets.includes(asset)) {
+      throw new Error(`Unknown asset: ${asset}`);
+    }
+    if (this.aggregator.exchanges.some(e => e.name === exchange && e.asset === asset)) {
+      throw new Error(`${exchange} ${asset} is already running`);
+    }
+
+    const change = await this.record({ action: 'add_pair', source: exchange, asset, newValue: { exchange, asset }, actor });
+    this.aggregator.addExchange(new Adapter(asset));
+    return change;
+  }
+
+  // Sources the aggregator has weights for or has received prices from
+  checkSource(source) {
+    const known = config.assets.some(asset =>
+      this.aggregator.getSources(asset).some(s => s.source === source));
+    if (!known) {
+      throw new Error(`Unknown source: ${source}`);
+    }
+  }
+
+  // Persist a change, then log it; a change that can't be logged isn't applied
+  async record(change) {
+    const { id, changedAt } = await db.insertSourceChange(change);
+    const detail = change.action === 'add_pair'
+      ? `${change.source} ${change.asset}`
+      : `${change.source}: ${JSON.stringify(change.oldValue)} -> ${JSON.stringify(change.newValue)}`;
+    console.log(`[admin] ${new Date(changedAt).toISOString()} ${change.action} ${detail}${change.actor ? ` by ${change.actor}` : ''}`);
+    return { id, ...change, changedAt };
+  }
+
+  getState(asset = config.assets[0]) {
+    return {
+      asset,
+      sources: this.aggregator.getSources(asset),
+      adapters: this.aggregator.exchanges
+        .filter(e => e.asset === asset)
+        .map(e => ({ exchange: e.name, asset: e.asset, connected: e.connected })),
+      available: Object.keys(this.adapters)
+    };
+  }
+}
+
+module.exports = SourceAdmin;
@@ -0,0 +1,113 @@
+const config = require('./config');
+
+// Clamp to 0..1
+const unit = (n) => Math.max(0, Math.min(1, n));
+
+/**
+ * Rolling quality measurements per price source, for dynamic weighting
+ * (config.dynamicWeighting). The aggregator counts every price update and
+ * samples each known source once per aggregation; over the last windowMs
+ * that gives:
+ *   latencyMs     - mean age of the source's price when it was aggregated
+ *   updatesPerSec - price updates received per second
+ *   deviationBps  - mean distance from the cross-exchange median
+ *   uptime        - share of samples where the source was fresh
+ *
+ * Each is scored 0..1 against its target (1 at or better than the target)
+ * and the scores are averaged using config.dynamicWeighting.factors.
+ */
+class SourceQuality {
+  constructor() {
+    /** @type {Map<string, {updates: number, samples: Array<{t: number, updates: number, age: number|null, deviation: number|null}>}>} "asset:source" → window */
+    this.sources = new Map();
+  }
+
+  entry(asset, source) {
+    const key = `${asset}:${source}`;
+    if (!this.sources.has(key)) this.sources.set(key, { updates: 0, samples: [] });
+    return this.sources.get(key);
+  }
+
+  // Count a price update (called for every 'price' event)
+  recordUpdate(asset, source) {
+    this.entry(asset, source).updates++;
+  }
+
+  /**
+   * Record one aggregation pass for a source.
+   * @param {string} asset
+   * @param {string} source
+   * @param {number} now
+   * @param {number|null} age - price age in ms, null if the price was stale
+   * @param {number|null} deviation - fraction from the median, null if there was no median
+   */
+  sample(asset, source, now, age, deviation) {
+    const entry = this.entry(asset, source);
+    entry.samples.push({ t: now, updates: entry.updates, age, deviation });
+    entry.updates = 0;
+
+    const cutoff = now - config.dynamicWeighting.windowMs;
+    while (entry.samples.length > 0 && entry.samples[0].t < cutoff) {
+      entry.samples.shift();
+    }
+  }
+
+  /**
+   * Quality over the current window, or null until minSamples have been taken.
+   * @returns {{score: number, latencyMs: number|null, updatesPerSec: number, deviationBps: number|null, uptime: number, samples: number}|null}
+   */
+  getQuality(asset, source) {
+    const entry = this.sources.get(`${asset}:${source}`);
+    const { minSamples, targets, factors } = config.dynamicWeighting;
+    if (!entry || entry.samples.length < minSamples) return null;
+
+    const samples = entry.samples;
+    const fresh = samples.filter(s => s.age !== null);
+    const withDeviation = fresh.filter(s => s.deviation !== null);
+    const mean = (list, fn) => list.reduce((sum, s) => sum + fn(s), 0) / list.length;
+
+    const span = Math.max(samples[samples.length - 1].t - samples[0].t, config.aggregateInterval) / 1000;
+    const updatesPerSec = samples.reduce((sum, s) => sum + s.updates, 0) / span;
+    const latencyMs = fresh.length > 0 ? mean(fresh, s => s.age) : null;
+    const deviationBps = withDeviation.length > 0 ? mean(withDeviation, s => s.deviation) * 10000 : null;
+    const uptime = fresh.length / samples.length;
+
+    // A source that was never fresh scores 0 on latency; no median means no penalty
+    const scores = {
+      latency: latencyMs === null ? 0 : unit(targets.latencyMs / Math.max(latencyMs, 1)),
+      frequency: unit(updatesPerSec / targets.updatesPerSec),
+      deviation: deviationBps === null ? 1 : unit(targets.deviationBps / Math.max(deviationBps, 1e-9)),
+      uptime
+    };
+
+    let total = 0;
+    let score = 0;
+    for (const name of Object.keys(scores)) {
+      const factor = factors[name] || 0;
+      score += scores[name] * factor;
+      total += factor;
+    }
+
+    return {
+      score: total > 0 ? Number((score / total).toFixed(3)) : 1,
+      latencyMs: latencyMs === null ? null : Math.round(latencyMs),
+      updatesPerSec: Number(updatesPerSec.toFixed(2)),
+      deviationBps: deviationBps === null ? null : Number(deviationBps.toFixed(2)),
+      uptime: Number(uptime.toFixed(3)),
+      samples: samples.length
+    };
+  }
+
+  /**
+   * Base weight scaled by the quality score and clamped to [minWeight, maxWeight].
+   * A zero base weight stays zero, and the base weight is used until the
+   * source has enough samples.
+   */
+  getEffectiveWeight(baseWeight, quality) {
+    if (!quality || baseWeight === 0) return baseWeight;
+    const { minWeight, maxWeight } = config.dynamicWeighting;
+    return Math.max(minWeight, Math.min(maxWeight, baseWeight * quality.score));
+  }
+}
+
+module.exports = SourceQuality;
@@ -0,0 +1,79 @@
+const EventEmitter = require('events');
+const config = require('./config');
+
+/**
+ * Tracks stablecoin/USD conversion rates (USDT/USD, USDC/USD) reported by
+ * exchange adapters via their 'rate' event, so BTC/USDT and BTC/USDC quotes
+ * can be converted to USD before aggregation.
+ *
+ * Emits 'depeg' when a stablecoin drifts beyond config.stablecoins.depegThreshold
+ * and 'repeg' when it comes back inside the band.
+ */
+class StablecoinRates extends EventEmitter {
+  constructor() {
+    super();
+    /** @type {Map<string, {rate: number, exchange: string, timestamp: number}>} currency → latest rate */
+    this.rates = new Map();
+    /** @type {Set<string>} currencies currently outside the de-peg band */
+    this.depegged = new Set();
+  }
+
+  /**
+   * Record a rate update from an adapter.
+   * @param {{currency: string, rate: number, exchange: string, timestamp: number}} data
+   */
+  update(data) {
+    if (!data.rate || !isFinite(data.rate)) return;
+    this.rates.set(data.currency, {
+      rate: data.rate,
+      exchange: data.exchange,
+      timestamp: data.timestamp
+    });
+
+    const drift = Math.abs(data.rate - 1);
+    const threshold = config.stablecoins.depegThreshold;
+    if (drift > threshold && !this.depegged.has(data.currency)) {
+      this.depegged.add(data.currency);
+      console.warn(`[stablecoin] ${data.currency}/USD de-peg: ${data.rate.toFixed(4)} (${data.exchange})`);
+      this.emit('depeg', { currency: data.currency, rate: data.rate, exchange: data.exchange, timestamp: data.timestamp });
+    } else if (drift <= threshold && this.depegged.has(data.currency)) {
+      this.depegged.delete(data.currency);
+      console.log(`[stablecoin] ${data.currency}/USD back within band: ${data.rate.toFixed(4)}`);
+      this.emit('repeg', { currency: data.currency, rate: data.rate, exchange: data.exchange, timestamp: data.timestamp });
+    }
+  }
+
+  /**
+   * USD value of one unit of the quote currency. Plain USD (or an unknown
+   * quote) is 1; stablecoins without a fresh rate use the configured fallback.
+   * @param {string} currency - 'USD', 'USDT', 'USDC', ...
+   * @returns {number}
+   */
+  getRate(currency) {
+    if (!config.stablecoins.currencies.includes(currency)) return 1;
+    const entry = this.rates.get(currency);
+    if (!entry || Date.now() - entry.timestamp > config.stablecoins.staleThreshold) {
+      return config.stablecoins.fallbackRate;
+    }
+    return entry.rate;
+  }
+
+  /**
+   * Snapshot of the current rates for status/aggregate payloads.
+   * @returns {Object<string, {rate: number, live: boolean, depegged: boolean}>}
+   */
+  getSnapshot() {
+    const snapshot = {};
+    for (const currency of config.stablecoins.currencies) {
+      const entry = this.rates.get(currency);
+      snapshot[currency] = {
+        rate: this.getRate(currency),
+        live: !!entry && Date.now() - entry.timestamp <= config.stablecoins.staleThreshold,
+        depegged: this.depegged.has(currency)
+      };
+    }
+    return snapshot;
+  }
+}
+
+module.exports = StablecoinRates;
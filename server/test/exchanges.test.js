@@ -0,0 +1,252 @@
+// Runs every exchange adapter against the local mock exchanges (server/mock-exchanges):
+// ticker parsing, keepalive pings, rejected subscriptions, silenced feeds and
+// reconnecting after a dropped connection.
+
+const { describe, test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const config = require('../config');
+const adapters = require('../exchanges');
+const MockExchangeServer = require('../mock-exchanges');
+
+const TICK = 50;
+
+// Fast reconnects, polling and pings so the suite runs in seconds
+config.reconnect.initialDelay = TICK;
+config.exchanges.gemini.pollInterval = TICK;
+for (const name of ['bybit', 'kraken', 'gateio', 'okx', 'upbit']) {
+  config.exchanges[name].pingInterval = 2 * TICK;
+}
+
+// Expected parse of the mock's BTC quote, by adapter. source is the
+// 'exchange' of the checked price event (multi-pair adapters emit one per pair).
+const mid = q => (q.bid + q.ask) / 2;
+const CASES = {
+  binance: { quote: 'USDT', expect: q => ({ price: mid(q), bid: q.bid, ask: q.ask, volume: null }) },
+  gemini: { quote: 'USD', expect: q => ({ price: q.last, bid: q.bid, ask: q.ask, volume: null }) },
+  kucoin: { quote: 'USDT', expect: q => ({ price: q.last, bid: q.bid, ask: q.ask, volume: null }) },
+  coinbase: { quote: 'USD', expect: q => ({ price: q.last, bid: q.bid, ask: q.ask, volume: q.volume }) },
+  kraken: { source: 'kraken_usdt', quote: 'USDT', expect: q => ({ price: q.last, bid: q.bid, ask: q.ask, volume: q.volume }) },
+  bybit: { source: 'bybit_usdt', quote: 'USDT', expect: q => ({ price: q.last, bid: null, ask: null, volume: q.volume }) },
+  bitfinex: { quote: 'USD', expect: q => ({ price: q.last, bid: q.bid, ask: q.ask, volume: q.volume }) },
+  gateio: { quote: 'USDT', expect: q => ({ price: q.last, bid: q.bid, ask: q.ask, volume: q.volume }) },
+  cryptocom: { quote: 'USD', expect: q => ({ price: q.last, bid: q.bid, ask: q.ask, volume: q.volume }) },
+  okx: { quote: 'USDT', expect: q => ({ price: q.last, bid: q.bid, ask: q.ask, volume: q.volume }) },
+  bitstamp: { quote: 'USD', expect: q => ({ price: mid(q), bid: q.bid, ask: q.ask, volume: null }) },
+  htx: { quote: 'USDT', expect: q => ({ price: q.last, bid: q.bid, ask: q.ask, volume: q.volume }) },
+  upbit: {
+    quote: 'KRW',
+    expect: (q, krw) => {
+      const bid = Math.round(q.bid * krw);
+      const ask = Math.round(q.ask * krw);
+      return { price: (bid + ask) / 2, bid, ask, volume: null };
+    }
+  }
+};
+
+// Pings sent by adapters that keep their connection alive themselves
+const CLIENT_PINGS = {
+  bybit: msg => msg.op === 'ping',
+  kraken: msg => msg.method === 'ping',
+  kucoin: msg => msg.type === 'ping',
+  gateio: msg => msg.channel === 'spot.ping',
+  okx: msg => msg === 'ping',
+  upbit: msg => msg === 'PING'
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitFor(check, what, timeout = 3000) {
+  const deadline = Date.now() + timeout;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${what}`);
+    await sleep(10);
+  }
+}
+
+function assertClose(actual, expected) {
+  for (const [key, value] of Object.entries(expected)) {
+    if (value === null) {
+      assert.equal(actual[key], null, key);
+    } else {
+      assert.ok(Math.abs(actual[key] - value) < 1e-9 * Math.abs(value), `${key}: ${actual[key]} != ${value}`);
+    }
+  }
+}
+
+describe('exchange adapters against the mock exchanges', () => {
+  let server;
+  const running = new Set();
+
+  before(async () => {
+    server = new MockExchangeServer({ port: 0, tickInterval: TICK, walk: false });
+    await server.start();
+  });
+
+  after(() => server.stop());
+
+  afterEach(() => {
+    for (const adapter of running) {
+      // Keep pending and future reconnects from reopening the connection
+      adapter.connect = () => {};
+      adapter.scheduleReconnect = () => {};
+      adapter.disconnect();
+    }
+    running.clear();
+    server.failing.clear();
+    server.silenced.clear();
+    server.removeAllListeners('connection');
+  });
+
+  // Connect an adapter to the mock, recording its prices, errors and connection events
+  function start(name) {
+    const scheme = name === 'gemini' || name === 'kucoin' ? 'http' : 'ws';
+    const adapter = new adapters[name]('BTC', { baseUrl: `${scheme}://localhost:${server.port}/${name}` });
+    const source = CASES[name].source || name;
+    const events = { prices: [], errors: [], connected: 0, disconnected: 0 };
+    adapter.log = () => {};
+    adapter.logError = message => events.errors.push(message);
+    adapter.on('price', (data) => {
+      if (data.exchange === source) events.prices.push(data);
+    });
+    adapter.on('error', () => {}); // also passed to logError
+    adapter.on('connected', () => events.connected++);
+    adapter.on('disconnected', () => events.disconnected++);
+    running.add(adapter);
+    adapter.connect();
+    return { adapter, events };
+  }
+
+  // Everything the adapter sends to the mock: parsed JSON, or the text of non-JSON frames
+  function recordClient(name) {
+    const received = [];
+    server.on('connection', (session) => {
+      if (session.exchange !== name) return;
+      const { onMessage, onText } = session;
+      session.onMessage = (msg) => {
+        received.push(msg);
+        if (onMessage) onMessage(msg);
+      };
+      session.onText = (text) => {
+        received.push(text);
+        if (onText) onText(text);
+      };
+    });
+    return received;
+  }
+
+  for (const [name, { quote, expect }] of Object.entries(CASES)) {
+    describe(name, () => {
+      test('parses the ticker', async () => {
+        const { events } = start(name);
+        await waitFor(() => events.prices.length > 0, 'a price');
+
+        const price = events.prices[0];
+        assert.equal(price.asset, 'BTC');
+        assert.equal(price.quote, quote);
+        assertClose(price, expect(server.quote('BTC'), server.fxRates.KRW));
+        assert.deepEqual(events.errors, []);
+      });
+
+      test('reports a rejected subscription', async () => {
+        server.failSubscriptions(name);
+        const { events } = start(name);
+        await waitFor(() => events.errors.length > 0, 'an error');
+        await sleep(4 * TICK);
+
+        assert.equal(events.prices.length, 0);
+      });
+
+      test('stops emitting prices while silenced', async () => {
+        const { adapter, events } = start(name);
+        await waitFor(() => events.prices.length > 0, 'a price');
+
+        server.silence(name);
+        await sleep(2 * TICK); // let in-flight updates land
+        const count = events.prices.length;
+        await sleep(6 * TICK);
+        assert.equal(events.prices.length, count);
+        assert.equal(adapter.connected, true);
+
+        server.silence(name, false);
+        await waitFor(() => events.prices.length > count, 'prices to resume');
+      });
+
+      // Gemini is polled over REST, there's no connection to drop
+      if (name === 'gemini') return;
+
+      test('reconnects after the connection is dropped', async () => {
+        const { adapter, events } = start(name);
+        await waitFor(() => events.prices.length > 0, 'a price');
+        assert.equal(events.connected, 1);
+
+        server.drop(name);
+        await waitFor(() => events.disconnected === 1, 'the disconnect');
+        await waitFor(() => events.connected === 2, 'the reconnect');
+        const count = events.prices.length;
+        await waitFor(() => events.prices.length > count, 'a price after reconnecting');
+
+        assert.equal(adapter.connected, true);
+        assert.equal(adapter.reconnectAttempts, 0);
+        assert.equal(server.getSessions(name).length, 1);
+        assert.deepEqual(events.errors, []);
+      });
+    });
+  }
+
+  describe('ping / pong', () => {
+    for (const [name, isPing] of Object.entries(CLIENT_PINGS)) {
+      test(`${name} keeps pinging and handles the replies`, async () => {
+        // KuCoin takes the interval from the server's token response
+        if (name === 'kucoin') server.store('kucoin').pingInterval = 2 * TICK;
+        try {
+          const received = recordClient(name);
+          const { adapter, events } = start(name);
+          await waitFor(() => received.filter(isPing).length >= 3, 'three pings');
+
+          const count = events.prices.length;
+          await waitFor(() => events.prices.length > count, 'prices between pings');
+          assert.equal(adapter.connected, true);
+          assert.equal(events.disconnected, 0);
+          assert.deepEqual(events.errors, []);
+        } finally {
+          delete server.store('kucoin').pingInterval;
+        }
+      });
+    }
+
+    test('htx answers server pings with a matching pong', async () => {
+      const received = recordClient('htx');
+      const { events } = start('htx');
+      await waitFor(() => events.prices.length > 0, 'a price');
+
+      const [session] = server.getSessions('htx');
+      session.send(zlib.gzipSync(JSON.stringify({ ping: 1234 })));
+      await waitFor(() => received.some(msg => msg.pong === 1234), 'the pong');
+      assert.deepEqual(events.errors, []);
+    });
+
+    test('cryptocom answers heartbeats with respond-heartbeat', async () => {
+      const received = recordClient('cryptocom');
+      const { events } = start('cryptocom');
+      await waitFor(() => events.prices.length > 0, 'a price');
+
+      const [session] = server.getSessions('cryptocom');
+      session.send({ id: 42, method: 'public/heartbeat', code: 0 });
+      await waitFor(() => received.some(msg => msg.id === 42 && msg.method === 'public/respond-heartbeat'), 'the heartbeat reply');
+      assert.deepEqual(events.errors, []);
+    });
+
+    for (const name of ['binance', 'coinbase']) {
+      test(`${name} answers protocol-level pings`, async () => {
+        const { events } = start(name);
+        await waitFor(() => events.prices.length > 0, 'a price');
+
+        const [session] = server.getSessions(name);
+        const pong = new Promise(resolve => session.ws.once('pong', resolve));
+        session.ws.ping();
+        await pong;
+      });
+    }
+  });
+});
@@ -9,6 +9,16 @@ const dbTrading = require('./db-trading');
  * @property {number} costPerShare - Cost per share for this user
  * @property {string} bookSide - 'bid' or 'ask'
  * @property {number} createdAt - Timestamp (ms) for time priority
+ * @property {number|null} [expiresAt] - Expiry timestamp (ms) for good-till-time orders
+ */
+
+/**
+ * @typedef {object} BookChange
+ * @property {BookEntry} entry - Resting order that was filled
+ * @property {BookEntry[]} side - Book side it rests on
+ * @property {string} market - Market slug
+ * @property {number} shares - Shares taken from it
+ * @property {number|null} prevLastTradePrice - The market's last trade price before the fill
  */
 
 /**
@@ -25,6 +35,20 @@ const dbTrading = require('./db-trading');
  * @property {number} [unfilledShares] - Shares that were not filled (FAK)
  */
 
+/**
+ * @typedef {object} LimitOrderParams
+ * @property {string} market - Market slug
+ * @property {string} orderType - 'limit', 'limit_post_only' or 'limit_ioc'
+ * @property {string} side - 'buy' or 'sell'
+ * @property {string} outcome - 'yes' or 'no'
+ * @property {number} shares
+ * @property {number} price - Limit price in cents (user-facing, after any post-only repricing)
+ * @property {string} bookSide - 'bid' or 'ask'
+ * @property {number} bookPrice - YES-scale price (1-99)
+ * @property {number} costPerShare - What the user pays per share (cents)
+ * @property {number|null} expiresAt - GTT expiry timestamp (ms), or null
+ */
+
 class TradingEngine {
   /**
    * Create a new TradingEngine.
@@ -35,29 +59,40 @@ class TradingEngine {
     this.config = config.trading;
     this.sendToUser = sendToUser || (() => {});
 
-    /** @type {Map<number, {bids: BookEntry[], asks: BookEntry[]}>} roundStart → book */
+    /** @type {Map<string, {bids: BookEntry[], asks: BookEntry[]}>} market slug → book */
     this.books = new Map();
 
-    /** @type {Map<number, BookEntry[]>} roundStart → pending stop-limit orders */
+    /** @type {Map<string, BookEntry[]>} market slug → pending stop-limit orders */
     this.stops = new Map();
 
-    /** @type {Map<number, number|null>} roundStart → last execution price */
+    /** @type {Map<string, number|null>} market slug → last execution price */
     this.lastTradePrice = new Map();
 
-    /** @type {Map<number, number>} roundStart → total shares traded */
+    /** @type {Map<string, number>} market slug → total shares traded */
     this.roundVolume = new Map();
 
-    /** @type {Map<number, string>} roundStart → phase ('provision'|'active'|'closed') */
+    /** @type {Map<string, string>} market slug → phase ('provision'|'active'|'closed') */
     this.phases = new Map();
+
+    /** @type {Map<string, number>} market slug → round start timestamp (ms) */
+    this.roundStarts = new Map();
+
+    /** @type {Map<string, number>} market slug → round end timestamp (ms) */
+    this.roundEnds = new Map();
+
+    /** @type {NodeJS.Timeout|null} good-till-time expiry scheduler */
+    this.expiryInterval = null;
+    this.expiring = false;
+    this.onBookChange = () => {};
   }
 
   /**
    * Set the phase for a round. Used by the lifecycle manager.
-   * @param {number} roundStart
+   * @param {string} market - Market slug
    * @param {string} phase - 'provision', 'active', or 'closed'
    */
-  setPhase(roundStart, phase) {
-    this.phases.set(roundStart, phase);
+  setPhase(market, phase) {
+    this.phases.set(market, phase);
   }
 
   // ============================================
@@ -97,6 +132,15 @@ class TradingEngine {
     return { bookSide: 'bid', bookPrice: 100 - price, costPerShare: 100 - price };
   }
 
+  /**
+   * User-facing price of a stored order (the inverse of normalize).
+   * @param {object} row - DB order row
+   * @returns {number} Price in cents (1-99)
+   */
+  userPrice(row) {
+    return row.outcome === 'yes' ? row.price : 100 - row.price;
+  }
+
   // ============================================
   // BOOK MANAGEMENT
   // ============================================
@@ -104,27 +148,28 @@ class TradingEngine {
   /**
    * Initialize an empty order book for a new round.
    * Called when a new minute boundary is detected.
+   * @param {string} market - Market slug identifying the round
    * @param {number} roundStart - Minute start timestamp in milliseconds
+   * @param {number} [roundEnd] - Round close timestamp in milliseconds (needed for GTT expiries)
    */
-  initRound(roundStart) {
-    if (!this.books.has(roundStart)) {
-      this.books.set(roundStart, { bids: [], asks: [] });
-      this.stops.set(roundStart, []);
-      this.lastTradePrice.set(roundStart, null);
-      this.roundVolume.set(roundStart, 0);
+  initRound(market, roundStart, roundEnd) {
+    if (!this.books.has(market)) {
+      this.books.set(market, { bids: [], asks: [] });
+      this.stops.set(market, []);
+      this.lastTradePrice.set(market, null);
+      this.roundVolume.set(market, 0);
+      this.roundStarts.set(market, roundStart);
+      if (roundEnd) this.roundEnds.set(market, roundEnd);
     }
   }
 
   /**
-   * Get or create the book for a round.
-   * @param {number} roundStart
+   * Get the book for an initialized round.
+   * @param {string} market - Market slug
    * @returns {{bids: BookEntry[], asks: BookEntry[]}}
    */
-  getBook(roundStart) {
-    if (!this.books.has(roundStart)) {
-      this.initRound(roundStart);
-    }
-    return this.books.get(roundStart);
+  getBook(market) {
+    return this.books.get(market);
   }
 
   /**
@@ -167,14 +212,29 @@ class TradingEngine {
     if (idx !== -1) arr.splice(idx, 1);
   }
 
+  /**
+   * Best opposing price an order on bookSide would trade against, ignoring
+   * the user's own orders (self-trade prevention skips them when matching).
+   * @param {string} market - Market slug
+   * @param {string} bookSide - Side of the incoming order: 'bid' or 'ask'
+   * @param {number} userId
+   * @returns {number|null} Best ask for a bid, best bid for an ask, or null if none
+   */
+  bestOpposingPrice(market, bookSide, userId) {
+    const book = this.getBook(market);
+    const opposingSide = bookSide === 'bid' ? book.asks : book.bids;
+    const best = opposingSide.find(e => e.userId !== userId);
+    return best ? best.price : null;
+  }
+
   /**
    * Get the aggregated order book for display.
    * Groups orders by price level and sums shares. No user info exposed.
-   * @param {number} roundStart - Round start timestamp
+   * @param {string} market - Market slug
    * @returns {{bids: Array<{price: number, totalShares: number}>, asks: Array<{price: number, totalShares: number}>}}
    */
-  getOrderBook(roundStart) {
-    const book = this.books.get(roundStart);
+  getOrderBook(market) {
+    const book = this.books.get(market);
     if (!book) return { bids: [], asks: [], lastTradePrice: null, volume: 0 };
 
     const aggregate = (arr) => {
@@ -188,8 +248,8 @@ class TradingEngine {
     return {
       bids: aggregate(book.bids),
       asks: aggregate(book.asks),
-      lastTradePrice: this.lastTradePrice.get(roundStart) || null,
-      volume: this.roundVolume.get(roundStart) || 0
+      lastTradePrice: this.lastTradePrice.get(market) || null,
+      volume: this.roundVolume.get(market) || 0
     };
   }
 
@@ -200,17 +260,17 @@ class TradingEngine {
   /**
    * Validate common order parameters.
    * @param {number} userId
-   * @param {number} roundStart
+   * @param {string} market - Market slug
    * @param {string} side
    * @param {string} outcome
    * @param {number} shares
    * @param {number} [price]
    * @returns {string|null} Error message, or null if valid
    */
-  validateParams(userId, roundStart, side, outcome, shares, price) {
+  validateParams(userId, market, side, outcome, shares, price) {
     if (!userId) return 'Not authenticated';
-    if (!roundStart) return 'No active round';
-    const phase = this.phases.get(roundStart);
+    if (!market || !this.books.has(market)) return 'No active round';
+    const phase = this.phases.get(market);
     if (phase && phase !== 'active') return 'Market not in trading phase';
     if (!['buy', 'sell'].includes(side)) return 'Invalid side';
     if (!['yes', 'no'].includes(outcome)) return 'Invalid outcome';
@@ -224,6 +284,40 @@ class TradingEngine {
     return null;
   }
 
+  /**
+   * Resolve a good-till-time expiry to an absolute timestamp.
+   *
+   * @param {string} market - Market slug
+   * @param {{expiresAt?: number, beforeClose?: number}|null} expiry - Absolute
+   *   expiry (ms timestamp), or seconds before the round closes
+   * @returns {number|null} Expiry timestamp (ms), or null for good-till-close
+   * @throws {Error} If the expiry is malformed, already past, or not before the close
+   */
+  resolveExpiry(market, expiry) {
+    if (!expiry || (expiry.expiresAt == null && expiry.beforeClose == null)) return null;
+    if (expiry.expiresAt != null && expiry.beforeClose != null) {
+      throw new Error('Set either expiresAt or expiresBeforeClose, not both');
+    }
+
+    const roundEnd = this.roundEnds.get(market);
+    if (!roundEnd) throw new Error('Round close time unknown');
+
+    let expiresAt;
+    if (expiry.beforeClose != null) {
+      if (!Number.isInteger(expiry.beforeClose) || expiry.beforeClose <= 0) {
+        throw new Error('expiresBeforeClose must be a positive integer (seconds)');
+      }
+      expiresAt = roundEnd - expiry.beforeClose * 1000;
+    } else {
+      if (!Number.isFinite(expiry.expiresAt)) throw new Error('expiresAt must be a timestamp (ms)');
+      expiresAt = expiry.expiresAt;
+    }
+
+    if (expiresAt <= Date.now()) throw new Error('Expiry is already past');
+    if (expiresAt >= roundEnd) throw new Error('Expiry must be before the round closes');
+    return expiresAt;
+  }
+
   // ============================================
   // MATCHING ENGINE
   // ============================================
@@ -236,16 +330,22 @@ class TradingEngine {
    * - Incoming ASK matches against bids (highest bid first)
    * - Execution price = resting (maker) order's price
    * - Self-trade prevention: skips orders from the same user
+   * - Post-only orders throw instead of taking liquidity
    *
    * All database operations happen within the provided transaction.
    *
    * @param {object} incomingOrder - The DB order row for the incoming order
    * @param {BookEntry[]} opposingSide - The opposing side of the book (asks for bid, bids for ask)
-   * @param {number} roundStart - Round start timestamp
+   * @param {string} market - Market slug
    * @param {import('pg').PoolClient} client - DB transaction client
+   * @param {object} [options]
+   * @param {boolean} [options.postOnly] - Reject the order if it would cross
+   * @param {BookChange[]} [options.journal] - Collects every change made to the
+   *   in-memory book, so undoMatches can revert them if the transaction rolls back
    * @returns {Promise<{fills: object[], filledShares: number, removedIds: number[]}>}
+   * @throws {Error} If a post-only order would cross the book
    */
-  async matchOrder(incomingOrder, opposingSide, roundStart, client) {
+  async matchOrder(incomingOrder, opposingSide, market, client, options = {}) {
     const fills = [];
     let remainingShares = incomingOrder.remaining_shares;
     const removedIds = [];
@@ -270,6 +370,9 @@ class TradingEngine {
         if (incomingOrder.price > resting.price) break; // bids are sorted DESC, no more matches
       }
 
+      // Nothing has been written yet, so the caller's ROLLBACK leaves no trace
+      if (options.postOnly) throw new Error('Post-only order would cross the book');
+
       // Determine fill quantity and execution price
       const fillQty = Math.min(remainingShares, resting.remainingShares);
       const execPrice = resting.price; // maker gets their price
@@ -296,18 +399,25 @@ class TradingEngine {
       }
 
       // Insert trade record
+      const roundStart = this.roundStarts.get(market);
       const trade = await dbTrading.insertTrade({
-        roundStart, bidOrderId, askOrderId, yesUserId, noUserId,
+        market, roundStart, bidOrderId, askOrderId, yesUserId, noUserId,
         price: execPrice, shares: fillQty
       }, client);
 
       // Update positions for both parties
-      await dbTrading.upsertPosition(yesUserId, roundStart, fillQty, 0, client);
-      await dbTrading.upsertPosition(noUserId, roundStart, 0, fillQty, client);
+      await dbTrading.upsertPosition(yesUserId, market, roundStart, fillQty, 0, client);
+      await dbTrading.upsertPosition(noUserId, market, roundStart, 0, fillQty, client);
 
       // Update resting order
       await dbTrading.updateOrderFill(resting.id, fillQty, client);
       resting.remainingShares -= fillQty;
+      if (options.journal) {
+        options.journal.push({
+          entry: resting, side: opposingSide, market, shares: fillQty,
+          prevLastTradePrice: this.lastTradePrice.get(market) ?? null
+        });
+      }
 
       // Update incoming order
       await dbTrading.updateOrderFill(Number(incomingOrder.id), fillQty, client);
@@ -316,8 +426,8 @@ class TradingEngine {
       fills.push(trade);
 
       // Track last trade price and volume
-      this.lastTradePrice.set(roundStart, execPrice);
-      this.roundVolume.set(roundStart, (this.roundVolume.get(roundStart) || 0) + fillQty);
+      this.lastTradePrice.set(market, execPrice);
+      this.roundVolume.set(market, (this.roundVolume.get(market) || 0) + fillQty);
 
       // Notify resting order owner
       const restingUpdated = await dbTrading.getOrder(resting.id, client);
@@ -336,10 +446,12 @@ class TradingEngine {
         yourSide: isBid ? 'ask' : 'bid'
       });
 
-      // Remove fully filled resting orders from book
+      // Remove fully filled resting orders from book. Looked up again since
+      // a cancel or replace may have changed the side during the awaits above.
       if (resting.remainingShares <= 0) {
         removedIds.push(resting.id);
-        opposingSide.splice(i, 1);
+        const idx = opposingSide.indexOf(resting);
+        if (idx !== -1) opposingSide.splice(idx, 1);
         // don't increment i
       } else {
         i++;
@@ -349,6 +461,53 @@ class TradingEngine {
     return { fills, filledShares: incomingOrder.remaining_shares - remainingShares, removedIds };
   }
 
+  /**
+   * Revert book changes recorded by matchOrder after their transaction (or
+   * savepoint) rolled back: give the shares back to the resting orders,
+   * re-insert the ones the fills removed, and restore the market's volume
+   * and last trade price. Changes are reverted as increments, so fills
+   * other orders applied meanwhile are kept.
+   *
+   * @param {BookChange[]} journal - Emptied once reverted
+   * @param {Set<BookEntry>} restored - Collects the entries touched, for notifyRestored
+   */
+  undoMatches(journal, restored) {
+    for (const change of journal.reverse()) {
+      const { entry, side, market, shares, prevLastTradePrice } = change;
+      entry.remainingShares += shares;
+      if (!side.includes(entry)) {
+        if (entry.bookSide === 'bid') {
+          this.insertBid(side, entry);
+        } else {
+          this.insertAsk(side, entry);
+        }
+      }
+      this.roundVolume.set(market, (this.roundVolume.get(market) || 0) - shares);
+      this.lastTradePrice.set(market, prevLastTradePrice);
+      restored.add(entry);
+    }
+    journal.length = 0;
+  }
+
+  /**
+   * Tell the owners of resting orders whose fills were rolled back where
+   * their orders stand (they were sent order_update / trade for the fills).
+   * @param {Set<BookEntry>} restored
+   */
+  async notifyRestored(restored) {
+    for (const entry of restored) {
+      const row = await dbTrading.getOrder(entry.id);
+      if (!row) continue;
+      this.sendToUser(entry.userId, {
+        type: 'order_update',
+        orderId: entry.id,
+        status: row.status,
+        filledShares: Number(row.filled_shares),
+        remainingShares: Number(row.remaining_shares)
+      });
+    }
+  }
+
   // ============================================
   // ORDER PLACEMENT
   // ============================================
@@ -361,15 +520,15 @@ class TradingEngine {
    * reserved for the full order upfront; unfilled shares are refunded.
    *
    * @param {number} userId - Authenticated user ID
-   * @param {number} roundStart - Current round start timestamp (ms)
+   * @param {string} market - Market slug of the current round
    * @param {string} side - 'buy' or 'sell' (user's intent)
    * @param {string} outcome - 'yes' or 'no' (user's intent)
    * @param {number} shares - Number of shares to trade
    * @returns {Promise<OrderResult>} Order with fills and unfilled count
    * @throws {Error} On validation failure or insufficient balance
    */
-  async placeMarketFAK(userId, roundStart, side, outcome, shares) {
-    const err = this.validateParams(userId, roundStart, side, outcome, shares);
+  async placeMarketFAK(userId, market, side, outcome, shares) {
+    const err = this.validateParams(userId, market, side, outcome, shares);
     if (err) throw new Error(err);
 
     // For market orders, use worst price (99 for bid, 1 for ask) to sweep the book
@@ -378,8 +537,10 @@ class TradingEngine {
     );
     const bookPrice = bookSide === 'bid' ? 99 : 1;
 
-    const book = this.getBook(roundStart);
+    const book = this.getBook(market);
     const client = await dbTrading.pool.connect();
+    const journal = [];
+    let committed = false;
 
     try {
       await client.query('BEGIN');
@@ -390,14 +551,14 @@ class TradingEngine {
 
       // Insert order
       const order = await dbTrading.insertOrder({
-        userId, roundStart, side, outcome, bookSide,
+        userId, market, roundStart: this.roundStarts.get(market), side, outcome, bookSide,
         orderType: 'market_fak', price: bookPrice, stopPrice: null,
         shares, costPerShare, status: 'open'
       }, client);
 
       // Match against opposite side
       const opposingSide = bookSide === 'bid' ? book.asks : book.bids;
-      const { fills, filledShares } = await this.matchOrder(order, opposingSide, roundStart, client);
+      const { fills, filledShares } = await this.matchOrder(order, opposingSide, market, client, { journal });
 
       // Cancel unfilled remainder
       const unfilledShares = shares - filledShares;
@@ -412,6 +573,7 @@ class TradingEngine {
       }
 
       await client.query('COMMIT');
+      committed = true;
 
       // Get final balance
       const user = await dbTrading.getBalanceForUpdate(userId, client).catch(() => null);
@@ -428,12 +590,17 @@ class TradingEngine {
 
       // Check stop orders after trades
       if (fills.length > 0) {
-        await this.checkStopOrders(roundStart);
+        await this.checkStopOrders(market);
       }
 
       return { order: finalOrder, fills, unfilledShares };
     } catch (e) {
       await client.query('ROLLBACK');
+      if (!committed && journal.length > 0) {
+        const restored = new Set();
+        this.undoMatches(journal, restored);
+        this.notifyRestored(restored).catch(err => console.error('Restore notify error:', err.message));
+      }
       throw e;
     } finally {
       client.release();
@@ -448,15 +615,15 @@ class TradingEngine {
    * If not, the order is rejected entirely — no partial fill, no balance change.
    *
    * @param {number} userId - Authenticated user ID
-   * @param {number} roundStart - Current round start timestamp (ms)
+   * @param {string} market - Market slug of the current round
    * @param {string} side - 'buy' or 'sell'
    * @param {string} outcome - 'yes' or 'no'
    * @param {number} shares - Number of shares (must be fully fillable)
    * @returns {Promise<OrderResult>} Order with fills
    * @throws {Error} If not fully fillable, or validation/balance failure
    */
-  async placeMarketFOK(userId, roundStart, side, outcome, shares) {
-    const err = this.validateParams(userId, roundStart, side, outcome, shares);
+  async placeMarketFOK(userId, market, side, outcome, shares) {
+    const err = this.validateParams(userId, market, side, outcome, shares);
     if (err) throw new Error(err);
 
     const { bookSide, costPerShare } = this.normalize(side, outcome,
@@ -464,7 +631,7 @@ class TradingEngine {
     );
     const bookPrice = bookSide === 'bid' ? 99 : 1;
 
-    const book = this.getBook(roundStart);
+    const book = this.getBook(market);
     const opposingSide = bookSide === 'bid' ? book.asks : book.bids;
 
     // Pre-check: can the full quantity be filled?
@@ -489,13 +656,13 @@ class TradingEngine {
 
       // Insert order
       const order = await dbTrading.insertOrder({
-        userId, roundStart, side, outcome, bookSide,
+        userId, market, roundStart: this.roundStarts.get(market), side, outcome, bookSide,
         orderType: 'market_fok', price: bookPrice, stopPrice: null,
         shares, costPerShare, status: 'open'
       }, client);
 
       // Match — should fill completely given pre-check
-      const { fills, filledShares } = await this.matchOrder(order, opposingSide, roundStart, client);
+      const { fills, filledShares } = await this.matchOrder(order, opposingSide, market, client);
 
       if (filledShares < shares) {
         // Shouldn't happen given pre-check, but safety rollback
@@ -515,7 +682,7 @@ class TradingEngine {
       });
 
       if (fills.length > 0) {
-        await this.checkStopOrders(roundStart);
+        await this.checkStopOrders(market);
       }
 
       return { order: finalOrder, fills };
@@ -535,82 +702,241 @@ class TradingEngine {
    * rest in the book until filled by another order, cancelled by the user,
    * or the round ends (settlement).
    *
+   * With an expiry the order is good-till-time: the expiry scheduler takes
+   * any unfilled shares off the book at that time and refunds them.
+   *
    * @param {number} userId - Authenticated user ID
-   * @param {number} roundStart - Current round start timestamp (ms)
+   * @param {string} market - Market slug of the current round
    * @param {string} side - 'buy' or 'sell'
    * @param {string} outcome - 'yes' or 'no'
    * @param {number} shares - Number of shares
    * @param {number} price - Limit price in cents (1-99, user-facing)
+   * @param {{expiresAt?: number, beforeClose?: number}|null} [expiry] - Optional
+   *   GTT expiry: absolute timestamp (ms) or seconds before the round closes
    * @returns {Promise<OrderResult>} Order with any immediate fills
    * @throws {Error} On validation failure or insufficient balance
    */
-  async placeLimitOrder(userId, roundStart, side, outcome, shares, price) {
-    const err = this.validateParams(userId, roundStart, side, outcome, shares, price);
+  async placeLimitOrder(userId, market, side, outcome, shares, price, expiry = null) {
+    const params = this.prepareLimitOrder(userId, market, 'limit', side, outcome, shares, price, { expiry });
+    return this.submitLimitOrder(userId, params);
+  }
+
+  /**
+   * Place a post-only limit order, which only ever adds liquidity.
+   *
+   * If the price would cross the best opposing order, the order is either
+   * rejected or, with reprice, moved one tick behind that order (e.g. a bid
+   * against a best ask of 40 rests at 39). Otherwise it rests like a plain
+   * limit order, optionally good-till-time.
+   *
+   * @param {number} userId - Authenticated user ID
+   * @param {string} market - Market slug of the current round
+   * @param {string} side - 'buy' or 'sell'
+   * @param {string} outcome - 'yes' or 'no'
+   * @param {number} shares - Number of shares
+   * @param {number} price - Limit price in cents (1-99, user-facing)
+   * @param {boolean} [reprice] - Reprice instead of rejecting a crossing order
+   * @param {{expiresAt?: number, beforeClose?: number}|null} [expiry] - Optional GTT expiry
+   * @returns {Promise<OrderResult>} The resting order (never any fills)
+   * @throws {Error} If the order would cross (and can't be repriced), or on validation/balance failure
+   */
+  async placePostOnlyOrder(userId, market, side, outcome, shares, price, reprice = false, expiry = null) {
+    const params = this.prepareLimitOrder(userId, market, 'limit_post_only', side, outcome, shares, price,
+      { reprice, expiry });
+    return this.submitLimitOrder(userId, params);
+  }
+
+  /**
+   * Place an IOC (Immediate or Cancel) limit order.
+   *
+   * Like a market FAK order, but only fills at the limit price or better:
+   * whatever can't be filled immediately is cancelled and refunded instead
+   * of resting in the book.
+   *
+   * @param {number} userId - Authenticated user ID
+   * @param {string} market - Market slug of the current round
+   * @param {string} side - 'buy' or 'sell'
+   * @param {string} outcome - 'yes' or 'no'
+   * @param {number} shares - Number of shares
+   * @param {number} price - Price cap in cents (1-99, user-facing)
+   * @returns {Promise<OrderResult>} Order with fills and unfilled count
+   * @throws {Error} On validation failure or insufficient balance
+   */
+  async placeLimitIOC(userId, market, side, outcome, shares, price) {
+    const params = this.prepareLimitOrder(userId, market, 'limit_ioc', side, outcome, shares, price);
+    return this.submitLimitOrder(userId, params);
+  }
+
+  /**
+   * Validate a limit-family order and resolve everything needed to execute
+   * it: GTT expiry and, for post-only orders, the crossing check (rejecting
+   * or repricing one tick behind the best opposing order).
+   *
+   * @param {number} userId
+   * @param {string} market - Market slug
+   * @param {string} orderType - 'limit', 'limit_post_only' or 'limit_ioc'
+   * @param {string} side - 'buy' or 'sell'
+   * @param {string} outcome - 'yes' or 'no'
+   * @param {number} shares
+   * @param {number} price - Limit price in cents (1-99, user-facing)
+   * @param {object} [options]
+   * @param {boolean} [options.reprice] - Post-only: reprice instead of rejecting a crossing order
+   * @param {{expiresAt?: number, beforeClose?: number}|null} [options.expiry] - GTT expiry (not for IOC)
+   * @returns {LimitOrderParams}
+   * @throws {Error} On validation failure, or a post-only order that would cross
+   */
+  prepareLimitOrder(userId, market, orderType, side, outcome, shares, price, options = {}) {
+    if (!['limit', 'limit_post_only', 'limit_ioc'].includes(orderType)) {
+      throw new Error('Invalid orderType');
+    }
+    const err = this.validateParams(userId, market, side, outcome, shares, price);
     if (err) throw new Error(err);
+    const expiresAt = orderType === 'limit_ioc' ? null : this.resolveExpiry(market, options.expiry);
+
+    let { bookSide, bookPrice, costPerShare } = this.normalize(side, outcome, price);
+    if (orderType === 'limit_post_only') {
+      const best = this.bestOpposingPrice(market, bookSide, userId);
+      const crosses = best !== null && (bookSide === 'bid' ? bookPrice >= best : bookPrice <= best);
+      if (crosses) {
+        if (!options.reprice) throw new Error('Post-only order would cross the book');
+
+        // One tick behind the best opposing price, back on the user's price scale
+        const repricedBookPrice = bookSide === 'bid' ? best - 1 : best + 1;
+        price = outcome === 'yes' ? repricedBookPrice : 100 - repricedBookPrice;
+        if (price < this.config.minPrice || price > this.config.maxPrice) {
+          throw new Error('Post-only order would cross the book and cannot be repriced');
+        }
+        ({ bookSide, bookPrice, costPerShare } = this.normalize(side, outcome, price));
+      }
+    }
 
-    const { bookSide, bookPrice, costPerShare } = this.normalize(side, outcome, price);
-    const book = this.getBook(roundStart);
+    return { market, orderType, side, outcome, shares, price, bookSide, bookPrice, costPerShare, expiresAt };
+  }
+
+  /**
+   * Place a prepared limit-family order in its own transaction.
+   * @param {number} userId
+   * @param {LimitOrderParams} params - From prepareLimitOrder
+   * @returns {Promise<OrderResult>}
+   */
+  async submitLimitOrder(userId, params) {
     const client = await dbTrading.pool.connect();
+    const journal = [];
+    let committed = false;
 
     try {
       await client.query('BEGIN');
+      const executed = await this.executeLimitOrder(userId, params, client, journal);
+      await client.query('COMMIT');
+      committed = true;
 
-      // Reserve balance
-      const totalCost = (costPerShare * shares) / 100;
-      await dbTrading.deductBalance(userId, totalCost, client);
+      return await this.finishLimitOrder(userId, executed);
+    } catch (e) {
+      await client.query('ROLLBACK');
+      if (!committed && journal.length > 0) {
+        const restored = new Set();
+        this.undoMatches(journal, restored);
+        this.notifyRestored(restored).catch(err => console.error('Restore notify error:', err.message));
+      }
+      throw e;
+    } finally {
+      client.release();
+    }
+  }
 
-      // Insert order
-      const order = await dbTrading.insertOrder({
-        userId, roundStart, side, outcome, bookSide,
-        orderType: 'limit', price: bookPrice, stopPrice: null,
-        shares, costPerShare, status: 'open'
-      }, client);
+  /**
+   * Database half of a limit-family order, inside the caller's transaction:
+   * reserve balance, insert, match, and for IOC cancel and refund the
+   * unfilled remainder.
+   *
+   * @param {number} userId
+   * @param {LimitOrderParams} params
+   * @param {import('pg').PoolClient} client - Transaction client (required)
+   * @param {BookChange[]} [journal] - Collects the book changes of any fills (see matchOrder)
+   * @returns {Promise<{params: LimitOrderParams, order: object, fills: object[], unfilled: number}>}
+   */
+  async executeLimitOrder(userId, params, client, journal) {
+    const { market, orderType, side, outcome, shares, bookSide, bookPrice, costPerShare, expiresAt } = params;
+    const book = this.getBook(market);
 
-      // Try to match immediately against opposite side
-      const opposingSide = bookSide === 'bid' ? book.asks : book.bids;
-      const { fills, filledShares } = await this.matchOrder(order, opposingSide, roundStart, client);
+    // Reserve balance
+    const totalCost = (costPerShare * shares) / 100;
+    await dbTrading.deductBalance(userId, totalCost, client);
 
-      await client.query('COMMIT');
+    // Insert order
+    const order = await dbTrading.insertOrder({
+      userId, market, roundStart: this.roundStarts.get(market), side, outcome, bookSide,
+      orderType, price: bookPrice, stopPrice: null,
+      shares, costPerShare, status: 'open', expiresAt
+    }, client);
 
-      // If unfilled shares remain, add to the book as resting order
-      const unfilled = shares - filledShares;
-      if (unfilled > 0) {
-        const entry = {
-          id: Number(order.id),
-          userId,
-          price: bookPrice,
-          remainingShares: unfilled,
-          costPerShare,
-          bookSide,
-          createdAt: new Date(order.created_at).getTime()
-        };
-        if (bookSide === 'bid') {
-          this.insertBid(book.bids, entry);
-        } else {
-          this.insertAsk(book.asks, entry);
-        }
-      }
+    // Try to match immediately against opposite side
+    const opposingSide = bookSide === 'bid' ? book.asks : book.bids;
+    const { fills, filledShares } = await this.matchOrder(order, opposingSide, market, client,
+      { postOnly: orderType === 'limit_post_only', journal });
+
+    // IOC: cancel the unfilled remainder instead of resting it
+    const unfilled = shares - filledShares;
+    if (orderType === 'limit_ioc' && unfilled > 0) {
+      await client.query(
+        `UPDATE orders SET status = CASE WHEN filled_shares > 0 THEN 'partially_filled' ELSE 'cancelled' END,
+         remaining_shares = 0, updated_at = NOW() WHERE id = $1`, [order.id]
+      );
+      const refund = (costPerShare * unfilled) / 100;
+      await dbTrading.creditBalance(userId, refund, client);
+    }
 
-      const finalOrder = await dbTrading.getOrder(Number(order.id));
-      this.sendToUser(userId, { type: 'order_accepted', order: this.formatOrder(finalOrder), fills });
-      fills.forEach(f => {
-        this.sendToUser(userId, {
-          type: 'trade', tradeId: Number(f.id), price: f.price,
-          shares: Number(f.shares), yourSide: bookSide
-        });
-      });
+    return { params, order, fills, unfilled };
+  }
 
-      if (fills.length > 0) {
-        await this.checkStopOrders(roundStart);
+  /**
+   * In-memory half of a limit-family order, after its transaction commits:
+   * rest any unfilled shares in the book (except IOC), notify the user and
+   * check stop orders.
+   *
+   * @param {number} userId
+   * @param {{params: LimitOrderParams, order: object, fills: object[], unfilled: number}} executed
+   * @returns {Promise<OrderResult>}
+   */
+  async finishLimitOrder(userId, { params, order, fills, unfilled }) {
+    const { market, orderType, bookSide, bookPrice, costPerShare, expiresAt } = params;
+    const book = this.getBook(market);
+
+    // If unfilled shares remain, add to the book as resting order
+    if (orderType !== 'limit_ioc' && unfilled > 0 && book) {
+      const entry = {
+        id: Number(order.id),
+        userId,
+        price: bookPrice,
+        remainingShares: unfilled,
+        costPerShare,
+        bookSide,
+        createdAt: new Date(order.created_at).getTime(),
+        expiresAt
+      };
+      if (bookSide === 'bid') {
+        this.insertBid(book.bids, entry);
+      } else {
+        this.insertAsk(book.asks, entry);
       }
+    }
 
-      return { order: finalOrder, fills };
-    } catch (e) {
-      await client.query('ROLLBACK');
-      throw e;
-    } finally {
-      client.release();
+    const finalOrder = await dbTrading.getOrder(Number(order.id));
+    this.sendToUser(userId, { type: 'order_accepted', order: this.formatOrder(finalOrder), fills });
+    fills.forEach(f => {
+      this.sendToUser(userId, {
+        type: 'trade', tradeId: Number(f.id), price: f.price,
+        shares: Number(f.shares), yourSide: bookSide
+      });
+    });
+
+    if (fills.length > 0) {
+      await this.checkStopOrders(market);
     }
+
+    return orderType === 'limit_ioc'
+      ? { order: finalOrder, fills, unfilledShares: unfilled }
+      : { order: finalOrder, fills };
   }
 
   /**
@@ -629,7 +955,7 @@ class TradingEngine {
    * - For an ASK (wants NO): triggers when best bid price >= stopPrice
    *
    * @param {number} userId - Authenticated user ID
-   * @param {number} roundStart - Current round start timestamp (ms)
+   * @param {string} market - Market slug of the current round
    * @param {string} side - 'buy' or 'sell'
    * @param {string} outcome - 'yes' or 'no'
    * @param {number} shares - Number of shares
@@ -638,8 +964,8 @@ class TradingEngine {
    * @returns {Promise<{order: object}>} The dormant order
    * @throws {Error} On validation failure
    */
-  async placeStopLimitOrder(userId, roundStart, side, outcome, shares, stopPrice, price) {
-    const err = this.validateParams(userId, roundStart, side, outcome, shares, price);
+  async placeStopLimitOrder(userId, market, side, outcome, shares, stopPrice, price) {
+    const err = this.validateParams(userId, market, side, outcome, shares, price);
     if (err) throw new Error(err);
 
     if (!Number.isInteger(stopPrice) || stopPrice < this.config.minPrice || stopPrice > this.config.maxPrice) {
@@ -651,14 +977,14 @@ class TradingEngine {
 
     // Insert as 'stopped' — no balance reserved yet
     const order = await dbTrading.insertOrder({
-      userId, roundStart, side, outcome, bookSide,
+      userId, market, roundStart: this.roundStarts.get(market), side, outcome, bookSide,
       orderType: 'stop_limit', price: bookPrice,
       stopPrice: stopNorm.bookPrice, // normalized to YES-scale
       shares, costPerShare, status: 'stopped'
     });
 
     // Add to in-memory stop list
-    const stops = this.stops.get(roundStart) || [];
+    const stops = this.stops.get(market) || [];
     stops.push({
       id: Number(order.id),
       userId,
@@ -669,12 +995,12 @@ class TradingEngine {
       costPerShare,
       side, outcome, // keep original for re-dispatch
     });
-    this.stops.set(roundStart, stops);
+    this.stops.set(market, stops);
 
     this.sendToUser(userId, { type: 'order_accepted', order: this.formatOrder(order), fills: [] });
 
     // Check if stop should trigger immediately
-    await this.checkStopOrders(roundStart);
+    await this.checkStopOrders(market);
 
     return { order };
   }
@@ -690,20 +1016,20 @@ class TradingEngine {
    * DB status to 'cancelled', and refunds the reserved balance for any
    * unfilled shares back to the user.
    *
-   * Market orders (FAK/FOK) cannot be cancelled because they execute
-   * or kill immediately upon placement.
+   * Market orders (FAK/FOK) and IOC limits cannot be cancelled because
+   * they execute or kill immediately upon placement.
    *
    * @param {number} userId - Must match the order's owner
    * @param {number} orderId - The order to cancel
-   * @returns {Promise<{orderId: number, refund: number}>} Confirmation with refund amount
+   * @returns {Promise<{orderId: number, market: string, refund: number}>} Confirmation with the order's market and refund amount
    * @throws {Error} If order not found, not owned, or not cancellable
    */
   async cancelOrder(userId, orderId) {
     const order = await dbTrading.getOrder(orderId);
     if (!order) throw new Error('Order not found');
     if (Number(order.user_id) !== userId) throw new Error('Not your order');
-    if (['market_fak', 'market_fok'].includes(order.order_type)) {
-      throw new Error('Cannot cancel market orders');
+    if (['market_fak', 'market_fok', 'limit_ioc'].includes(order.order_type)) {
+      throw new Error('Cannot cancel market or IOC orders');
     }
     if (!['open', 'partially_filled', 'stopped'].includes(order.status)) {
       throw new Error(`Cannot cancel order with status '${order.status}'`);
@@ -732,8 +1058,8 @@ class TradingEngine {
       await client.query('COMMIT');
 
       // Remove from in-memory book or stop list
-      const roundStart = new Date(order.round_start).getTime();
-      const book = this.books.get(roundStart);
+      const market = order.market;
+      const book = this.books.get(market);
       if (book) {
         if (order.book_side === 'bid') {
           this.removeFromBook(book.bids, orderId);
@@ -743,7 +1069,7 @@ class TradingEngine {
       }
 
       // Remove from stops if it was a stop-limit
-      const stops = this.stops.get(roundStart);
+      const stops = this.stops.get(market);
       if (stops) {
         const idx = stops.findIndex(s => s.id === orderId);
         if (idx !== -1) stops.splice(idx, 1);
@@ -751,7 +1077,440 @@ class TradingEngine {
 
       this.sendToUser(userId, { type: 'order_cancelled', orderId, refund });
 
-      return { orderId, refund };
+      return { orderId, market, refund };
+    } catch (e) {
+      await client.query('ROLLBACK');
+      throw e;
+    } finally {
+      client.release();
+    }
+  }
+
+  // ============================================
+  // REPLACE (AMEND)
+  // ============================================
+
+  /**
+   * Atomically amend a resting limit or post-only order's price and/or size.
+   *
+   * The order row, the reserved balance and any fills at the new price all
+   * change in one transaction, so a failed replace leaves the original order
+   * untouched. Only the difference in reserved balance is deducted or
+   * refunded.
+   *
+   * Time priority is kept when the price is unchanged and the size goes
+   * down; a new price or a larger size re-queues the order at the back of
+   * its price level. A new price that crosses the book fills immediately
+   * like a new limit order (post-only orders are rejected instead).
+   *
+   * @param {number} userId - Must match the order's owner
+   * @param {number} orderId - The order to amend
+   * @param {object} changes
+   * @param {number} [changes.price] - New limit price in cents (1-99, user-facing)
+   * @param {number} [changes.shares] - New total size, including shares already filled
+   * @returns {Promise<OrderResult>} Amended order with any fills at the new price
+   * @throws {Error} If the order can't be amended, on validation failure, or on insufficient balance
+   */
+  async replaceOrder(userId, orderId, changes = {}) {
+    const order = await dbTrading.getOrder(orderId);
+    if (!order) throw new Error('Order not found');
+    if (Number(order.user_id) !== userId) throw new Error('Not your order');
+    if (!['limit', 'limit_post_only'].includes(order.order_type)) {
+      throw new Error('Only limit and post-only orders can be replaced');
+    }
+
+    const market = order.market;
+    const book = this.books.get(market);
+    const restingSide = book && (order.book_side === 'bid' ? book.bids : book.asks);
+    const entry = restingSide && restingSide.find(e => e.id === orderId);
+    if (!['open', 'partially_filled'].includes(order.status)) {
+      throw new Error(`Cannot replace order with status '${order.status}'`);
+    }
+    if (!entry) throw new Error('Order is not resting in the book');
+
+    const price = changes.price !== undefined ? changes.price : this.userPrice(order);
+    const shares = changes.shares !== undefined ? changes.shares : Number(order.shares);
+    const err = this.validateParams(userId, market, order.side, order.outcome, shares, price);
+    if (err) throw new Error(err);
+
+    const { bookPrice, costPerShare } = this.normalize(order.side, order.outcome, price);
+    const priceChanged = bookPrice !== order.price;
+    if (!priceChanged && shares === Number(order.shares)) {
+      throw new Error('Replace must change price or shares');
+    }
+
+    const keepsPriority = !priceChanged && shares < Number(order.shares);
+    const client = await dbTrading.pool.connect();
+
+    // An order losing priority leaves the book for the whole replace, so
+    // nothing can trade against it at the old price meanwhile. One keeping
+    // priority is shrunk in place right away, so a taker matching meanwhile
+    // sizes its fill against the new size (updateOrderFill refuses a fill
+    // sized before the shrink).
+    let shrunk = 0;
+    if (keepsPriority) {
+      shrunk = Math.min(Number(order.shares) - shares, entry.remainingShares);
+      entry.remainingShares -= shrunk;
+      if (entry.remainingShares <= 0) this.removeFromBook(restingSide, orderId);
+    } else {
+      this.removeFromBook(restingSide, orderId);
+    }
+    const journal = [];
+    let amended;
+    let remaining;
+    let fills = [];
+    let filledShares = 0;
+
+    try {
+      await client.query('BEGIN');
+
+      // Lock the row so fills can't change the remaining size under us
+      const current = await dbTrading.getOrderForUpdate(orderId, client);
+      if (!['open', 'partially_filled'].includes(current.status)) {
+        throw new Error(`Cannot replace order with status '${current.status}'`);
+      }
+
+      const filled = Number(current.filled_shares);
+      remaining = shares - filled;
+      if (remaining <= 0) throw new Error(`Shares must be more than the ${filled} already filled`);
+
+      // Reserve or refund only the difference
+      const oldReserve = Number(current.remaining_shares) * Number(current.cost_per_share);
+      const diff = (remaining * costPerShare - oldReserve) / 100;
+      if (diff > 0) {
+        await dbTrading.deductBalance(userId, diff, client);
+      } else if (diff < 0) {
+        await dbTrading.creditBalance(userId, -diff, client);
+      }
+
+      amended = await dbTrading.amendOrder(orderId, {
+        price: bookPrice, costPerShare, shares, remainingShares: remaining
+      }, client);
+
+      // A new price may cross the book
+      if (priceChanged) {
+        const opposingSide = order.book_side === 'bid' ? book.asks : book.bids;
+        ({ fills, filledShares } = await this.matchOrder(amended, opposingSide, market, client,
+          { postOnly: order.order_type === 'limit_post_only', journal }));
+      }
+
+      await client.query('COMMIT');
+    } catch (e) {
+      await client.query('ROLLBACK');
+      // Put the original order back where it was. Shares are given back as
+      // an increment, so fills other takers applied meanwhile are kept.
+      entry.remainingShares += shrunk;
+      if (entry.remainingShares > 0 && !restingSide.includes(entry)) {
+        if (order.book_side === 'bid') {
+          this.insertBid(book.bids, entry);
+        } else {
+          this.insertAsk(book.asks, entry);
+        }
+      }
+      if (journal.length > 0) {
+        const restored = new Set();
+        this.undoMatches(journal, restored);
+        this.notifyRestored(restored).catch(err => console.error('Restore notify error:', err.message));
+      }
+      throw e;
+    } finally {
+      client.release();
+    }
+
+    // Re-queue an order that lost priority (one keeping it was shrunk in place)
+    const unfilled = remaining - filledShares;
+    if (!keepsPriority && unfilled > 0) {
+      const requeued = { ...entry, price: bookPrice, costPerShare, remainingShares: unfilled, createdAt: Date.now() };
+      if (order.book_side === 'bid') {
+        this.insertBid(book.bids, requeued);
+      } else {
+        this.insertAsk(book.asks, requeued);
+      }
+    }
+
+    // The replace is committed: anything failing from here on is logged
+    // rather than reported as a failed replace
+    let finalOrder = amended;
+    try {
+      finalOrder = await dbTrading.getOrder(orderId);
+      this.sendToUser(userId, { type: 'order_replaced', order: this.formatOrder(finalOrder), fills });
+      fills.forEach(f => {
+        this.sendToUser(userId, {
+          type: 'trade', tradeId: Number(f.id), price: f.price,
+          shares: Number(f.shares), yourSide: order.book_side
+        });
+      });
+
+      if (fills.length > 0) {
+        await this.checkStopOrders(market);
+      }
+    } catch (err) {
+      console.error('Replace follow-up error:', err.message);
+    }
+
+    return { order: finalOrder, fills };
+  }
+
+  // ============================================
+  // BULK OPERATIONS
+  // ============================================
+
+  /**
+   * Cancel all of a user's open orders in one transaction, optionally
+   * filtered by market and side. Resting limits are refunded their unfilled
+   * reserve (as a single balance credit); pending stop-limits had nothing
+   * reserved.
+   *
+   * @param {number} userId
+   * @param {object} [filters]
+   * @param {string} [filters.market] - Market slug
+   * @param {string} [filters.side] - 'buy' or 'sell'
+   * @param {number[]} [filters.orderIds] - Only these orders (e.g. those opted into cancel-on-disconnect)
+   * @returns {Promise<{cancelled: Array<{orderId: number, market: string, refund: number}>, refund: number}>}
+   * @throws {Error} On an invalid side filter
+   */
+  async cancelAllOrders(userId, filters = {}) {
+    if (filters.side !== undefined && !['buy', 'sell'].includes(filters.side)) {
+      throw new Error('Invalid side');
+    }
+
+    const client = await dbTrading.pool.connect();
+    let rows;
+    let refundCents = 0;
+    try {
+      await client.query('BEGIN');
+
+      rows = await dbTrading.cancelUserOrders(userId, filters, client);
+      for (const row of rows) {
+        if (row.status !== 'stopped') {
+          refundCents += Number(row.remaining_shares) * Number(row.cost_per_share);
+        }
+      }
+      if (refundCents > 0) {
+        await dbTrading.creditBalance(userId, refundCents / 100, client);
+      }
+
+      await client.query('COMMIT');
+    } catch (e) {
+      await client.query('ROLLBACK');
+      throw e;
+    } finally {
+      client.release();
+    }
+
+    // Remove from in-memory books and stop lists
+    const cancelled = rows.map(row => {
+      const orderId = Number(row.id);
+      const book = this.books.get(row.market);
+      if (book) {
+        this.removeFromBook(row.book_side === 'bid' ? book.bids : book.asks, orderId);
+      }
+      const stops = this.stops.get(row.market);
+      if (stops) {
+        const idx = stops.findIndex(st => st.id === orderId);
+        if (idx !== -1) stops.splice(idx, 1);
+      }
+
+      const refund = row.status === 'stopped' ? 0 : (Number(row.remaining_shares) * Number(row.cost_per_share)) / 100;
+      this.sendToUser(userId, { type: 'order_cancelled', orderId, refund });
+      return { orderId, market: row.market, refund };
+    });
+
+    return { cancelled, refund: refundCents / 100 };
+  }
+
+  /**
+   * Place a batch of limit, post-only and IOC orders in one transaction.
+   *
+   * All-or-nothing: if any order fails validation or can't be placed, none
+   * are. The total reserve is checked against the balance up front, so an
+   * unaffordable batch is rejected before anything matches.
+   *
+   * Best-effort: each order runs in its own savepoint, so failed orders are
+   * skipped and the rest are placed.
+   *
+   * Fills applied to the in-memory book by orders that are rolled back (the
+   * whole transaction, or one order's savepoint) are reverted with
+   * undoMatches, and the resting orders' owners are sent an order_update.
+   *
+   * Either way every order gets a result, in request order. Placed orders
+   * are also notified individually (order_accepted, trade) as usual.
+   *
+   * @param {number} userId
+   * @param {Array<{market: string, orderType: string, side: string, outcome: string, shares: number,
+   *   price: number, reprice?: boolean, expiry?: {expiresAt?: number, beforeClose?: number}}>} orders
+   * @param {boolean} [allOrNothing] - Reject the whole batch if any order fails
+   * @returns {Promise<Array<{index: number, ok: boolean, order?: object, fills?: object[], error?: string}>>}
+   * @throws {Error} On a malformed batch or a database failure outside any one order
+   */
+  async placeOrders(userId, orders, allOrNothing = false) {
+    if (!Array.isArray(orders) || orders.length === 0) throw new Error('orders must be a non-empty array');
+    if (orders.length > this.config.maxBatchSize) {
+      throw new Error(`Max ${this.config.maxBatchSize} orders per batch`);
+    }
+
+    const results = orders.map((o, index) => ({ index, ok: false }));
+    const rejectBatch = () => {
+      for (const r of results) {
+        if (!r.error) r.error = 'Batch rejected';
+      }
+      return results;
+    };
+
+    const prepared = orders.map((o, i) => {
+      try {
+        return this.prepareLimitOrder(userId, o.market, o.orderType, o.side, o.outcome, o.shares, o.price,
+          { reprice: o.reprice, expiry: o.expiry });
+      } catch (e) {
+        results[i].error = e.message;
+        return null;
+      }
+    });
+    if (allOrNothing && prepared.some(p => !p)) return rejectBatch();
+
+    const client = await dbTrading.pool.connect();
+    const executed = [];
+    const batchJournal = []; // book changes of the orders still in the transaction
+    const restored = new Set();
+    try {
+      await client.query('BEGIN');
+
+      if (allOrNothing) {
+        const balance = await dbTrading.getBalanceForUpdate(userId, client);
+        const reserveCents = prepared.reduce((sum, p) => sum + p.costPerShare * p.shares, 0);
+        if (reserveCents > Math.round(balance * 100)) {
+          await client.query('ROLLBACK');
+          results.forEach(r => { r.error = 'Insufficient balance for batch'; });
+          return results;
+        }
+      }
+
+      for (let i = 0; i < prepared.length; i++) {
+        if (!prepared[i]) continue;
+        if (!allOrNothing) await client.query('SAVEPOINT batch_order');
+        const journal = [];
+        try {
+          executed.push([i, await this.executeLimitOrder(userId, prepared[i], client, journal)]);
+          if (!allOrNothing) await client.query('RELEASE SAVEPOINT batch_order');
+          batchJournal.push(...journal);
+        } catch (e) {
+          results[i].error = e.message;
+          this.undoMatches(journal, restored);
+          if (allOrNothing) throw e;
+          await client.query('ROLLBACK TO SAVEPOINT batch_order');
+        }
+      }
+
+      await client.query('COMMIT');
+    } catch (e) {
+      await client.query('ROLLBACK');
+      this.undoMatches(batchJournal, restored);
+      if (allOrNothing && results.some(r => r.error)) return rejectBatch();
+      throw e;
+    } finally {
+      client.release();
+      if (restored.size > 0) {
+        this.notifyRestored(restored).catch(err => console.error('Restore notify error:', err.message));
+      }
+    }
+
+    for (const [i, ex] of executed) {
+      const { order, fills } = await this.finishLimitOrder(userId, ex);
+      results[i] = { index: i, ok: true, order: this.formatOrder(order), fills };
+    }
+    return results;
+  }
+
+  // ============================================
+  // GOOD-TILL-TIME EXPIRY
+  // ============================================
+
+  /**
+   * Start the expiry scheduler, which checks resting orders every
+   * config.trading.expiryCheckInterval ms and expires those past their time.
+   * @param {Function} [onBookChange] - Callback: onBookChange(market) after orders leave a book
+   */
+  start(onBookChange) {
+    if (onBookChange) this.onBookChange = onBookChange;
+    if (this.expiryInterval) return;
+    this.expiryInterval = setInterval(() => {
+      this.expireOrders().catch(err => console.error('Expiry error:', err.message));
+    }, this.config.expiryCheckInterval);
+  }
+
+  stop() {
+    if (this.expiryInterval) {
+      clearInterval(this.expiryInterval);
+      this.expiryInterval = null;
+    }
+  }
+
+  /**
+   * Expire every resting order whose expiry time has passed.
+   * Skipped while a previous pass is still running.
+   */
+  async expireOrders() {
+    if (this.expiring) return;
+    this.expiring = true;
+    try {
+      const now = Date.now();
+      for (const [market, book] of this.books) {
+        const due = [...book.bids, ...book.asks].filter(e => e.expiresAt && e.expiresAt <= now);
+        for (const entry of due) {
+          await this.expireOrder(market, entry);
+        }
+        if (due.length > 0) this.onBookChange(market);
+      }
+    } finally {
+      this.expiring = false;
+    }
+  }
+
+  /**
+   * Expire a single resting order: mark it 'expired', refund the reserved
+   * balance for its unfilled shares and remove it from the book.
+   *
+   * @param {string} market - Market slug
+   * @param {BookEntry} entry - The resting order
+   * @returns {Promise<{orderId: number, refund: number}|null>} Refund, or null if the
+   *   order was no longer resting (filled or cancelled in the meantime)
+   */
+  async expireOrder(market, entry) {
+    const client = await dbTrading.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const expired = await dbTrading.expireOrder(entry.id, client);
+      let refund = 0;
+      let newBalance = null;
+      if (expired) {
+        refund = (Number(expired.remaining_shares) * Number(expired.cost_per_share)) / 100;
+        if (refund > 0) {
+          newBalance = await dbTrading.creditBalance(entry.userId, refund, client);
+        }
+      }
+
+      await client.query('COMMIT');
+
+      const book = this.books.get(market);
+      if (book) {
+        this.removeFromBook(entry.bookSide === 'bid' ? book.bids : book.asks, entry.id);
+      }
+      if (!expired) return null;
+
+      this.sendToUser(entry.userId, {
+        type: 'order_update',
+        orderId: entry.id,
+        status: 'expired',
+        filledShares: Number(expired.filled_shares),
+        remainingShares: Number(expired.remaining_shares),
+        refund
+      });
+      if (newBalance !== null) {
+        this.sendToUser(entry.userId, { type: 'balance_update', balance: newBalance });
+      }
+
+      return { orderId: entry.id, refund };
     } catch (e) {
       await client.query('ROLLBACK');
       throw e;
@@ -776,13 +1535,13 @@ class TradingEngine {
    * as a regular limit order. If balance is insufficient at trigger time,
    * the order is cancelled.
    *
-   * @param {number} roundStart - Round start timestamp
+   * @param {string} market - Market slug
    */
-  async checkStopOrders(roundStart) {
-    const stops = this.stops.get(roundStart);
+  async checkStopOrders(market) {
+    const stops = this.stops.get(market);
     if (!stops || stops.length === 0) return;
 
-    const book = this.getBook(roundStart);
+    const book = this.getBook(market);
     const bestBid = book.bids.length > 0 ? book.bids[0].price : null;
     const bestAsk = book.asks.length > 0 ? book.asks[0].price : null;
 
@@ -807,7 +1566,7 @@ class TradingEngine {
       }
     }
 
-    this.stops.set(roundStart, remaining);
+    this.stops.set(market, remaining);
 
     // Process triggered orders as limit orders
     for (const stop of triggered) {
@@ -842,7 +1601,7 @@ class TradingEngine {
         const client2 = await dbTrading.pool.connect();
         try {
           await client2.query('BEGIN');
-          const { fills, filledShares } = await this.matchOrder(order, opposingSide, roundStart, client2);
+          const { fills, filledShares } = await this.matchOrder(order, opposingSide, market, client2);
           await client2.query('COMMIT');
 
           // If unfilled, add to resting book
@@ -893,12 +1652,15 @@ class TradingEngine {
    * The winning outcome maps to shares:
    * - 'up' → YES shares win
    * - 'down' → NO shares win
+   * - 'split' → tie resolved 50/50: every YES and NO share pays 50¢
+   * - 'void' / 'refund' → no side wins; the round is unwound and every user
+   *   gets back what they paid in (trade costs + LP provisions) instead of steps 2-3
    *
-   * @param {number} roundStart - Round start timestamp (ms)
-   * @param {string} winningOutcome - 'up' or 'down'
+   * @param {string} market - Market slug of the round
+   * @param {string} winningOutcome - 'up', 'down', 'split', 'refund' or 'void'
    * @returns {Promise<Map<number, number>>} Map of userId → payout amount
    */
-  async settleRound(roundStart, winningOutcome) {
+  async settleRound(market, winningOutcome) {
     const client = await dbTrading.pool.connect();
     const payouts = new Map();
 
@@ -906,7 +1668,7 @@ class TradingEngine {
       await client.query('BEGIN');
 
       // 1. Cancel all open orders and refund reserved balances
-      const cancelledOrders = await dbTrading.cancelAllRoundOrders(roundStart, client);
+      const cancelledOrders = await dbTrading.cancelAllRoundOrders(market, client);
       for (const order of cancelledOrders) {
         // Only refund orders that had balance reserved (not stopped stop-limit orders)
         if (order.status !== 'stopped') {
@@ -922,44 +1684,64 @@ class TradingEngine {
         }
       }
 
-      // 2. Get positions per user (includes LP shares + trade-derived shares)
-      const positions = await dbTrading.getAllPositions(roundStart, client);
-
-      // 3. Pay out winning shares
-      const yesWins = winningOutcome === 'up';
-
-      for (const pos of positions) {
-        const winningShares = yesWins ? pos.yesShares : pos.noShares;
-        if (winningShares > 0) {
-          const payout = winningShares; // $1.00 per share = winningShares dollars
-          const newBalance = await dbTrading.creditBalance(pos.userId, payout, client);
-          payouts.set(pos.userId, payout);
-          this.sendToUser(pos.userId, {
+      if (winningOutcome === 'void' || winningOutcome === 'refund') {
+        // Refund each user's net cost basis
+        const costs = await dbTrading.getRoundCostBasis(market, client);
+        for (const { userId, costBasis } of costs) {
+          const newBalance = await dbTrading.creditBalance(userId, costBasis, client);
+          payouts.set(userId, costBasis);
+          this.sendToUser(userId, {
             type: 'settlement',
-            roundStart,
+            market,
             outcome: winningOutcome,
-            payout
-          });
-          this.sendToUser(pos.userId, { type: 'balance_update', balance: newBalance });
-        } else {
-          // Losing positions pay $0 — notify anyway
-          this.sendToUser(pos.userId, {
-            type: 'settlement',
-            roundStart,
-            outcome: winningOutcome,
-            payout: 0
+            payout: costBasis
           });
+          this.sendToUser(userId, { type: 'balance_update', balance: newBalance });
+        }
+      } else {
+        // 2. Get positions per user (includes LP shares + trade-derived shares)
+        const positions = await dbTrading.getAllPositions(market, client);
+
+        // 3. Pay out winning shares (a split pays half on both sides)
+        const yesWins = winningOutcome === 'up';
+
+        for (const pos of positions) {
+          const winningShares = winningOutcome === 'split'
+            ? (pos.yesShares + pos.noShares) / 2
+            : (yesWins ? pos.yesShares : pos.noShares);
+          if (winningShares > 0) {
+            const payout = winningShares; // $1.00 per share = winningShares dollars
+            const newBalance = await dbTrading.creditBalance(pos.userId, payout, client);
+            payouts.set(pos.userId, payout);
+            this.sendToUser(pos.userId, {
+              type: 'settlement',
+              market,
+              outcome: winningOutcome,
+              payout
+            });
+            this.sendToUser(pos.userId, { type: 'balance_update', balance: newBalance });
+          } else {
+            // Losing positions pay $0 — notify anyway
+            this.sendToUser(pos.userId, {
+              type: 'settlement',
+              market,
+              outcome: winningOutcome,
+              payout: 0
+            });
+          }
         }
       }
 
       await client.query('COMMIT');
 
       // 4. Clear in-memory state
-      this.books.delete(roundStart);
-      this.stops.delete(roundStart);
-      this.lastTradePrice.delete(roundStart);
-      this.roundVolume.delete(roundStart);
-      this.phases.delete(roundStart);
+      this.books.delete(market);
+      this.stops.delete(market);
+      this.lastTradePrice.delete(market);
+      this.roundVolume.delete(market);
+      this.phases.delete(market);
+      this.roundStarts.delete(market);
+      this.roundEnds.delete(market);
 
       return payouts;
     } catch (e) {
@@ -981,7 +1763,7 @@ class TradingEngine {
    * @param {number} userId - User ID
    * @param {object} [filters] - Optional filters
    * @param {string} [filters.status] - 'open' (includes partially_filled/stopped), 'filled', 'cancelled', or 'all'
-   * @param {string} [filters.roundStart] - Filter by specific round
+   * @param {string} [filters.market] - Filter by market slug
    * @param {number} [filters.limit] - Max results (default 50, max 200)
    * @returns {Promise<object[]>} Array of formatted order objects
    */
@@ -1019,6 +1801,7 @@ class TradingEngine {
     return {
       id: Number(row.id),
       userId: Number(row.user_id),
+      market: row.market,
       roundStart: new Date(row.round_start).getTime(),
       side: row.side,
       outcome: row.outcome,
@@ -1031,6 +1814,7 @@ class TradingEngine {
       remainingShares: Number(row.remaining_shares),
       costPerShare: Number(row.cost_per_share),
       status: row.status,
+      expiresAt: row.expires_at ? new Date(row.expires_at).getTime() : null,
       createdAt: new Date(row.created_at).getTime(),
     };
   }
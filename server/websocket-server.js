@@ -1,4 +1,5 @@
 const http = require('http');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const { WebSocketServer } = require('ws');
@@ -6,6 +7,11 @@ const config = require('./config');
 const db = require('./db');
 const dbTrading = require('./db-trading');
 const { verifyTelegramAuth, createSessionToken } = require('./auth');
+const RoundSchedule = require('./round-schedule');
+const settlement = require('./settlement');
+
+// How long aggregate events are kept for settlement audit snapshots
+const AUDIT_HISTORY_MS = 30000;
 
 const STATIC_DIR = path.join(__dirname, '..', 'public');
 const MIME_TYPES = {
@@ -23,8 +29,6 @@ const MIME_TYPES = {
   '.woff2': 'font/woff2',
 };
 
-const PROVISION_LEAD_MS = 300000; // 5 minutes
-
 class PriceWebSocketServer {
   constructor(port = config.serverPort) {
     this.port = port;
@@ -33,58 +37,71 @@ class PriceWebSocketServer {
     this.clients = new Set();
     this.authenticatedClients = new Map(); // ws -> user data
     this.userSockets = new Map(); // userId -> Set<ws> (reverse map for push messages)
+    this.disconnectPolicies = new Map(); // userId -> {all, orderIds} cancel-on-disconnect opt-ins
+    this.disconnectTimers = new Map(); // userId -> pending cancel-on-disconnect timeout
     this.tradingEngine = null;
-    this.lastPrice = null;
-    this.currentMinuteStart = null;
+    this.sourceAdmin = null;
+    this.lastPrices = new Map(); // asset → last aggregate price
+    this.recentAggregates = new Map(); // asset → aggregate events from the last AUDIT_HISTORY_MS
     this.minuteCheckInterval = null;
-    this._obBroadcastTimer = null;
+    this.obBroadcastTimers = new Map(); // slug → pending debounced order book broadcast
     this._boundaryInProgress = false;
 
-    /** @type {Map<number, {slug: string, phase: string, priceToBeat: number|null, minuteStart: number}>} */
-    this.markets = new Map(); // minuteStartMs → market metadata
+    /** @type {Map<string, RoundSchedule>} series id → schedule */
+    this.schedules = new Map();
+    for (const series of config.marketSeries) {
+      this.schedules.set(series.id, new RoundSchedule(series));
+    }
+    this.defaultSeries = config.marketSeries[0].id;
+
+    /** @type {Map<string, {slug: string, asset: string, series: string, tiePolicy: string, phase: string, priceToBeat: number|null, minuteStart: number, roundEnd: number}>} */
+    this.markets = new Map(); // slug → market metadata (minuteStart is the round start)
   }
 
   // ============================================
   // SLUG & PHASE HELPERS
   // ============================================
 
-  generateSlug(minuteStartMs) {
-    const d = new Date(minuteStartMs);
-    const yyyy = d.getUTCFullYear();
-    const mm = String(d.getUTCMonth() + 1).padStart(2, '0');
-    const dd = String(d.getUTCDate()).padStart(2, '0');
-    const hh = String(d.getUTCHours()).padStart(2, '0');
-    const min = String(d.getUTCMinutes()).padStart(2, '0');
-    return `btc-${yyyy}${mm}${dd}-${hh}${min}`;
+  generateSlug(asset, minuteStartMs, series = this.defaultSeries) {
+    return this.schedules.get(series).getSlug(asset, minuteStartMs);
   }
 
-  getMarketPhase(minuteStartMs) {
+  getMarketPhase(minuteStartMs, roundEndMs) {
     const now = Date.now();
     if (now < minuteStartMs) return 'provision';
-    if (now < minuteStartMs + 60000) return 'active';
+    if (now < roundEndMs) return 'active';
     return 'closed';
   }
 
-  resolveRoundStart(slug) {
-    for (const [ms, market] of this.markets) {
-      if (market.slug === slug) return ms;
-    }
-    return null;
+  // Normalize a client-supplied asset symbol; null if not configured
+  resolveAsset(asset) {
+    const symbol = (asset || config.assets[0]).toUpperCase();
+    return config.assets.includes(symbol) ? symbol : null;
+  }
+
+  // Normalize a client-supplied series id; null if not configured
+  resolveSeries(series) {
+    const id = series || this.defaultSeries;
+    return this.schedules.has(id) ? id : null;
   }
 
-  getActiveMarketRoundStart() {
-    for (const [ms, market] of this.markets) {
-      if (market.phase === 'active') return ms;
+  getActiveMarketSlug(asset = config.assets[0], series = this.defaultSeries) {
+    for (const [slug, market] of this.markets) {
+      if (market.asset === asset && market.series === series && market.phase === 'active') return slug;
     }
     return null;
   }
 
   getMarketListPayload() {
     const list = [];
-    for (const [ms, market] of this.markets) {
+    for (const market of this.markets.values()) {
       list.push({
         slug: market.slug,
-        minuteStart: ms,
+        asset: market.asset,
+        series: market.series,
+        tiePolicy: market.tiePolicy,
+        minuteStart: market.minuteStart,
+        roundEnd: market.roundEnd,
         phase: market.phase,
         priceToBeat: market.priceToBeat,
         finalPrice: market.finalPrice || null,
@@ -119,194 +136,309 @@ class PriceWebSocketServer {
     this.broadcast({ type: 'market_list', markets: this.getMarketListPayload() });
   }
 
-  broadcastOrderBook(roundStart) {
+  broadcastOrderBook(slug) {
     if (!this.tradingEngine) return;
-    const rs = roundStart || this.getActiveMarketRoundStart();
-    if (!rs) return;
-    const market = this.markets.get(rs);
-    const book = this.tradingEngine.getOrderBook(rs);
-    this.broadcast({ type: 'orderbook', slug: market ? market.slug : null, ...book });
+    const s = slug || this.getActiveMarketSlug();
+    if (!s) return;
+    const book = this.tradingEngine.getOrderBook(s);
+    this.broadcast({ type: 'orderbook', slug: s, ...book });
   }
 
-  scheduleBroadcastOrderBook() {
-    if (this._obBroadcastTimer) return;
-    this._obBroadcastTimer = setTimeout(() => {
-      this._obBroadcastTimer = null;
-      this.broadcastOrderBook();
-    }, 50);
+  // Debounced per market, so a burst on one book doesn't hold back another
+  scheduleBroadcastOrderBook(slug) {
+    const s = slug || this.getActiveMarketSlug();
+    if (!s || this.obBroadcastTimers.has(s)) return;
+    this.obBroadcastTimers.set(s, setTimeout(() => {
+      this.obBroadcastTimers.delete(s);
+      this.broadcastOrderBook(s);
+    }, 50));
   }
 
   // ============================================
   // MARKET LIFECYCLE
   // ============================================
 
-  async createMarket(minuteStartMs) {
-    if (this.markets.has(minuteStartMs)) return;
-    const slug = this.generateSlug(minuteStartMs);
-    const phase = this.getMarketPhase(minuteStartMs);
-    this.markets.set(minuteStartMs, {
+  async createMarket(asset, schedule, minuteStartMs) {
+    const slug = schedule.getSlug(asset, minuteStartMs);
+    if (this.markets.has(slug)) return;
+    const roundEnd = schedule.getRoundEnd(minuteStartMs);
+    const phase = schedule.getPhase(minuteStartMs);
+    this.markets.set(slug, {
       slug,
+      asset,
+      series: schedule.id,
+      tiePolicy: schedule.tiePolicy,
       phase,
       priceToBeat: null,
-      minuteStart: minuteStartMs
+      minuteStart: minuteStartMs,
+      roundEnd
     });
-    await db.insertMarket(minuteStartMs, slug)
+    await db.insertMarket(asset, schedule.id, minuteStartMs, roundEnd, slug, schedule.tiePolicy)
       .catch(err => console.error('DB insertMarket error:', err.message));
-    console.log(`  Market created: ${slug} (${phase}) — resolves at ${new Date(minuteStartMs + 60000).toISOString()}`);
+    console.log(`  Market created: ${slug} (${phase}) — resolves at ${new Date(roundEnd).toISOString()}`);
   }
 
-  async activateMarket(minuteStartMs, priceToBeat) {
-    const market = this.markets.get(minuteStartMs);
+  /**
+   * Fix the strike from the TWAP window around the round start. Falls back
+   * to the latest aggregate when nothing was stored for the window (e.g.
+   * the server started mid-round); such rounds are flagged to void at settlement.
+   */
+  async activateMarket(slug, fallbackPrice) {
+    const market = this.markets.get(slug);
     if (!market) return;
+    const fixing = await settlement.getFixing(market.asset, market.minuteStart)
+      .catch(err => {
+        console.error('Strike fixing error:', err.message);
+        return null;
+      });
+    const snapshot = this.getBoundarySnapshot(market.asset, market.minuteStart);
+    const voidReason = this.checkDataQuality(fixing, snapshot);
+    if (voidReason) {
+      market.voidReason = `strike: ${voidReason}`;
+      console.warn(`  Market ${slug} will be voided — ${market.voidReason}`);
+    }
+
+    const priceToBeat = fixing ? fixing.price : fallbackPrice;
     market.phase = 'active';
     market.priceToBeat = priceToBeat;
     if (this.tradingEngine) {
-      this.tradingEngine.initRound(minuteStartMs);
-      this.tradingEngine.setPhase(minuteStartMs, 'active');
+      this.tradingEngine.initRound(slug, market.minuteStart, market.roundEnd);
+      this.tradingEngine.setPhase(slug, 'active');
     }
-    await db.updatePriceToBeat(minuteStartMs, priceToBeat)
+    await db.updatePriceToBeat(slug, priceToBeat, fixing)
       .catch(err => console.error('DB updatePriceToBeat error:', err.message));
-    console.log(`  Market activated: ${market.slug} — price to beat: $${priceToBeat.toFixed(2)}`);
+    await this.recordAudit(market, 'strike', snapshot);
+    console.log(`  Market activated: ${market.slug} — price to beat: $${priceToBeat.toFixed(2)} (${fixing ? `TWAP of ${fixing.samples.length}` : 'last aggregate'})`);
     this.broadcast({
       type: 'price_to_beat',
       slug: market.slug,
+      asset: market.asset,
+      series: market.series,
       priceToBeat: priceToBeat.toFixed(2),
-      minuteStart: minuteStartMs
+      minuteStart: market.minuteStart,
+      roundEnd: market.roundEnd
     });
     this.broadcast({ type: 'market_phase_change', slug: market.slug, phase: 'active', priceToBeat: priceToBeat.toFixed(2) });
   }
 
-  async settleMarket(minuteStartMs) {
-    const market = this.markets.get(minuteStartMs);
+  async settleMarket(slug) {
+    const market = this.markets.get(slug);
     if (!market || market.phase === 'closed') return;
-    if (!market.priceToBeat) return; // never activated
+    if (!market.priceToBeat) { // never activated
+      market.phase = 'closed';
+      return;
+    }
 
-    const finalPrice = this.lastPrice;
-    const outcome = finalPrice >= market.priceToBeat ? 'up' : 'down';
+    // Stop trading before the fixing lookup
     market.phase = 'closed';
+    if (this.tradingEngine) this.tradingEngine.setPhase(slug, 'closed');
+
+    const fixing = await settlement.getFixing(market.asset, market.roundEnd)
+      .catch(err => {
+        console.error('Settlement fixing error:', err.message);
+        return null;
+      });
+    const snapshot = this.getBoundarySnapshot(market.asset, market.roundEnd);
+    const settleIssue = this.checkDataQuality(fixing, snapshot);
+    const voidReason = market.voidReason || (settleIssue && `settle: ${settleIssue}`);
+
+    const finalPrice = fixing ? fixing.price : null;
+    const schedule = this.schedules.get(market.series);
+    const outcome = voidReason ? 'void' : schedule.resolveOutcome(market.priceToBeat, finalPrice);
     market.finalPrice = finalPrice;
     market.outcome = outcome;
 
-    await db.completeMinuteOutcome(minuteStartMs, finalPrice)
-      .catch(err => console.error('Settlement DB error:', err.message));
+    if (voidReason) {
+      await db.voidMarketOutcome(slug, voidReason, finalPrice, fixing)
+        .catch(err => console.error('Settlement DB error:', err.message));
+    } else {
+      await db.completeMinuteOutcome(slug, finalPrice, outcome, fixing)
+        .catch(err => console.error('Settlement DB error:', err.message));
+    }
+    await this.recordAudit(market, 'settle', snapshot);
 
     if (this.tradingEngine) {
-      this.tradingEngine.setPhase(minuteStartMs, 'closed');
-      await this.tradingEngine.settleRound(minuteStartMs, outcome)
+      await this.tradingEngine.settleRound(slug, outcome)
         .catch(err => console.error('Settlement engine error:', err.message));
     }
 
-    console.log(`  Market settled: ${market.slug} — ${outcome} (beat: $${market.priceToBeat.toFixed(2)}, final: $${finalPrice.toFixed(2)})`);
+    if (voidReason) {
+      console.warn(`  Market voided: ${market.slug} — ${voidReason}`);
+      this.broadcast({ type: 'market_phase_change', slug: market.slug, phase: 'closed', outcome, finalPrice, reason: voidReason });
+      return;
+    }
+
+    console.log(`  Market settled: ${market.slug} — ${outcome} (beat: $${market.priceToBeat.toFixed(2)}, final: $${finalPrice.toFixed(2)}, TWAP of ${fixing.samples.length})`);
     this.broadcast({ type: 'market_phase_change', slug: market.slug, phase: 'closed', outcome, finalPrice });
   }
 
+  // Keep a short history of aggregate events per asset for audit snapshots
+  rememberAggregate(data) {
+    let history = this.recentAggregates.get(data.asset);
+    if (!history) {
+      history = [];
+      this.recentAggregates.set(data.asset, history);
+    }
+    history.push(data);
+    while (history.length > 0 && history[0].timestamp < data.timestamp - AUDIT_HISTORY_MS) {
+      history.shift();
+    }
+  }
+
+  // Last aggregate event at or before the fixing window's end (or the latest
+  // one, if none is that old); null if none were seen recently
+  getBoundarySnapshot(asset, boundaryMs) {
+    const history = this.recentAggregates.get(asset) || [];
+    const windowEnd = boundaryMs + config.settlement.windowAfter;
+    let snapshot = null;
+    for (const data of history) {
+      if (data.timestamp <= windowEnd) snapshot = data;
+    }
+    return snapshot || history[history.length - 1] || null;
+  }
+
+  // Data quality rules for a fixing; returns the reason to void, or null if it is usable
+  checkDataQuality(fixing, snapshot) {
+    if (!fixing) return 'no aggregates stored in fixing window';
+    if (!snapshot || snapshot.price === null) return 'aggregate unavailable at boundary';
+    if (snapshot.sourceCount < config.settlement.minSources) {
+      return `only ${snapshot.sourceCount} live sources (min ${config.settlement.minSources})`;
+    }
+    return null;
+  }
+
+  /**
+   * Store the per-source breakdown of the aggregate used at a boundary.
+   * @param {object} market
+   * @param {'strike'|'settle'} stage
+   * @param {object|null} snapshot - aggregate event from getBoundarySnapshot
+   */
+  async recordAudit(market, stage, snapshot) {
+    if (!snapshot) return;
+    await db.insertSettlementAudit(market.slug, stage, snapshot)
+      .catch(err => console.error('DB insertSettlementAudit error:', err.message));
+  }
+
   cleanupOldMarkets() {
     const cutoff = Date.now() - 600000; // 10 min ago
-    for (const [ms, market] of this.markets) {
-      if (market.phase === 'closed' && ms + 60000 < cutoff) {
-        this.markets.delete(ms);
+    for (const [slug, market] of this.markets) {
+      if (market.phase === 'closed' && market.roundEnd < cutoff) {
+        this.markets.delete(slug);
       }
     }
   }
 
+  // Create the series' current round plus provision rounds covering its lead time
+  async ensureMarkets(asset, schedule, now) {
+    for (const ms of schedule.getUpcomingStarts(now)) {
+      await this.createMarket(asset, schedule, ms);
+    }
+  }
+
   async initMarkets() {
-    const now = new Date();
-    const currentMinuteMs = new Date(now.getFullYear(), now.getMonth(), now.getDate(),
-      now.getHours(), now.getMinutes(), 0, 0).getTime();
+    const now = Date.now();
 
     console.log('Creating initial markets...');
 
-    // Create current minute market (will be activated once first price arrives)
-    await this.createMarket(currentMinuteMs);
-
-    // Create future provision markets (next 5 minutes)
-    for (let i = 1; i <= 5; i++) {
-      await this.createMarket(currentMinuteMs + i * 60000);
+    // Current round of each series (activated once first price arrives) + provision rounds
+    for (const asset of config.assets) {
+      for (const schedule of this.schedules.values()) {
+        await this.ensureMarkets(asset, schedule, now);
+      }
     }
 
-    this.currentMinuteStart = currentMinuteMs;
     this.broadcastMarketList();
     console.log(`Init complete: ${this.markets.size} markets created (awaiting first price for activation)`);
   }
 
   async checkMinuteBoundary() {
-    if (this.lastPrice === null) return;
     if (this._boundaryInProgress) return;
     this._boundaryInProgress = true;
 
     try {
-      const now = new Date();
-      const minuteStartMs = new Date(now.getFullYear(), now.getMonth(), now.getDate(),
-        now.getHours(), now.getMinutes(), 0, 0).getTime();
-
-      // First price arrived — activate current minute's market if not yet active
-      // Re-align currentMinuteStart in case we crossed a minute boundary since initMarkets
-      if (minuteStartMs > this.currentMinuteStart) {
-        // Minute(s) passed since initMarkets — update tracking and create any missing markets
-        this.currentMinuteStart = minuteStartMs;
-        if (!this.markets.has(minuteStartMs)) {
-          await this.createMarket(minuteStartMs);
-        }
-        // Create future provision markets if needed
-        for (let i = 1; i <= 5; i++) {
-          const futureMs = minuteStartMs + i * 60000;
-          if (!this.markets.has(futureMs)) {
-            await this.createMarket(futureMs);
-          }
-        }
-      }
+      const now = Date.now();
+      const activated = [];
 
-      const currentMarket = this.markets.get(this.currentMinuteStart);
-      if (currentMarket && currentMarket.phase !== 'active' && currentMarket.phase !== 'closed') {
-        await this.activateMarket(this.currentMinuteStart, this.lastPrice);
-        this.broadcastMarketList();
-        this.broadcastOrderBook(this.currentMinuteStart);
-        return;
-      }
-
-      // New minute detected
-      if (minuteStartMs > this.currentMinuteStart) {
-        const T = minuteStartMs;
-        const previousMinuteStart = this.currentMinuteStart;
-        this.currentMinuteStart = T;
-
-        console.log(`\nMinute boundary: ${new Date(T).toISOString()}`);
-
-        // 1. SETTLE previous market (T - 60000) — must complete before activation
-        await this.settleMarket(previousMinuteStart);
-
-        // 2. ACTIVATE current market (T)
-        if (this.markets.has(T)) {
-          await this.activateMarket(T, this.lastPrice);
+      let changed = false;
+      for (const asset of config.assets) {
+        for (const schedule of this.schedules.values()) {
+          if (await this.advanceSeriesMarkets(asset, schedule, now, activated)) changed = true;
         }
+      }
 
-        // 3. CREATE future market (T + 300000)
-        await this.createMarket(T + PROVISION_LEAD_MS);
-
-        // 4. CLEANUP old markets
+      if (changed) {
         this.cleanupOldMarkets();
-
-        // Broadcast updated state
         this.broadcastMarketList();
-        this.broadcastOrderBook(T);
+        for (const slug of activated) this.broadcastOrderBook(slug);
       }
     } finally {
       this._boundaryInProgress = false;
     }
   }
 
+  /**
+   * Move one asset's markets in one series through their lifecycle. Series
+   * run on independent clocks, so a 1h round keeps trading while the 1m
+   * rounds under it settle. Nothing happens until the asset's first
+   * aggregate price has arrived.
+   * @param {string} asset
+   * @param {RoundSchedule} schedule
+   * @param {number} now
+   * @param {string[]} activated - slugs activated during this pass are appended here
+   * @returns {Promise<boolean>} true if any market changed phase
+   */
+  async advanceSeriesMarkets(asset, schedule, now, activated) {
+    const price = this.lastPrices.get(asset);
+    if (price === undefined) return false;
+
+    let changed = false;
+
+    // Fixing windows may extend past the boundary; wait for them to close
+    const windowAfter = config.settlement.windowAfter;
+
+    // 1. SETTLE markets whose round has ended — must complete before activation
+    for (const [slug, market] of this.markets) {
+      if (market.asset === asset && market.series === schedule.id &&
+          market.phase !== 'closed' && market.roundEnd + windowAfter <= now) {
+        await this.settleMarket(slug);
+        changed = true;
+      }
+    }
+
+    // 2. CREATE current and future provision markets
+    await this.ensureMarkets(asset, schedule, now);
+
+    // 3. ACTIVATE current market
+    const currentStart = schedule.getRoundStart(now);
+    const currentSlug = schedule.getSlug(asset, currentStart);
+    const currentMarket = this.markets.get(currentSlug);
+    if (currentMarket && currentMarket.phase !== 'closed' && currentMarket.priceToBeat === null &&
+        currentStart + windowAfter <= now) {
+      await this.activateMarket(currentSlug, price);
+      activated.push(currentSlug);
+      changed = true;
+    }
+
+    return changed;
+  }
+
   // ============================================
   // HTTP SERVER
   // ============================================
 
-  start(aggregator, tradingEngine) {
+  start(aggregator, tradingEngine, sourceAdmin = null) {
     this.tradingEngine = tradingEngine;
+    this.sourceAdmin = sourceAdmin;
+    if (tradingEngine) {
+      // Expired GTT orders leave the book outside any client request
+      tradingEngine.start(slug => this.scheduleBroadcastOrderBook(slug));
+    }
 
     this.httpServer = http.createServer((req, res) => {
       // CORS headers
       res.setHeader('Access-Control-Allow-Origin', '*');
       res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-      res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
       if (req.method === 'OPTIONS') {
         res.writeHead(204);
@@ -320,7 +452,13 @@ class PriceWebSocketServer {
       // API: price history
       if (req.method === 'GET' && pathname === '/api/history') {
         const limit = Math.min(parseInt(url.searchParams.get('limit') || '60', 10), 500);
-        db.getRecentPrices(limit)
+        const asset = this.resolveAsset(url.searchParams.get('asset'));
+        if (!asset) {
+          res.writeHead(404, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'Unknown asset' }));
+          return;
+        }
+        db.getRecentPrices(limit, asset)
           .then(rows => {
             res.writeHead(200, { 'Content-Type': 'application/json' });
             res.end(JSON.stringify(rows));
@@ -336,7 +474,14 @@ class PriceWebSocketServer {
       // API: outcomes
       if (req.method === 'GET' && pathname === '/api/outcomes') {
         const limit = Math.min(parseInt(url.searchParams.get('limit') || '5', 10), 50);
-        db.getRecentOutcomes(limit)
+        const asset = this.resolveAsset(url.searchParams.get('asset'));
+        const series = this.resolveSeries(url.searchParams.get('series'));
+        if (!asset || !series) {
+          res.writeHead(404, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: asset ? 'Unknown series' : 'Unknown asset' }));
+          return;
+        }
+        db.getRecentOutcomes(limit, asset, series)
           .then(rows => {
             res.writeHead(200, { 'Content-Type': 'application/json' });
             res.end(JSON.stringify(rows));
@@ -349,20 +494,45 @@ class PriceWebSocketServer {
         return;
       }
 
-      // API: list all markets
+      // API: list all markets (optionally ?asset=ETH&series=1h)
       if (req.method === 'GET' && pathname === '/api/markets') {
-        const markets = this.getMarketListPayload();
+        const asset = url.searchParams.get('asset');
+        const series = url.searchParams.get('series');
+        const markets = this.getMarketListPayload()
+          .filter(m => !asset || m.asset === asset.toUpperCase())
+          .filter(m => !series || m.series === series);
         res.writeHead(200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify(markets));
         return;
       }
 
+      // API: settlement audit (market row + per-source snapshots at strike and settle)
+      const auditMatch = pathname.match(/^\/api\/market\/([a-z0-9-]+)\/audit$/);
+      if (req.method === 'GET' && auditMatch) {
+        const slug = auditMatch[1];
+        Promise.all([db.getMarketBySlug(slug), db.getSettlementAudit(slug)])
+          .then(([market, audit]) => {
+            if (!market) {
+              res.writeHead(404, { 'Content-Type': 'application/json' });
+              res.end(JSON.stringify({ error: 'Market not found' }));
+              return;
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ ...market, audit }));
+          })
+          .catch(err => {
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Internal server error' }));
+          });
+        return;
+      }
+
       // API: single market detail
       const marketMatch = pathname.match(/^\/api\/market\/([a-z0-9-]+)$/);
       if (req.method === 'GET' && marketMatch) {
         const slug = marketMatch[1];
-        const roundStart = this.resolveRoundStart(slug);
-        if (!roundStart) {
+        const market = this.markets.get(slug);
+        if (!market) {
           // Try DB fallback for closed markets
           db.getMarketBySlug(slug)
             .then(market => {
@@ -371,7 +541,7 @@ class PriceWebSocketServer {
                 res.end(JSON.stringify({ error: 'Market not found' }));
                 return;
               }
-              const phase = this.getMarketPhase(market.minuteStart);
+              const phase = this.getMarketPhase(market.minuteStart, market.roundEnd);
               res.writeHead(200, { 'Content-Type': 'application/json' });
               res.end(JSON.stringify({ ...market, phase }));
             })
@@ -381,13 +551,16 @@ class PriceWebSocketServer {
             });
           return;
         }
-        const market = this.markets.get(roundStart);
-        dbTrading.getTotalLiquidity(roundStart)
+        dbTrading.getTotalLiquidity(slug)
           .then(totalLiquidity => {
             res.writeHead(200, { 'Content-Type': 'application/json' });
             res.end(JSON.stringify({
               slug: market.slug,
-              minuteStart: roundStart,
+              asset: market.asset,
+              series: market.series,
+              tiePolicy: market.tiePolicy,
+              minuteStart: market.minuteStart,
+              roundEnd: market.roundEnd,
               phase: market.phase,
               priceToBeat: market.priceToBeat,
               totalLiquidity
@@ -400,6 +573,12 @@ class PriceWebSocketServer {
         return;
       }
 
+      // Admin API: source weights / enable / add pair
+      if (pathname.startsWith('/api/admin/')) {
+        this.handleAdminRequest(req, res, url);
+        return;
+      }
+
       // Telegram auth endpoint
       if (req.method === 'POST' && pathname === '/api/auth/telegram') {
         let body = '';
@@ -480,60 +659,48 @@ class PriceWebSocketServer {
       console.log(`Client connected from ${clientIp}`);
       this.clients.add(ws);
 
-      // Send last known price immediately if available
-      if (this.lastPrice !== null) {
-        ws.send(JSON.stringify({
-          p: this.lastPrice.toFixed(2),
-          sources: 0,
-          timestamp: Date.now()
-        }));
-      }
-
-      // Send current active market's price to beat
-      const activeRound = this.getActiveMarketRoundStart();
-      if (activeRound) {
-        const activeMarket = this.markets.get(activeRound);
-        if (activeMarket && activeMarket.priceToBeat !== null) {
+      for (const asset of config.assets) {
+        // Send last known price immediately if available
+        const lastPrice = this.lastPrices.get(asset);
+        if (lastPrice !== undefined) {
           ws.send(JSON.stringify({
-            type: 'price_to_beat',
-            slug: activeMarket.slug,
-            priceToBeat: activeMarket.priceToBeat.toFixed(2),
-            minuteStart: activeRound
+            p: lastPrice.toFixed(2),
+            asset,
+            sources: 0,
+            timestamp: Date.now()
           }));
         }
+
+        // Send each series' active market price to beat
+        for (const series of this.schedules.keys()) {
+          const activeSlug = this.getActiveMarketSlug(asset, series);
+          if (!activeSlug) continue;
+          const activeMarket = this.markets.get(activeSlug);
+          if (activeMarket.priceToBeat !== null) {
+            ws.send(JSON.stringify({
+              type: 'price_to_beat',
+              slug: activeMarket.slug,
+              asset,
+              series,
+              priceToBeat: activeMarket.priceToBeat.toFixed(2),
+              minuteStart: activeMarket.minuteStart,
+              roundEnd: activeMarket.roundEnd
+            }));
+          }
+        }
       }
 
       // Send market list
       ws.send(JSON.stringify({ type: 'market_list', markets: this.getMarketListPayload() }));
 
       ws.on('close', () => {
-        this.clients.delete(ws);
-        const userData = this.authenticatedClients.get(ws);
-        if (userData) {
-          const uid = Number(userData.id);
-          const sockets = this.userSockets.get(uid);
-          if (sockets) {
-            sockets.delete(ws);
-            if (sockets.size === 0) this.userSockets.delete(uid);
-          }
-        }
-        this.authenticatedClients.delete(ws);
+        this.removeClient(ws);
         console.log(`Client disconnected (${this.clients.size} remaining)`);
       });
 
       ws.on('error', (err) => {
         console.error('Client WebSocket error:', err.message);
-        this.clients.delete(ws);
-        const userData = this.authenticatedClients.get(ws);
-        if (userData) {
-          const uid = Number(userData.id);
-          const sockets = this.userSockets.get(uid);
-          if (sockets) {
-            sockets.delete(ws);
-            if (sockets.size === 0) this.userSockets.delete(uid);
-          }
-        }
-        this.authenticatedClients.delete(ws);
+        this.removeClient(ws);
       });
 
       // Handle client messages
@@ -545,6 +712,9 @@ class PriceWebSocketServer {
             const expectedToken = createSessionToken(msg.userId, msg.authDate, config.telegram.botToken);
             if (expectedToken === msg.token) {
               db.getUser(msg.userId).then(user => {
+                // Closed while the lookup was pending: registering the socket
+                // would keep the user's socket set from ever emptying
+                if (ws.readyState !== 1) return;
                 if (user) {
                   this.authenticatedClients.set(ws, user);
                   const uid = Number(user.id);
@@ -552,13 +722,30 @@ class PriceWebSocketServer {
                     this.userSockets.set(uid, new Set());
                   }
                   this.userSockets.get(uid).add(ws);
+
+                  // Back within the grace period: keep the orders
+                  this.clearDisconnectCancel(uid);
+                  // true opts the session in; false opts it back out (orders
+                  // placed with their own cancelOnDisconnect stay covered)
+                  if (msg.cancelOnDisconnect === true) {
+                    this.getDisconnectPolicy(uid).all = true;
+                  } else if (msg.cancelOnDisconnect === false && this.disconnectPolicies.has(uid)) {
+                    this.disconnectPolicies.get(uid).all = false;
+                  }
+
                   ws.send(JSON.stringify({
                     type: 'auth_success',
-                    user: { ...user, balance: parseFloat(user.balance) }
+                    user: { ...user, balance: parseFloat(user.balance) },
+                    cancelOnDisconnect: this.disconnectPolicies.has(uid) && this.disconnectPolicies.get(uid).all
                   }));
                 } else {
                   ws.send(JSON.stringify({ type: 'auth_error', error: 'User not found' }));
                 }
+              }).catch(err => {
+                console.error('Auth error:', err.message);
+                if (ws.readyState === 1) {
+                  ws.send(JSON.stringify({ type: 'auth_error', error: 'Authentication failed' }));
+                }
               });
             } else {
               ws.send(JSON.stringify({ type: 'auth_error', error: 'Invalid token' }));
@@ -573,6 +760,18 @@ class PriceWebSocketServer {
             this.handleCancelOrder(ws, msg);
           }
 
+          else if (msg.type === 'replace_order') {
+            this.handleReplaceOrder(ws, msg);
+          }
+
+          else if (msg.type === 'cancel_all') {
+            this.handleCancelAll(ws, msg);
+          }
+
+          else if (msg.type === 'place_orders') {
+            this.handlePlaceOrders(ws, msg);
+          }
+
           else if (msg.type === 'get_orderbook') {
             this.handleGetOrderBook(ws, msg);
           }
@@ -598,10 +797,15 @@ class PriceWebSocketServer {
           }
 
           else if (msg.type === 'status') {
-            ws.send(JSON.stringify({
-              type: 'status',
-              data: aggregator.getStatus()
-            }));
+            const asset = this.resolveAsset(msg.asset);
+            if (asset) {
+              ws.send(JSON.stringify({
+                type: 'status',
+                asset,
+                data: aggregator.getStatus(asset),
+                rates: aggregator.getRatesSnapshot()
+              }));
+            }
           }
         } catch (err) {
           // Ignore invalid messages
@@ -611,15 +815,17 @@ class PriceWebSocketServer {
 
     // Listen to aggregator and broadcast + store
     aggregator.on('aggregate', (data) => {
+      this.rememberAggregate(data);
       if (data.price === null) return;
 
-      this.lastPrice = data.price;
+      this.lastPrices.set(data.asset, data.price);
 
-      db.insertPrice(data.price, data.sourceCount, data.timestamp)
+      db.insertPrice(data.asset, data.price, data.sourceCount, data.timestamp)
         .catch(err => console.error('DB insert error:', err.message));
 
       const message = JSON.stringify({
         p: data.price.toFixed(2),
+        asset: data.asset,
         sources: data.sourceCount,
         timestamp: data.timestamp
       });
@@ -631,6 +837,10 @@ class PriceWebSocketServer {
       }
     });
 
+    // Stablecoin de-peg alerts (config.stablecoins.depegThreshold)
+    aggregator.on('depeg', (data) => this.broadcast({ type: 'stablecoin_alert', state: 'depeg', ...data }));
+    aggregator.on('repeg', (data) => this.broadcast({ type: 'stablecoin_alert', state: 'repeg', ...data }));
+
     // Check for minute boundaries every 500ms
     this.minuteCheckInterval = setInterval(() => {
       this.checkMinuteBoundary();
@@ -648,6 +858,78 @@ class PriceWebSocketServer {
     });
   }
 
+  // ============================================
+  // CANCEL-ON-DISCONNECT
+  // ============================================
+
+  // Forget a closed socket; when it was the user's last one, start the
+  // cancel-on-disconnect grace period
+  removeClient(ws) {
+    this.clients.delete(ws);
+    const userData = this.authenticatedClients.get(ws);
+    if (userData) {
+      const uid = Number(userData.id);
+      const sockets = this.userSockets.get(uid);
+      if (sockets) {
+        sockets.delete(ws);
+        if (sockets.size === 0) {
+          this.userSockets.delete(uid);
+          this.scheduleDisconnectCancel(uid);
+        }
+      }
+    }
+    this.authenticatedClients.delete(ws);
+  }
+
+  // Opt-ins last for the session: from the first socket until the cancel
+  // runs after the last one drops (reconnecting within the grace period
+  // continues the session)
+  getDisconnectPolicy(userId) {
+    if (!this.disconnectPolicies.has(userId)) {
+      this.disconnectPolicies.set(userId, { all: false, orderIds: new Set() });
+    }
+    return this.disconnectPolicies.get(userId);
+  }
+
+  scheduleDisconnectCancel(userId) {
+    const policy = this.disconnectPolicies.get(userId);
+    if (!policy || !this.tradingEngine || this.disconnectTimers.has(userId)) return;
+    if (!policy.all && policy.orderIds.size === 0) {
+      this.disconnectPolicies.delete(userId);
+      return;
+    }
+
+    this.disconnectTimers.set(userId, setTimeout(() => {
+      this.disconnectTimers.delete(userId);
+      this.cancelOnDisconnect(userId)
+        .catch(err => console.error('Cancel-on-disconnect error:', err.message));
+    }, config.trading.disconnectGracePeriod));
+  }
+
+  clearDisconnectCancel(userId) {
+    const timer = this.disconnectTimers.get(userId);
+    if (timer) {
+      clearTimeout(timer);
+      this.disconnectTimers.delete(userId);
+    }
+  }
+
+  // Cancel everything (session opt-in) or just the opted-in orders
+  async cancelOnDisconnect(userId) {
+    const policy = this.disconnectPolicies.get(userId);
+    if (!policy || this.userSockets.has(userId)) return;
+    this.disconnectPolicies.delete(userId);
+
+    const filters = policy.all ? {} : { orderIds: [...policy.orderIds] };
+    const { cancelled, refund } = await this.tradingEngine.cancelAllOrders(userId, filters);
+    if (cancelled.length === 0) return;
+
+    console.log(`  Cancel-on-disconnect: user ${userId} — ${cancelled.length} orders cancelled, $${refund.toFixed(2)} refunded`);
+    for (const slug of new Set(cancelled.map(c => c.market))) {
+      this.broadcastOrderBook(slug);
+    }
+  }
+
   // ============================================
   // TRADING MESSAGE HANDLERS
   // ============================================
@@ -659,57 +941,72 @@ class PriceWebSocketServer {
       return;
     }
 
-    // Resolve market from slug or fall back to active market
-    let roundStart;
+    // Resolve market from slug or fall back to the asset's active market
+    let slug;
     if (msg.slug) {
-      roundStart = this.resolveRoundStart(msg.slug);
-      if (!roundStart) {
+      slug = msg.slug;
+      if (!this.markets.has(slug)) {
         ws.send(JSON.stringify({ type: 'order_rejected', error: 'Market not found' }));
         return;
       }
     } else {
-      roundStart = this.getActiveMarketRoundStart();
+      const asset = this.resolveAsset(msg.asset);
+      const series = this.resolveSeries(msg.series);
+      slug = asset && series ? this.getActiveMarketSlug(asset, series) : null;
     }
 
-    if (!this.tradingEngine || !roundStart) {
+    if (!this.tradingEngine || !slug) {
       ws.send(JSON.stringify({ type: 'order_rejected', error: 'No active round' }));
       return;
     }
 
-    const market = this.markets.get(roundStart);
+    const market = this.markets.get(slug);
     if (!market || market.phase !== 'active') {
       ws.send(JSON.stringify({ type: 'order_rejected', error: 'Market not in trading phase' }));
       return;
     }
 
     const userId = Number(userData.id);
-    const { orderType, side, outcome, shares, price, stopPrice } = msg;
+    const { orderType, side, outcome, shares, price, stopPrice, expiresAt, expiresBeforeClose, reprice } = msg;
 
     try {
+      let result;
       switch (orderType) {
         case 'market_fak':
-          await this.tradingEngine.placeMarketFAK(userId, roundStart, side, outcome, shares);
+          result = await this.tradingEngine.placeMarketFAK(userId, slug, side, outcome, shares);
           break;
         case 'market_fok':
-          await this.tradingEngine.placeMarketFOK(userId, roundStart, side, outcome, shares);
+          result = await this.tradingEngine.placeMarketFOK(userId, slug, side, outcome, shares);
           break;
         case 'limit':
-          await this.tradingEngine.placeLimitOrder(userId, roundStart, side, outcome, shares, price);
+          result = await this.tradingEngine.placeLimitOrder(userId, slug, side, outcome, shares, price,
+            { expiresAt, beforeClose: expiresBeforeClose });
+          break;
+        case 'limit_post_only':
+          result = await this.tradingEngine.placePostOnlyOrder(userId, slug, side, outcome, shares, price,
+            reprice === true, { expiresAt, beforeClose: expiresBeforeClose });
+          break;
+        case 'limit_ioc':
+          result = await this.tradingEngine.placeLimitIOC(userId, slug, side, outcome, shares, price);
           break;
         case 'stop_limit':
-          await this.tradingEngine.placeStopLimitOrder(userId, roundStart, side, outcome, shares, stopPrice, price);
+          result = await this.tradingEngine.placeStopLimitOrder(userId, slug, side, outcome, shares, stopPrice, price);
           break;
         default:
           ws.send(JSON.stringify({ type: 'order_rejected', error: 'Invalid orderType' }));
           return;
       }
 
+      if (msg.cancelOnDisconnect === true) {
+        this.getDisconnectPolicy(userId).orderIds.add(Number(result.order.id));
+      }
+
       const user = await db.getUser(userId);
       if (user) {
         this.sendToUser(userId, { type: 'balance_update', balance: parseFloat(user.balance) });
       }
 
-      this.scheduleBroadcastOrderBook();
+      this.scheduleBroadcastOrderBook(slug);
     } catch (err) {
       ws.send(JSON.stringify({ type: 'order_rejected', error: err.message }));
     }
@@ -724,14 +1021,123 @@ class PriceWebSocketServer {
 
     try {
       const userId = Number(userData.id);
-      await this.tradingEngine.cancelOrder(userId, msg.orderId);
+      const { market } = await this.tradingEngine.cancelOrder(userId, msg.orderId);
+
+      const user = await db.getUser(userId);
+      if (user) {
+        this.sendToUser(userId, { type: 'balance_update', balance: parseFloat(user.balance) });
+      }
+
+      this.scheduleBroadcastOrderBook(market);
+    } catch (err) {
+      ws.send(JSON.stringify({ type: 'order_rejected', error: err.message }));
+    }
+  }
+
+  async handleReplaceOrder(ws, msg) {
+    const userData = this.authenticatedClients.get(ws);
+    if (!userData) {
+      ws.send(JSON.stringify({ type: 'order_rejected', error: 'Not authenticated' }));
+      return;
+    }
+
+    try {
+      const userId = Number(userData.id);
+      const { order } = await this.tradingEngine.replaceOrder(userId, msg.orderId, {
+        price: msg.price,
+        shares: msg.shares
+      });
+
+      const user = await db.getUser(userId);
+      if (user) {
+        this.sendToUser(userId, { type: 'balance_update', balance: parseFloat(user.balance) });
+      }
+
+      this.scheduleBroadcastOrderBook(order.market);
+    } catch (err) {
+      ws.send(JSON.stringify({ type: 'order_rejected', orderId: msg.orderId, error: err.message }));
+    }
+  }
+
+  async handleCancelAll(ws, msg) {
+    const userData = this.authenticatedClients.get(ws);
+    if (!userData) {
+      ws.send(JSON.stringify({ type: 'order_rejected', error: 'Not authenticated' }));
+      return;
+    }
+
+    try {
+      const userId = Number(userData.id);
+      const { cancelled, refund } = await this.tradingEngine.cancelAllOrders(userId, {
+        market: msg.slug,
+        side: msg.side
+      });
+      ws.send(JSON.stringify({ type: 'cancel_all_result', cancelled, refund }));
 
       const user = await db.getUser(userId);
       if (user) {
         this.sendToUser(userId, { type: 'balance_update', balance: parseFloat(user.balance) });
       }
 
-      this.scheduleBroadcastOrderBook();
+      for (const slug of new Set(cancelled.map(c => c.market))) {
+        this.broadcastOrderBook(slug);
+      }
+    } catch (err) {
+      ws.send(JSON.stringify({ type: 'order_rejected', error: err.message }));
+    }
+  }
+
+  // Batch of limit / post-only / IOC orders. Each order can name its own
+  // slug (or asset/series); otherwise the batch-level one is used.
+  async handlePlaceOrders(ws, msg) {
+    const userData = this.authenticatedClients.get(ws);
+    if (!userData) {
+      ws.send(JSON.stringify({ type: 'order_rejected', error: 'Not authenticated' }));
+      return;
+    }
+    if (!this.tradingEngine) {
+      ws.send(JSON.stringify({ type: 'order_rejected', error: 'No active round' }));
+      return;
+    }
+
+    const resolveSlug = (o) => {
+      const slug = o.slug || msg.slug;
+      if (slug) return slug;
+      const asset = this.resolveAsset(o.asset || msg.asset);
+      const series = this.resolveSeries(o.series || msg.series);
+      return asset && series ? this.getActiveMarketSlug(asset, series) : null;
+    };
+
+    try {
+      const userId = Number(userData.id);
+      const orders = (Array.isArray(msg.orders) ? msg.orders : []).map(o => ({
+        market: resolveSlug(o),
+        orderType: o.orderType,
+        side: o.side,
+        outcome: o.outcome,
+        shares: o.shares,
+        price: o.price,
+        reprice: o.reprice === true,
+        expiry: { expiresAt: o.expiresAt, beforeClose: o.expiresBeforeClose }
+      }));
+      const mode = msg.mode === 'all_or_nothing' ? 'all_or_nothing' : 'best_effort';
+      const results = await this.tradingEngine.placeOrders(userId, orders, mode === 'all_or_nothing');
+      ws.send(JSON.stringify({ type: 'place_orders_result', mode, results }));
+
+      for (const r of results) {
+        if (r.ok && (msg.orders[r.index].cancelOnDisconnect === true || msg.cancelOnDisconnect === true)) {
+          this.getDisconnectPolicy(userId).orderIds.add(r.order.id);
+        }
+      }
+
+      const user = await db.getUser(userId);
+      if (user) {
+        this.sendToUser(userId, { type: 'balance_update', balance: parseFloat(user.balance) });
+      }
+
+      for (const slug of new Set(results.filter(r => r.ok).map(r => r.order.market))) {
+        this.broadcastOrderBook(slug);
+      }
     } catch (err) {
       ws.send(JSON.stringify({ type: 'order_rejected', error: err.message }));
     }
@@ -743,21 +1149,22 @@ class PriceWebSocketServer {
       return;
     }
 
-    let roundStart;
-    if (msg && msg.slug) {
-      roundStart = this.resolveRoundStart(msg.slug);
+    let slug;
+    if (msg && msg.slug && this.markets.has(msg.slug)) {
+      slug = msg.slug;
     }
-    if (!roundStart) {
-      roundStart = this.getActiveMarketRoundStart();
+    if (!slug) {
+      const asset = this.resolveAsset(msg && msg.asset);
+      const series = this.resolveSeries(msg && msg.series);
+      slug = asset && series ? this.getActiveMarketSlug(asset, series) : null;
     }
-    if (!roundStart) {
+    if (!slug) {
       ws.send(JSON.stringify({ type: 'orderbook', bids: [], asks: [] }));
       return;
     }
 
-    const market = this.markets.get(roundStart);
-    const book = this.tradingEngine.getOrderBook(roundStart);
-    ws.send(JSON.stringify({ type: 'orderbook', slug: market ? market.slug : null, ...book }));
+    const book = this.tradingEngine.getOrderBook(slug);
+    ws.send(JSON.stringify({ type: 'orderbook', slug, ...book }));
   }
 
   async handleGetMyOrders(ws, msg) {
@@ -770,8 +1177,7 @@ class PriceWebSocketServer {
     try {
       const filters = { status: msg.status || 'all' };
       if (msg.slug) {
-        const roundStart = this.resolveRoundStart(msg.slug);
-        if (roundStart) filters.roundStart = roundStart;
+        filters.market = msg.slug;
       }
       const orders = await this.tradingEngine.getUserOrders(Number(userData.id), filters);
       ws.send(JSON.stringify({ type: 'my_orders', orders }));
@@ -816,14 +1222,13 @@ class PriceWebSocketServer {
       return;
     }
 
-    const roundStart = this.resolveRoundStart(slug);
-    if (!roundStart) {
+    const market = this.markets.get(slug);
+    if (!market) {
       ws.send(JSON.stringify({ type: 'order_rejected', error: 'Market not found' }));
       return;
     }
 
-    const market = this.markets.get(roundStart);
-    if (!market || market.phase !== 'provision') {
+    if (market.phase !== 'provision') {
       ws.send(JSON.stringify({ type: 'order_rejected', error: 'Market not in provision phase' }));
       return;
     }
@@ -843,10 +1248,10 @@ class PriceWebSocketServer {
       await dbTrading.deductBalance(userId, amount, client);
 
       // Record provision
-      await dbTrading.insertLiquidityProvision(userId, roundStart, amount, client);
+      await dbTrading.insertLiquidityProvision(userId, slug, market.minuteStart, amount, client);
 
       // Mint position: +amount YES shares, +amount NO shares
-      const position = await dbTrading.upsertPosition(userId, roundStart, amount, amount, client);
+      const position = await dbTrading.upsertPosition(userId, slug, market.minuteStart, amount, amount, client);
 
       await client.query('COMMIT');
 
@@ -883,17 +1288,20 @@ class PriceWebSocketServer {
       return;
     }
 
-    const roundStart = this.resolveRoundStart(slug);
-    if (roundStart) {
-      const market = this.markets.get(roundStart);
-      const totalLiquidity = await dbTrading.getTotalLiquidity(roundStart).catch(() => 0);
+    const liveMarket = this.markets.get(slug);
+    if (liveMarket) {
+      const totalLiquidity = await dbTrading.getTotalLiquidity(slug).catch(() => 0);
       ws.send(JSON.stringify({
         type: 'market_info',
         market: {
-          slug: market.slug,
-          minuteStart: roundStart,
-          phase: market.phase,
-          priceToBeat: market.priceToBeat,
+          slug: liveMarket.slug,
+          asset: liveMarket.asset,
+          series: liveMarket.series,
+          tiePolicy: liveMarket.tiePolicy,
+          minuteStart: liveMarket.minuteStart,
+          roundEnd: liveMarket.roundEnd,
+          phase: liveMarket.phase,
+          priceToBeat: liveMarket.priceToBeat,
           totalLiquidity
         }
       }));
@@ -906,17 +1314,109 @@ class PriceWebSocketServer {
       ws.send(JSON.stringify({ type: 'order_rejected', error: 'Market not found' }));
       return;
     }
-    const totalLiquidity = await dbTrading.getTotalLiquidity(market.minuteStart).catch(() => 0);
+    const totalLiquidity = await dbTrading.getTotalLiquidity(slug).catch(() => 0);
     ws.send(JSON.stringify({
       type: 'market_info',
       market: {
         ...market,
-        phase: this.getMarketPhase(market.minuteStart),
+        phase: this.getMarketPhase(market.minuteStart, market.roundEnd),
         totalLiquidity
       }
     }));
   }
 
+  // ============================================
+  // ADMIN API
+  // ============================================
+
+  isAdmin(req) {
+    const token = config.admin.token;
+    const header = req.headers.authorization || '';
+    if (!token || !header.startsWith('Bearer ')) return false;
+    const given = Buffer.from(header.slice(7));
+    const expected = Buffer.from(token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  async handleAdminRequest(req, res, url) {
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (!config.admin.token || !this.sourceAdmin) {
+      send(403, { error: 'Admin API disabled' });
+      return;
+    }
+    if (!this.isAdmin(req)) {
+      send(401, { error: 'Unauthorized' });
+      return;
+    }
+
+    const pathname = url.pathname;
+    try {
+      // GET /api/admin/sources?asset=BTC - current weights, enabled flags and adapters
+      if (req.method === 'GET' && pathname === '/api/admin/sources') {
+        const asset = this.resolveAsset(url.searchParams.get('asset'));
+        if (!asset) {
+          send(404, { error: 'Unknown asset' });
+          return;
+        }
+        send(200, this.sourceAdmin.getState(asset));
+        return;
+      }
+
+      // GET /api/admin/sources/changes?limit=100&source=binance - change log, newest first
+      if (req.method === 'GET' && pathname === '/api/admin/sources/changes') {
+        const limit = Math.min(parseInt(url.searchParams.get('limit') || '100', 10), 1000);
+        send(200, await db.getSourceChanges(limit, url.searchParams.get('source')));
+        return;
+      }
+
+      if (req.method === 'POST') {
+        let body;
+        try {
+          body = JSON.parse(await this.readBody(req));
+        } catch (err) {
+          send(400, { error: 'Invalid JSON body' });
+          return;
+        }
+
+        let change = null;
+        if (pathname === '/api/admin/sources/weight') {
+          change = await this.sourceAdmin.setWeight(body.source, body.weight, body.actor);
+        } else if (pathname === '/api/admin/sources/enabled') {
+          change = await this.sourceAdmin.setEnabled(body.source, body.enabled, body.actor);
+        } else if (pathname === '/api/admin/sources/pair') {
+          change = await this.sourceAdmin.addPair(body.exchange, body.asset, body.actor);
+        }
+        if (change) {
+          send(200, change);
+          return;
+        }
+      }
+
+      send(404, { error: 'Not found' });
+    } catch (err) {
+      // Validation errors from SourceAdmin are plain Errors; DB failures are logged
+      if (err.code) {
+        console.error('Admin API error:', err.message);
+        send(500, { error: 'Internal server error' });
+        return;
+      }
+      send(400, { error: err.message });
+    }
+  }
+
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => resolve(body));
+      req.on('error', reject);
+    });
+  }
+
   // ============================================
   // LIFECYCLE
   // ============================================
@@ -926,10 +1426,15 @@ class PriceWebSocketServer {
       clearInterval(this.minuteCheckInterval);
       this.minuteCheckInterval = null;
     }
-    if (this._obBroadcastTimer) {
-      clearTimeout(this._obBroadcastTimer);
-      this._obBroadcastTimer = null;
+    if (this.tradingEngine) this.tradingEngine.stop();
+    for (const timer of this.disconnectTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.disconnectTimers.clear();
+    for (const timer of this.obBroadcastTimers.values()) {
+      clearTimeout(timer);
     }
+    this.obBroadcastTimers.clear();
     if (this.wss) {
       for (const client of this.clients) {
         client.close();
@@ -1,9 +1,15 @@
--- BTC Up/Down - Database Setup
+-- Up/Down Markets - Database Setup
 -- Run: psql btcupdown < setup-db.sql
 -- Safe to run multiple times (all IF NOT EXISTS)
 
+-- Migration: the outcomes table was BTC/1-minute only before multi-asset support
+ALTER TABLE IF EXISTS btc_1m_outcomes RENAME TO market_outcomes;
+ALTER INDEX IF EXISTS idx_btc_1m_outcomes_slug RENAME TO idx_market_outcomes_slug;
+DROP INDEX IF EXISTS idx_btc_1m_outcomes_minute;
+
 CREATE TABLE IF NOT EXISTS price_history (
   id BIGSERIAL PRIMARY KEY,
+  asset TEXT NOT NULL DEFAULT 'BTC',
   price NUMERIC(12,2) NOT NULL,
   source_count INTEGER NOT NULL DEFAULT 0,
   timestamp TIMESTAMPTZ NOT NULL DEFAULT NOW()
@@ -11,6 +17,12 @@ CREATE TABLE IF NOT EXISTS price_history (
 CREATE INDEX IF NOT EXISTS idx_price_history_timestamp
   ON price_history (timestamp DESC);
 
+-- Migration: add asset column if upgrading from old schema
+ALTER TABLE price_history ADD COLUMN IF NOT EXISTS asset TEXT NOT NULL DEFAULT 'BTC';
+
+CREATE INDEX IF NOT EXISTS idx_price_history_asset
+  ON price_history (asset, timestamp DESC);
+
 CREATE TABLE IF NOT EXISTS users (
   id BIGINT PRIMARY KEY,
   first_name TEXT NOT NULL,
@@ -23,58 +35,95 @@ CREATE TABLE IF NOT EXISTS users (
   updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
 
-CREATE TABLE IF NOT EXISTS btc_1m_outcomes (
+CREATE TABLE IF NOT EXISTS market_outcomes (
   id BIGSERIAL PRIMARY KEY,
+  asset TEXT NOT NULL DEFAULT 'BTC',
+  series TEXT NOT NULL DEFAULT '1m',
   minute_start TIMESTAMPTZ NOT NULL,
+  round_end TIMESTAMPTZ,
   slug TEXT,
   price_to_beat NUMERIC(12,2),
   final_price NUMERIC(12,2),
   outcome TEXT,
+  tie_policy TEXT NOT NULL DEFAULT 'up',
+  void_reason TEXT,
+  strike_window_start TIMESTAMPTZ,
+  strike_window_end TIMESTAMPTZ,
+  strike_samples JSONB,
+  settle_window_start TIMESTAMPTZ,
+  settle_window_end TIMESTAMPTZ,
+  settle_samples JSONB,
   created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
-CREATE UNIQUE INDEX IF NOT EXISTS idx_btc_1m_outcomes_minute
-  ON btc_1m_outcomes (minute_start);
 
--- Migration: add slug column if upgrading from old schema
-ALTER TABLE btc_1m_outcomes ADD COLUMN IF NOT EXISTS slug TEXT;
+-- Migration: add slug and asset columns if upgrading from old schema
+ALTER TABLE market_outcomes ADD COLUMN IF NOT EXISTS slug TEXT;
+ALTER TABLE market_outcomes ADD COLUMN IF NOT EXISTS asset TEXT NOT NULL DEFAULT 'BTC';
 
 -- Backfill slugs for existing rows
-UPDATE btc_1m_outcomes
+UPDATE market_outcomes
 SET slug = 'btc-' || TO_CHAR(minute_start AT TIME ZONE 'UTC', 'YYYYMMDD-HH24MI')
 WHERE slug IS NULL;
 
 -- Make price_to_beat nullable if upgrading from old schema
-ALTER TABLE btc_1m_outcomes ALTER COLUMN price_to_beat DROP NOT NULL;
+ALTER TABLE market_outcomes ALTER COLUMN price_to_beat DROP NOT NULL;
+
+-- Migration: market series (existing rows are 1-minute rounds)
+ALTER TABLE market_outcomes ADD COLUMN IF NOT EXISTS series TEXT NOT NULL DEFAULT '1m';
+ALTER TABLE market_outcomes ADD COLUMN IF NOT EXISTS round_end TIMESTAMPTZ;
+UPDATE market_outcomes
+SET round_end = minute_start + INTERVAL '1 minute'
+WHERE round_end IS NULL;
+
+-- Migration: TWAP fixing windows and the aggregates that went into them
+ALTER TABLE market_outcomes
+  ADD COLUMN IF NOT EXISTS strike_window_start TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS strike_window_end TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS strike_samples JSONB,
+  ADD COLUMN IF NOT EXISTS settle_window_start TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS settle_window_end TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS settle_samples JSONB;
+
+-- Migration: reason a round was voided (outcome = 'void')
+ALTER TABLE market_outcomes ADD COLUMN IF NOT EXISTS void_reason TEXT;
 
-CREATE UNIQUE INDEX IF NOT EXISTS idx_btc_1m_outcomes_slug
-  ON btc_1m_outcomes (slug);
+-- Migration: how an exact tie is resolved (ties used to resolve 'up')
+ALTER TABLE market_outcomes ADD COLUMN IF NOT EXISTS tie_policy TEXT NOT NULL DEFAULT 'up';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_market_outcomes_slug
+  ON market_outcomes (slug);
+CREATE INDEX IF NOT EXISTS idx_market_outcomes_asset
+  ON market_outcomes (asset, minute_start DESC);
+CREATE INDEX IF NOT EXISTS idx_market_outcomes_series
+  ON market_outcomes (asset, series, minute_start DESC);
 
 CREATE TABLE IF NOT EXISTS positions (
   user_id BIGINT NOT NULL REFERENCES users(id),
+  market TEXT NOT NULL,
   round_start TIMESTAMPTZ NOT NULL,
   yes_shares INTEGER NOT NULL DEFAULT 0,
   no_shares INTEGER NOT NULL DEFAULT 0,
-  PRIMARY KEY (user_id, round_start)
+  PRIMARY KEY (user_id, market)
 );
 
 CREATE TABLE IF NOT EXISTS liquidity_provisions (
   id BIGSERIAL PRIMARY KEY,
   user_id BIGINT NOT NULL REFERENCES users(id),
+  market TEXT NOT NULL,
   round_start TIMESTAMPTZ NOT NULL,
   amount INTEGER NOT NULL CHECK (amount > 0),
   created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
-CREATE INDEX IF NOT EXISTS idx_lp_round
-  ON liquidity_provisions (round_start);
 
 CREATE TABLE IF NOT EXISTS orders (
   id BIGSERIAL PRIMARY KEY,
   user_id BIGINT NOT NULL REFERENCES users(id),
+  market TEXT NOT NULL,
   round_start TIMESTAMPTZ NOT NULL,
   side TEXT NOT NULL CHECK (side IN ('buy','sell')),
   outcome TEXT NOT NULL CHECK (outcome IN ('yes','no')),
   book_side TEXT NOT NULL CHECK (book_side IN ('bid','ask')),
-  order_type TEXT NOT NULL CHECK (order_type IN ('market_fak','market_fok','limit','stop_limit')),
+  order_type TEXT NOT NULL CHECK (order_type IN ('market_fak','market_fok','limit','limit_post_only','limit_ioc','stop_limit')),
   price INTEGER NOT NULL CHECK (price BETWEEN 1 AND 99),
   stop_price INTEGER CHECK (stop_price BETWEEN 1 AND 99),
   shares INTEGER NOT NULL CHECK (shares > 0),
@@ -83,14 +132,15 @@ CREATE TABLE IF NOT EXISTS orders (
   cost_per_share INTEGER NOT NULL CHECK (cost_per_share BETWEEN 1 AND 99),
   status TEXT NOT NULL DEFAULT 'open'
     CHECK (status IN ('open','partially_filled','filled','cancelled','expired','stopped')),
+  expires_at TIMESTAMPTZ,
   created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
   updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
 CREATE INDEX IF NOT EXISTS idx_orders_user ON orders (user_id, status);
-CREATE INDEX IF NOT EXISTS idx_orders_round ON orders (round_start, status);
 
 CREATE TABLE IF NOT EXISTS trades (
   id BIGSERIAL PRIMARY KEY,
+  market TEXT NOT NULL,
   round_start TIMESTAMPTZ NOT NULL,
   bid_order_id BIGINT NOT NULL REFERENCES orders(id),
   ask_order_id BIGINT NOT NULL REFERENCES orders(id),
@@ -100,6 +150,78 @@ CREATE TABLE IF NOT EXISTS trades (
   shares INTEGER NOT NULL CHECK (shares > 0),
   created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
-CREATE INDEX IF NOT EXISTS idx_trades_round ON trades (round_start);
 CREATE INDEX IF NOT EXISTS idx_trades_yes_user ON trades (yes_user_id);
 CREATE INDEX IF NOT EXISTS idx_trades_no_user ON trades (no_user_id);
+
+-- Per-source snapshot of the aggregate at strike and settlement time
+CREATE TABLE IF NOT EXISTS settlement_audit (
+  id BIGSERIAL PRIMARY KEY,
+  market TEXT NOT NULL,
+  stage TEXT NOT NULL CHECK (stage IN ('strike', 'settle')),
+  aggregate_ts TIMESTAMPTZ NOT NULL,
+  aggregate_price NUMERIC(12,2),
+  method TEXT,
+  exchange TEXT NOT NULL,
+  price NUMERIC(16,4),
+  weight NUMERIC(10,6),
+  age_ms INTEGER,
+  status TEXT NOT NULL,
+  deviation NUMERIC(10,6),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_settlement_audit_market ON settlement_audit (market, stage);
+
+-- Runtime changes to source weights, enabled sources and adapters (admin API)
+CREATE TABLE IF NOT EXISTS source_changes (
+  id BIGSERIAL PRIMARY KEY,
+  action TEXT NOT NULL CHECK (action IN ('set_weight', 'enable', 'disable', 'add_pair')),
+  source TEXT NOT NULL,
+  asset TEXT,
+  old_value JSONB,
+  new_value JSONB,
+  actor TEXT,
+  changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_source_changes_changed_at ON source_changes (changed_at DESC);
+
+-- Migration: trading tables are keyed by market slug. Rows from before
+-- multi-asset support were all BTC rounds, so derive the slug from round_start.
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS market TEXT;
+UPDATE orders SET market = 'btc-' || TO_CHAR(round_start AT TIME ZONE 'UTC', 'YYYYMMDD-HH24MI') WHERE market IS NULL;
+ALTER TABLE orders ALTER COLUMN market SET NOT NULL;
+
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS market TEXT;
+UPDATE trades SET market = 'btc-' || TO_CHAR(round_start AT TIME ZONE 'UTC', 'YYYYMMDD-HH24MI') WHERE market IS NULL;
+ALTER TABLE trades ALTER COLUMN market SET NOT NULL;
+
+ALTER TABLE positions ADD COLUMN IF NOT EXISTS market TEXT;
+UPDATE positions SET market = 'btc-' || TO_CHAR(round_start AT TIME ZONE 'UTC', 'YYYYMMDD-HH24MI') WHERE market IS NULL;
+ALTER TABLE positions ALTER COLUMN market SET NOT NULL;
+
+ALTER TABLE liquidity_provisions ADD COLUMN IF NOT EXISTS market TEXT;
+UPDATE liquidity_provisions SET market = 'btc-' || TO_CHAR(round_start AT TIME ZONE 'UTC', 'YYYYMMDD-HH24MI') WHERE market IS NULL;
+ALTER TABLE liquidity_provisions ALTER COLUMN market SET NOT NULL;
+
+-- Migration: good-till-time limit orders
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ;
+
+-- Migration: post-only and IOC limit order types
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_order_type_check;
+ALTER TABLE orders ADD CONSTRAINT orders_order_type_check
+  CHECK (order_type IN ('market_fak','market_fok','limit','limit_post_only','limit_ioc','stop_limit'));
+
+-- Migration: positions used to be keyed by (user_id, round_start)
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.key_column_usage
+    WHERE table_name = 'positions' AND constraint_name = 'positions_pkey' AND column_name = 'market'
+  ) THEN
+    ALTER TABLE positions DROP CONSTRAINT IF EXISTS positions_pkey;
+    ALTER TABLE positions ADD PRIMARY KEY (user_id, market);
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_lp_market ON liquidity_provisions (market);
+CREATE INDEX IF NOT EXISTS idx_orders_market ON orders (market, status);
+CREATE INDEX IF NOT EXISTS idx_trades_market ON trades (market);